@@ -0,0 +1,29 @@
+// api/_lib/firestoreRateLimitStore.js
+
+const { initializeApp, getApps, cert } = require('firebase-admin/app');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { windowStart } = require('./rateLimit');
+
+/**
+ * Rate limit store backed by the Firestore `rate_limits` collection: one document per key and
+ * window, incremented atomically. Old windows are removed by a TTL policy on `expire_at`.
+ */
+const createFirestoreRateLimitStore = ({ credentials }) => {
+    // Shares the app with the user store when both use Firestore
+    if (getApps().length === 0) {
+        initializeApp({ credential: cert(credentials) });
+    }
+    const counters = getFirestore().collection('rate_limits');
+
+    return {
+        async hit(key, windowMs) {
+            const resetAt = windowStart(Date.now(), windowMs) + windowMs;
+            const doc = counters.doc(`${encodeURIComponent(key)}@${resetAt}`);
+            await doc.set({ count: FieldValue.increment(1), expire_at: Timestamp.fromMillis(resetAt) }, { merge: true });
+            const snapshot = await doc.get();
+            return { count: snapshot.get('count'), resetAt };
+        },
+    };
+};
+
+module.exports = { createFirestoreRateLimitStore };
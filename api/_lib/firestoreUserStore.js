@@ -0,0 +1,128 @@
+// api/_lib/firestoreUserStore.js
+
+const { initializeApp, getApps, cert } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { pairKey, DELETE_FIELD, SERVER_TIMESTAMP } = require('./userStore');
+
+/** Replaces store sentinels with Firestore FieldValues */
+const toFirestoreFields = (fields) => {
+    const converted = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === DELETE_FIELD) converted[key] = FieldValue.delete();
+        else if (value === SERVER_TIMESTAMP) converted[key] = FieldValue.serverTimestamp();
+        else converted[key] = value;
+    }
+    return converted;
+};
+
+/** UserStore backed by the Firestore `users` collection */
+const createFirestoreUserStore = ({ credentials }) => {
+    // Prevents reinitialization in Vercel hot-reloads
+    if (getApps().length === 0) {
+        initializeApp({ credential: cert(credentials) });
+    }
+    const db = getFirestore();
+    const users = db.collection('users');
+    // Expired events are removed by a Firestore TTL policy on `expire_at` (set up once in the console).
+    // findHistory needs a composite index on (geohash, timestamp).
+    const history = db.collection('listening_history');
+    const friendships = db.collection('friendships');
+    const venues = db.collection('venues');
+
+    return {
+        async getUser(id) {
+            const snapshot = await users.doc(id).get();
+            return snapshot.exists ? snapshot.data() : null;
+        },
+
+        async updateUser(id, fields) {
+            await users.doc(id).set(toFirestoreFields(fields), { merge: true });
+        },
+
+        async deleteUser(id) {
+            await users.doc(id).delete();
+        },
+
+        async findByGeohashPrefix(prefix, { limit } = {}) {
+            // '~' sorts after every base32 geohash character, so this is a prefix range scan
+            let query = users
+                .where('geohash', '>=', prefix)
+                .where('geohash', '<=', prefix + '~')
+                .where('location_sharing_enabled', '==', true);
+            if (limit) query = query.limit(limit);
+            const snapshot = await query.get();
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+
+        async addHistoryEvent(event) {
+            await history.add({ ...event, expire_at: new Date(event.expire_at) });
+        },
+
+        async findHistory({ geohashPrefix, from, to }) {
+            const snapshot = await history
+                .where('geohash', '>=', geohashPrefix)
+                .where('geohash', '<=', geohashPrefix + '~')
+                .where('timestamp', '>=', from)
+                .where('timestamp', '<=', to)
+                .get();
+            // TTL deletion can lag by up to a day, so filter expired events here too
+            const now = Date.now();
+            return snapshot.docs
+                .map(doc => doc.data())
+                .map(event => ({ ...event, expire_at: event.expire_at.toMillis() }))
+                .filter(event => event.expire_at > now);
+        },
+
+        async deleteHistory(userId) {
+            // Batched writes are capped at 500 operations
+            let snapshot;
+            do {
+                snapshot = await history.where('user_id', '==', userId).limit(500).get();
+                const batch = db.batch();
+                snapshot.docs.forEach(doc => batch.delete(doc.ref));
+                await batch.commit();
+            } while (snapshot.size === 500);
+        },
+
+        async getFriendship(a, b) {
+            const snapshot = await friendships.doc(pairKey(a, b)).get();
+            return snapshot.exists ? snapshot.data() : null;
+        },
+
+        async saveFriendship(friendship) {
+            const { requester, addressee } = friendship;
+            // `users` lets listFriendships use a single array-contains query
+            await friendships.doc(pairKey(requester, addressee)).set({ ...friendship, users: [requester, addressee] });
+        },
+
+        async deleteFriendship(a, b) {
+            await friendships.doc(pairKey(a, b)).delete();
+        },
+
+        async listFriendships(userId) {
+            const snapshot = await friendships.where('users', 'array-contains', userId).get();
+            return snapshot.docs.map(doc => {
+                const { users: _pair, ...friendship } = doc.data();
+                return friendship;
+            });
+        },
+
+        async saveVenue(venue) {
+            await venues.doc(venue.id).set(venue);
+        },
+
+        async getVenue(id) {
+            const snapshot = await venues.doc(id).get();
+            return snapshot.exists ? snapshot.data() : null;
+        },
+
+        async findVenuesByGeohashPrefix(prefix, { limit } = {}) {
+            let query = venues.where('geohash', '>=', prefix).where('geohash', '<=', prefix + '~');
+            if (limit) query = query.limit(limit);
+            const snapshot = await query.get();
+            return snapshot.docs.map(doc => doc.data());
+        },
+    };
+};
+
+module.exports = { createFirestoreUserStore };
@@ -0,0 +1,237 @@
+// api/_lib/geo.js
+
+const ngeohash = require('ngeohash');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Stored geohashes are long enough to serve every prefix length /users/nearby queries with
+const GEOHASH_PRECISION = 9;
+
+// Published-position snapping: geohash cell (center) each user-selectable level is rounded to
+const LOCATION_PRECISIONS = {
+    exact: null,          // raw coordinates
+    '100m': 7,            // ~153m x 153m cell
+    '1km': 6,             // ~1.2km x 0.6km cell
+    neighbourhood: 5,     // ~4.9km x 4.9km cell
+};
+const DEFAULT_LOCATION_PRECISION = '100m';
+
+/** Calculates the distance between two points in km (Haversine Formula) */
+const haversine = (lat1, lon1, lat2, lon2) => {
+    [lat1, lon1, lat2, lon2] = [lat1, lon1, lat2, lon2].map(deg => deg * (Math.PI / 180));
+    const dLon = lon2 - lon1;
+    const dLat = lat2 - lat1;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    const c = 2 * Math.asin(Math.sqrt(a));
+    return c * EARTH_RADIUS_KM;
+};
+
+/** Geohash prefix length for a search radius (Matching Python logic) */
+const geohashPrecisionForRadius = (radiusKm) => {
+    if (radiusKm <= 2.5) return 6;
+    if (radiusKm <= 20) return 5;
+    if (radiusKm <= 80) return 4;
+    if (radiusKm <= 600) return 3;
+    return 2;
+};
+
+/**
+ * Lat/lon box enclosing a circle. Longitudes may run past ±180 near the antimeridian
+ * (splitBoxAtAntimeridian normalises them); circles reaching a pole span every longitude.
+ */
+const circleBounds = (lat, lon, radiusKm) => {
+    const dLat = radiusKm / KM_PER_DEGREE_LAT;
+    const minLat = Math.max(-90, lat - dLat);
+    const maxLat = Math.min(90, lat + dLat);
+    // Longitude degrees are shortest at the box's most poleward edge
+    const cos = Math.cos(Math.max(Math.abs(minLat), Math.abs(maxLat)) * (Math.PI / 180));
+    const dLon = radiusKm / (KM_PER_DEGREE_LAT * cos);
+    if (minLat === -90 || maxLat === 90 || !(dLon < 180)) return { minLat, minLon: -180, maxLat, maxLon: 180 };
+    return { minLat, minLon: lon - dLon, maxLat, maxLon: lon + dLon };
+};
+
+/**
+ * Turns a Leaflet-style { south, west, north, east } rectangle into a box, or null when
+ * invalid. Crossing the antimeridian may be given either way Leaflet reports it: unwrapped
+ * (east > 180 / west < -180) or wrapped (east < west). The result has minLon in [-180, 180)
+ * and maxLon possibly past 180; boxes 360 degrees or wider span the whole globe.
+ */
+const normalizeBounds = ({ south, west, north, east } = {}) => {
+    [south, west, north, east] = [south, west, north, east].map(value => (value === null || value === '' ? NaN : Number(value)));
+    if (![south, west, north, east].every(Number.isFinite)) return null;
+    if (south < -90 || north > 90 || south > north) return null;
+
+    if (east < west) east += 360;
+    if (east - west >= 360) return { minLat: south, minLon: -180, maxLat: north, maxLon: 180 };
+    const shift = Math.floor((west + 180) / 360) * 360;
+    return { minLat: south, minLon: west - shift, maxLat: north, maxLon: east - shift };
+};
+
+/** Whether a point lies in a normalised box (longitudes compared modulo 360) */
+const boxContains = (box, lat, lon) => {
+    if (lat < box.minLat || lat > box.maxLat) return false;
+    const offset = (((lon - box.minLon) % 360) + 360) % 360;
+    return offset <= box.maxLon - box.minLon || box.maxLon - box.minLon >= 360;
+};
+
+/** Splits a box whose longitudes leave [-180, 180] into boxes that don't */
+const splitBoxAtAntimeridian = (box) => {
+    const { minLat, maxLat } = box;
+    let { minLon, maxLon } = box;
+    if (maxLon - minLon >= 360) return [{ minLat, minLon: -180, maxLat, maxLon: 180 }];
+    // Shift so minLon is within [-180, 180)
+    const shift = Math.floor((minLon + 180) / 360) * 360;
+    minLon -= shift;
+    maxLon -= shift;
+    if (maxLon <= 180) return [{ minLat, minLon, maxLat, maxLon }];
+    return [
+        { minLat, minLon, maxLat, maxLon: 180 },
+        { minLat, minLon: -180, maxLat, maxLon: maxLon - 360 },
+    ];
+};
+
+/** Height/width in degrees of a geohash cell (odd precisions have one more longitude bit) */
+const cellSize = (precision) => ({
+    height: 180 / 2 ** Math.floor((5 * precision) / 2),
+    width: 360 / 2 ** Math.ceil((5 * precision) / 2),
+});
+
+/** Row/column index ranges of the cells a (normalised) box touches at a precision */
+const cellRange = (box, precision) => {
+    const { height, width } = cellSize(precision);
+    const index = (value, offset, size, count) => Math.min(Math.floor((value + offset) / size), count - 1);
+    const rows = 180 / height;
+    const cols = 360 / width;
+    return {
+        rowFrom: index(box.minLat, 90, height, rows),
+        rowTo: index(box.maxLat, 90, height, rows),
+        colFrom: index(box.minLon, 180, width, cols),
+        colTo: index(box.maxLon, 180, width, cols),
+    };
+};
+
+const countCells = (boxes, precision) => boxes.reduce((total, box) => {
+    const { rowFrom, rowTo, colFrom, colTo } = cellRange(box, precision);
+    return total + (rowTo - rowFrom + 1) * (colTo - colFrom + 1);
+}, 0);
+
+/** Distance in km from a point to the nearest point of a geohash cell (0 inside it) */
+const distanceToCell = (lat, lon, geohash) => {
+    const [minLat, minLon, maxLat, maxLon] = ngeohash.decode_bbox(geohash);
+    const nearestLat = Math.min(Math.max(lat, minLat), maxLat);
+    let nearestLon = lon;
+    if (lon < minLon || lon > maxLon) {
+        // Nearest edge, going either way round the globe
+        const wrapped = (edge) => Math.abs(((lon - edge + 540) % 360) - 180);
+        nearestLon = wrapped(minLon) <= wrapped(maxLon) ? minLon : maxLon;
+    }
+    return haversine(lat, lon, nearestLat, nearestLon);
+};
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/** The 32 cells one precision finer that make up a geohash cell */
+const childCells = (geohash) => [...GEOHASH_BASE32].map(c => geohash + c);
+
+/** Area of a geohash cell in (degree-scaled) km², enough to rank cells by size */
+const cellArea = (geohash) => {
+    const [minLat, minLon, maxLat, maxLon] = ngeohash.decode_bbox(geohash);
+    const cos = Math.cos(((minLat + maxLat) / 2) * (Math.PI / 180));
+    return (maxLat - minLat) * (maxLon - minLon) * cos * KM_PER_DEGREE_LAT ** 2;
+};
+
+/** Area tests for coveringCells: does a cell touch / lie entirely within the search area */
+const boxRegion = (boxes) => {
+    const overlaps = ([minLat, minLon, maxLat, maxLon], box) =>
+        minLat <= box.maxLat && maxLat >= box.minLat && minLon <= box.maxLon && maxLon >= box.minLon;
+    const inside = ([minLat, minLon, maxLat, maxLon], box) =>
+        minLat >= box.minLat && maxLat <= box.maxLat && minLon >= box.minLon && maxLon <= box.maxLon;
+    return {
+        intersects: (cell) => boxes.some(box => overlaps(ngeohash.decode_bbox(cell), box)),
+        contains: (cell) => boxes.some(box => inside(ngeohash.decode_bbox(cell), box)),
+    };
+};
+
+const circleRegion = ({ lat, lon, radiusKm }) => ({
+    intersects: (cell) => distanceToCell(lat, lon, cell) <= radiusKm,
+    contains: (cell) => {
+        const [minLat, minLon, maxLat, maxLon] = ngeohash.decode_bbox(cell);
+        return [[minLat, minLon], [minLat, maxLon], [maxLat, minLon], [maxLat, maxLon]]
+            .every(([cornerLat, cornerLon]) => haversine(lat, lon, cornerLat, cornerLon) <= radiusKm);
+    },
+});
+
+/**
+ * Plans the geohash prefix queries for an area, returning at most `maxCells` prefixes whose
+ * cells together cover it. Starts from the finest single precision that fits the budget,
+ * then splits the largest partially-covered cells into their 32 children while the budget
+ * allows, so edges are covered by small cells and each query reads little outside the area.
+ * With `circle` ({ lat, lon, radiusKm }), the area is the circle rather than the whole box.
+ * Also returns `intersects(cell)`, whether a cell touches the area, for splitting cells later.
+ */
+const coveringCells = (box, { maxCells = 32, circle = null } = {}) => {
+    const boxes = splitBoxAtAntimeridian(box);
+    const region = circle ? circleRegion(circle) : boxRegion(boxes);
+
+    let precision = GEOHASH_PRECISION;
+    while (precision > 1 && countCells(boxes, precision) > maxCells) precision--;
+
+    const { height, width } = cellSize(precision);
+    const start = new Set();
+    for (const part of boxes) {
+        const { rowFrom, rowTo, colFrom, colTo } = cellRange(part, precision);
+        for (let row = rowFrom; row <= rowTo; row++) {
+            for (let col = colFrom; col <= colTo; col++) {
+                // Encode each cell's center
+                start.add(ngeohash.encode((row + 0.5) * height - 90, (col + 0.5) * width - 180, precision));
+            }
+        }
+    }
+    const cells = [...start].filter(region.intersects);
+
+    // Refine: largest cells first, skipping any whose children would overflow the budget
+    const refinable = cells
+        .filter(cell => cell.length < GEOHASH_PRECISION && !region.contains(cell))
+        .sort((a, b) => cellArea(b) - cellArea(a));
+    while (refinable.length > 0) {
+        const cell = refinable.shift();
+        const children = childCells(cell).filter(region.intersects);
+        if (cells.length - 1 + children.length > maxCells) continue;
+
+        cells.splice(cells.indexOf(cell), 1, ...children);
+        const partial = children.filter(child => child.length < GEOHASH_PRECISION && !region.contains(child));
+        refinable.push(...partial);
+        refinable.sort((a, b) => cellArea(b) - cellArea(a));
+    }
+
+    return { precision, cells, intersects: region.intersects };
+};
+
+/** coveringCells for a center/radius search */
+const coveringCellsForCircle = (lat, lon, radiusKm, options = {}) =>
+    coveringCells(circleBounds(lat, lon, radiusKm), { ...options, circle: { lat, lon, radiusKm } });
+
+/** Snaps a position to the center of its geohash cell for the given privacy level */
+const fuzzLocation = (lat, lon, level) => {
+    const precision = LOCATION_PRECISIONS[level];
+    if (!precision) return { latitude: lat, longitude: lon };
+    const { latitude, longitude } = ngeohash.decode(ngeohash.encode(lat, lon, precision));
+    return { latitude, longitude };
+};
+
+module.exports = {
+    GEOHASH_PRECISION,
+    LOCATION_PRECISIONS,
+    DEFAULT_LOCATION_PRECISION,
+    haversine,
+    geohashPrecisionForRadius,
+    circleBounds,
+    normalizeBounds,
+    boxContains,
+    splitBoxAtAntimeridian,
+    childCells,
+    coveringCells,
+    coveringCellsForCircle,
+    fuzzLocation,
+};
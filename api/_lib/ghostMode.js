@@ -0,0 +1,123 @@
+// api/_lib/ghostMode.js
+
+const { haversine } = require('./geo');
+
+/*
+ * Automatic privacy on top of the sharing switch:
+ *   exclusion_zones  - [{ label, latitude, longitude, radius_m }] places the user is never broadcast in
+ *   ghost_schedules  - [{ days, start, end }] quiet hours in the user's `timezone` (IANA name);
+ *                      days are 0 (Sunday) - 6, start/end 'HH:MM', and a window whose end is
+ *                      before its start runs past midnight into the next day
+ */
+
+const MAX_EXCLUSION_ZONES = 10;
+const MAX_GHOST_SCHEDULES = 10;
+const MIN_ZONE_RADIUS_M = 50;
+const MAX_ZONE_RADIUS_M = 5000;
+const MAX_ZONE_LABEL_LENGTH = 40;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const isValidTimezone = (timezone) => {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/** 'HH:MM' -> minutes after midnight */
+const minutesOf = (time) => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/** Validates exclusion zones from a request body: { zones } or { error } */
+const parseExclusionZones = (value) => {
+    if (!Array.isArray(value)) return { error: 'exclusion_zones must be an array' };
+    if (value.length > MAX_EXCLUSION_ZONES) return { error: `At most ${MAX_EXCLUSION_ZONES} exclusion zones are allowed` };
+
+    const zones = [];
+    for (const zone of value) {
+        const latitude = Number(zone && zone.latitude);
+        const longitude = Number(zone && zone.longitude);
+        const radius = Number(zone && zone.radius_m);
+        if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+            return { error: 'Each exclusion zone needs a latitude within [-90, 90] and a longitude within [-180, 180]' };
+        }
+        if (!Number.isFinite(radius) || radius < MIN_ZONE_RADIUS_M || radius > MAX_ZONE_RADIUS_M) {
+            return { error: `Exclusion zone radius_m must be between ${MIN_ZONE_RADIUS_M} and ${MAX_ZONE_RADIUS_M}` };
+        }
+        const label = typeof zone.label === 'string' ? zone.label.trim().slice(0, MAX_ZONE_LABEL_LENGTH) : '';
+        zones.push({ label: label || 'Private place', latitude, longitude, radius_m: radius });
+    }
+    return { zones };
+};
+
+/** Validates quiet-hour schedules from a request body: { schedules } or { error } */
+const parseGhostSchedules = (value) => {
+    if (!Array.isArray(value)) return { error: 'ghost_schedules must be an array' };
+    if (value.length > MAX_GHOST_SCHEDULES) return { error: `At most ${MAX_GHOST_SCHEDULES} schedules are allowed` };
+
+    const schedules = [];
+    for (const schedule of value) {
+        const { start, end, days = ALL_DAYS } = schedule || {};
+        if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end) {
+            return { error: 'Each schedule needs different start and end times formatted as HH:MM' };
+        }
+        if (!Array.isArray(days) || days.length === 0 || !days.every(day => ALL_DAYS.includes(day))) {
+            return { error: 'Schedule days must be a non-empty list of weekday numbers (0 = Sunday)' };
+        }
+        schedules.push({ days: [...new Set(days)].sort(), start, end });
+    }
+    return { schedules };
+};
+
+/** The exclusion zone containing the position, or null */
+const exclusionZoneAt = (zones, latitude, longitude) => (zones || []).find(zone =>
+    haversine(latitude, longitude, zone.latitude, zone.longitude) * 1000 <= zone.radius_m) || null;
+
+/** Whether `now` falls inside one of the quiet-hour windows, evaluated in the user's timezone */
+const isQuietTime = (schedules, timezone, now = Date.now()) => {
+    if (!schedules || schedules.length === 0) return false;
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+        weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(new Date(now)).map(part => [part.type, part.value]));
+    const day = WEEKDAYS[parts.weekday];
+    const minute = Number(parts.hour) * 60 + Number(parts.minute);
+
+    return schedules.some(({ days, start, end }) => {
+        const from = minutesOf(start);
+        const to = minutesOf(end);
+        if (from < to) return days.includes(day) && minute >= from && minute < to;
+        // Overnight: the evening part belongs to the listed day, the early hours to the day after
+        return (days.includes(day) && minute >= from) || (days.includes((day + 6) % 7) && minute < to);
+    });
+};
+
+/**
+ * Why a user must not be broadcast at a position right now: 'zone', 'schedule' or null.
+ * `user` carries the stored settings (exclusion_zones, ghost_schedules, timezone).
+ */
+const ghostReason = (user, latitude, longitude, now = Date.now()) => {
+    if (!user) return null;
+    if (Number.isFinite(latitude) && Number.isFinite(longitude) && exclusionZoneAt(user.exclusion_zones, latitude, longitude)) {
+        return 'zone';
+    }
+    return isQuietTime(user.ghost_schedules, user.timezone, now) ? 'schedule' : null;
+};
+
+module.exports = {
+    isValidTimezone,
+    parseExclusionZones,
+    parseGhostSchedules,
+    exclusionZoneAt,
+    isQuietTime,
+    ghostReason,
+};
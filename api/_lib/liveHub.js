@@ -0,0 +1,103 @@
+// api/_lib/liveHub.js
+
+/*
+ * In-process pub/sub for /live: subscribers watch geohash cells (prefixes of any length)
+ * and receive pin events for users whose stored geohash falls inside them.
+ *
+ * Events:
+ *   add   - a user appeared in a watched cell (started sharing, or moved in)
+ *   move  - a user moved but stayed within the subscriber's cells
+ *   track - a user's track or play state changed
+ *   leave - a user left the watched cells (moved out, stopped sharing, went into ghost mode, deleted)
+ *
+ * `audience` (optional Set of viewer ids) restricts add/move/track to those viewers, for
+ * friends-only users; an empty Set hides the user from everyone. Subscribers who could see
+ * the user before but aren't in the audience get a leave.
+ *
+ * State lives in this process only: one long-running server (local / container) gets push,
+ * serverless deployments fall back to the client's polling.
+ */
+
+/** All prefixes of a geohash, longest first ('dr5r' -> ['dr5r', 'dr5', 'dr', 'd']) */
+const prefixesOf = (geohash) => {
+    const prefixes = [];
+    for (let i = geohash.length; i > 0; i--) prefixes.push(geohash.slice(0, i));
+    return prefixes;
+};
+
+const createLiveHub = () => {
+    const byCell = new Map(); // cell -> Set<subscription>
+
+    /** Subscriptions watching any cell that contains the geohash */
+    const subscribersOf = (geohash) => {
+        const found = new Set();
+        if (!geohash) return found;
+        for (const prefix of prefixesOf(geohash)) {
+            for (const subscription of byCell.get(prefix) || []) found.add(subscription);
+        }
+        return found;
+    };
+
+    const deliver = (subscriptions, type, user) => {
+        for (const subscription of subscriptions) {
+            // Users don't get events about themselves; they render their own pin from /now-playing
+            if (subscription.viewerId === user.id) continue;
+            try {
+                subscription.send(type, user);
+            } catch (error) {
+                console.error('LIVE SEND ERROR:', error.message);
+            }
+        }
+    };
+
+    return {
+        /** Registers `send(type, user)` for the cells; returns an unsubscribe function */
+        subscribe({ cells, viewerId, send }) {
+            const subscription = { viewerId, send };
+            for (const cell of cells) {
+                if (!byCell.has(cell)) byCell.set(cell, new Set());
+                byCell.get(cell).add(subscription);
+            }
+            return () => {
+                for (const cell of cells) {
+                    const set = byCell.get(cell);
+                    if (!set) continue;
+                    set.delete(subscription);
+                    if (set.size === 0) byCell.delete(cell);
+                }
+            };
+        },
+
+        /**
+         * Announces a location change. `from`/`to` are the previous and new geohashes
+         * (null when the user wasn't / no longer is visible); `user` is the pin payload.
+         */
+        publishLocation(user, from, to, audience = null) {
+            const before = subscribersOf(from);
+            const after = new Set([...subscribersOf(to)].filter(s => !audience || audience.has(s.viewerId)));
+            const moved = new Set([...after].filter(s => before.has(s)));
+            deliver([...after].filter(s => !moved.has(s)), 'add', user);
+            deliver(moved, 'move', user);
+            deliver([...before].filter(s => !moved.has(s)), 'leave', { id: user.id });
+        },
+
+        /** Announces a track / play-state change for a user at `geohash` */
+        publishTrack(user, geohash, audience = null) {
+            deliver([...subscribersOf(geohash)].filter(s => !audience || audience.has(s.viewerId)), 'track', user);
+        },
+
+        /** Every cell at least one subscriber watches */
+        watchedCells() {
+            return [...byCell.keys()];
+        },
+
+        /** Number of open subscriptions (for diagnostics / tests) */
+        size() {
+            const all = new Set();
+            for (const set of byCell.values()) for (const s of set) all.add(s);
+            return all.size;
+        },
+    };
+};
+
+module.exports = { createLiveHub };
@@ -0,0 +1,101 @@
+// api/_lib/memoryUserStore.js
+
+const { pairKey, DELETE_FIELD, SERVER_TIMESTAMP } = require('./userStore');
+
+/**
+ * UserStore kept in process memory, for offline development and tests.
+ * Returns copies so callers can't mutate stored documents, mirroring Firestore snapshots.
+ * `seed` is an optional { id: fields } map loaded at creation.
+ */
+const createMemoryUserStore = (seed = {}) => {
+    const users = new Map(Object.entries(seed).map(([id, fields]) => [id, structuredClone(fields)]));
+    let history = [];
+    const friendships = new Map(); // pairKey -> record
+    const venues = new Map();
+
+    return {
+        async getUser(id) {
+            return users.has(id) ? structuredClone(users.get(id)) : null;
+        },
+
+        async updateUser(id, fields) {
+            const user = users.get(id) || {};
+            for (const [key, value] of Object.entries(fields)) {
+                if (value === DELETE_FIELD) delete user[key];
+                else if (value === SERVER_TIMESTAMP) user[key] = new Date();
+                else user[key] = structuredClone(value);
+            }
+            users.set(id, user);
+        },
+
+        async deleteUser(id) {
+            users.delete(id);
+        },
+
+        async findByGeohashPrefix(prefix, { limit = Infinity } = {}) {
+            const matches = [];
+            for (const [id, user] of users) {
+                if (matches.length >= limit) break;
+                if (typeof user.geohash === 'string' && user.geohash.startsWith(prefix)
+                    && user.location_sharing_enabled === true) {
+                    matches.push({ id, ...structuredClone(user) });
+                }
+            }
+            return matches;
+        },
+
+        async addHistoryEvent(event) {
+            // No TTL process here: drop expired events as new ones arrive
+            const now = Date.now();
+            history = history.filter(e => e.expire_at > now);
+            history.push(structuredClone(event));
+        },
+
+        async findHistory({ geohashPrefix, from, to }) {
+            const now = Date.now();
+            return history
+                .filter(e => e.geohash.startsWith(geohashPrefix) && e.timestamp >= from && e.timestamp <= to && e.expire_at > now)
+                .map(e => structuredClone(e));
+        },
+
+        async deleteHistory(userId) {
+            history = history.filter(e => e.user_id !== userId);
+        },
+
+        async getFriendship(a, b) {
+            const record = friendships.get(pairKey(a, b));
+            return record ? structuredClone(record) : null;
+        },
+
+        async saveFriendship(friendship) {
+            friendships.set(pairKey(friendship.requester, friendship.addressee), structuredClone(friendship));
+        },
+
+        async deleteFriendship(a, b) {
+            friendships.delete(pairKey(a, b));
+        },
+
+        async listFriendships(userId) {
+            return [...friendships.values()]
+                .filter(f => f.requester === userId || f.addressee === userId)
+                .map(f => structuredClone(f));
+        },
+
+        async saveVenue(venue) {
+            venues.set(venue.id, structuredClone(venue));
+        },
+
+        async getVenue(id) {
+            return venues.has(id) ? structuredClone(venues.get(id)) : null;
+        },
+
+        async findVenuesByGeohashPrefix(prefix, { limit = Infinity } = {}) {
+            return [...venues.values()]
+                .filter(venue => venue.geohash.startsWith(prefix))
+                .slice(0, limit)
+                .map(venue => structuredClone(venue));
+        },
+    };
+};
+
+module.exports = { createMemoryUserStore };
@@ -0,0 +1,60 @@
+// api/_lib/oauth.js
+
+const crypto = require('crypto');
+
+/*
+ * Helpers for the Spotify authorization code flow:
+ *   - `state` is signed (HMAC-SHA256) and expires, and carries a nonce that must match the
+ *     login cookie, so /callback only completes logins this browser started (login CSRF);
+ *     it also carries where in the frontend to land afterwards
+ *   - PKCE verifier/challenge pairs (RFC 7636, S256)
+ */
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const MAX_REDIRECT_LENGTH = 500;
+
+const hmac = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/** Signs { nonce, redirect } into an opaque state value valid for STATE_TTL_MS */
+const signState = (payload, secret, now = Date.now()) => {
+    const data = Buffer.from(JSON.stringify({ ...payload, exp: now + STATE_TTL_MS })).toString('base64url');
+    return `${data}.${hmac(data, secret)}`;
+};
+
+/** Returns the payload of a state signed with `secret` that hasn't expired, else null */
+const verifyState = (state, secret, now = Date.now()) => {
+    if (typeof state !== 'string') return null;
+    const [data, signature, ...rest] = state.split('.');
+    if (!data || !signature || rest.length) return null;
+
+    const expected = Buffer.from(hmac(data, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+        return payload.exp > now ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+/** Random single-use value for state nonces */
+const createNonce = () => crypto.randomBytes(16).toString('base64url');
+
+/** PKCE code_verifier and its S256 code_challenge */
+const createPkcePair = () => {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+};
+
+/**
+ * Post-login landing path inside the frontend: a same-origin path such as '/?user=abc',
+ * or '' (the frontend root) for anything else, so the redirect can't be used to leave the site.
+ */
+const safeRedirectPath = (value) => (
+    typeof value === 'string' && value.length <= MAX_REDIRECT_LENGTH && /^\/(?![/\\])/.test(value) ? value : ''
+);
+
+module.exports = { signState, verifyState, createNonce, createPkcePair, safeRedirectPath };
@@ -0,0 +1,77 @@
+// api/_lib/rateLimit.js
+
+/*
+ * Fixed-window request limits. Counters live in a pluggable store:
+ *
+ *   hit(key, windowMs)  -> Promise<{ count, resetAt }>   counts one request in the key's
+ *                          current window (windows start at multiples of windowMs)
+ *
+ * The memory store counts per process, which on Vercel means per warm instance; set
+ * RATE_LIMIT_STORE=firestore to share the counters between instances.
+ */
+
+const STORE_TYPES = ['memory', 'firestore'];
+// Sweep expired memory counters once the map grows past this many keys
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+const windowStart = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+/** Rate limit store kept in process memory */
+const createMemoryRateLimitStore = ({ now = Date.now } = {}) => {
+    const counters = new Map(); // key -> { count, resetAt }
+
+    return {
+        async hit(key, windowMs) {
+            const time = now();
+            if (counters.size > MEMORY_SWEEP_THRESHOLD) {
+                for (const [k, counter] of counters) if (counter.resetAt <= time) counters.delete(k);
+            }
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= time) {
+                counter = { count: 0, resetAt: windowStart(time, windowMs) + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count++;
+            return { ...counter };
+        },
+    };
+};
+
+/** Builds the store selected by RATE_LIMIT_STORE ('memory' by default | 'firestore') */
+const createRateLimitStore = (env = process.env) => {
+    const type = env.RATE_LIMIT_STORE || 'memory';
+    if (!STORE_TYPES.includes(type)) {
+        throw new Error(`RATE_LIMIT_STORE must be one of: ${STORE_TYPES.join(', ')} (got "${type}")`);
+    }
+    if (type === 'memory') return createMemoryRateLimitStore();
+
+    const { firebaseCredentials } = require('./userStore');
+    const { createFirestoreRateLimitStore } = require('./firestoreRateLimitStore');
+    return createFirestoreRateLimitStore({ credentials: firebaseCredentials(env) });
+};
+
+/**
+ * Express middleware allowing `limit` requests per `windowMs` for each `keyFor(req)`
+ * (requests without a key pass). Over the limit it answers 429 with Retry-After.
+ * A failing store lets requests through rather than taking the API down with it.
+ */
+const rateLimit = ({ store, name, limit, windowMs, keyFor }) => async (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) return next();
+
+    let counter;
+    try {
+        counter = await store.hit(`${name}:${key}`, windowMs);
+    } catch (error) {
+        console.error('RATE LIMIT ERROR:', error);
+        return next();
+    }
+
+    if (counter.count > limit) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000))));
+        return res.status(429).json({ error: 'Too many requests, please slow down' });
+    }
+    next();
+};
+
+module.exports = { createMemoryRateLimitStore, createRateLimitStore, rateLimit, windowStart };
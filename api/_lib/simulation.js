@@ -0,0 +1,247 @@
+// api/_lib/simulation.js
+
+const ngeohash = require('ngeohash');
+const { GEOHASH_PRECISION } = require('./geo');
+const { TRACKS, CITIES, FIRST_NAMES } = require('./simulationCatalog');
+
+/*
+ * Synthetic listeners for demos, load tests and screenshots. They are ordinary `users`
+ * documents (plus `simulated: true`) with the same fields a real user's location updates
+ * and /now-playing polling write, so every route serves them through the real-user path.
+ *
+ * A simulation is deterministic for a given seed: listeners cluster around the city's
+ * hotspots, some stay put while others walk or cycle around their home spot, and each
+ * plays through tracks picked by popularity and personal taste, pausing now and then.
+ */
+
+const KM_PER_DEGREE_LAT = 111.32;
+const MAX_WANDER_KM = 3;
+// share of listeners, speed in km/h
+const MOVERS = [[0.5, 0], [0.35, 5], [0.15, 16]];
+const PAUSE_CHANCE = 0.15;
+const MIN_PAUSE_MS = 60 * 1000;
+const MAX_PAUSE_MS = 10 * 60 * 1000;
+// Matches how often /now-playing refreshes last_played_at for a real user's unchanged track
+const LAST_PLAYED_REFRESH_MS = 60 * 1000;
+
+/** Seeded PRNG (mulberry32) returning floats in [0, 1) */
+const createRandom = (seed) => {
+    let state = seed | 0;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/** Standard normal sample (Box-Muller) */
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const searchUrl = (...terms) => `https://open.spotify.com/search/${encodeURIComponent(terms.join(' '))}`;
+
+/** Moves a point `km` along a compass heading (radians, 0 = north) */
+const offset = (lat, lon, km, heading) => ({
+    lat: lat + (km * Math.cos(heading)) / KM_PER_DEGREE_LAT,
+    lon: lon + (km * Math.sin(heading)) / (KM_PER_DEGREE_LAT * Math.cos(lat * (Math.PI / 180))),
+});
+
+const distanceKm = (a, b) => Math.hypot(
+    (a.lat - b.lat) * KM_PER_DEGREE_LAT,
+    (a.lon - b.lon) * KM_PER_DEGREE_LAT * Math.cos(a.lat * (Math.PI / 180)),
+);
+
+/**
+ * Creates a simulation of `count` listeners in a city from simulationCatalog's CITIES
+ * (or custom `hotspots`: [[lat, lon, spreadKm], ...]). Listener ids are `${idPrefix}-${n}`.
+ *
+ *   ids()            -> every listener id
+ *   documents(now)   -> [[id, fields]] complete documents for seeding the store
+ *   step(now)        -> [[id, fields]] changes since the previous step/documents call
+ */
+const createSimulation = ({ city = 'nyc', hotspots, count = 100, seed = 1, idPrefix = 'sim' } = {}) => {
+    const spots = hotspots || (CITIES[city] && CITIES[city].hotspots);
+    if (!spots) throw new Error(`Unknown simulation city "${city}" (known: ${Object.keys(CITIES).join(', ')})`);
+
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    // Popularity falls off with catalog position; a listener's favourite genres weigh 4x
+    const nextTrack = (taste) => {
+        const weights = TRACKS.map((t, i) => (1 / (i + 1) ** 0.8) * (t.genres.some(g => taste.includes(g)) ? 4 : 1));
+        let roll = random() * weights.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < TRACKS.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return i;
+        }
+        return TRACKS.length - 1;
+    };
+
+    const listeners = Array.from({ length: count }, (_, n) => {
+        const [lat, lon, spreadKm] = pick(spots);
+        const home = offset(lat, lon, Math.abs(gaussian(random)) * spreadKm, random() * 2 * Math.PI);
+        let roll = random();
+        const [, speedKmh] = MOVERS.find(([share]) => (roll -= share) <= 0) || MOVERS[0];
+        const taste = [...new Set([pick(TRACKS).genres[0], pick(TRACKS).genres[0]])];
+        return {
+            id: `${idPrefix}-${n}`,
+            name: `${pick(FIRST_NAMES)} ${String.fromCharCode(65 + Math.floor(random() * 26))}.`,
+            home,
+            position: { ...home },
+            heading: random() * 2 * Math.PI,
+            speedKmh,
+            taste,
+            track: nextTrack(taste),
+            // Start part-way through a track so listeners don't all change songs together
+            progress: random(),
+            pausedUntil: null,
+        };
+    });
+
+    let lastStepAt = null;
+
+    const locationFields = (l) => ({
+        latitude: l.position.lat,
+        longitude: l.position.lon,
+        geohash: ngeohash.encode(l.position.lat, l.position.lon, GEOHASH_PRECISION),
+    });
+
+    const trackFields = (l, now) => {
+        const t = TRACKS[l.track];
+        const playing = l.pausedUntil === null;
+        return {
+            is_playing: playing,
+            last_track: {
+                track_name: t.track_name,
+                artist: t.artist,
+                artist_url: searchUrl(t.artist),
+                album_art_url: null,
+                track_url: searchUrl(t.artist, t.track_name),
+                genres: t.genres,
+            },
+            ...(playing ? { last_played_at: now } : {}),
+        };
+    };
+
+    /** Advances one listener to `now`; returns the changed fields (empty when nothing changed) */
+    const advance = (l, now, elapsedMs) => {
+        const changes = {};
+
+        if (l.speedKmh > 0) {
+            l.heading += gaussian(random) * 0.4;
+            // Wander, but drift back once too far from home
+            if (distanceKm(l.position, l.home) > MAX_WANDER_KM) {
+                l.heading = Math.atan2(
+                    (l.home.lon - l.position.lon) * Math.cos(l.position.lat * (Math.PI / 180)),
+                    l.home.lat - l.position.lat,
+                );
+            }
+            l.position = offset(l.position.lat, l.position.lon, (l.speedKmh * elapsedMs) / 3600000, l.heading);
+            Object.assign(changes, locationFields(l));
+        }
+
+        let trackChanged = false;
+        if (l.pausedUntil !== null) {
+            if (now >= l.pausedUntil) {
+                l.pausedUntil = null;
+                l.track = nextTrack(l.taste);
+                l.trackStartedAt = now;
+                trackChanged = true;
+            }
+        } else {
+            // Catch up on every track that ended since the last step
+            while (l.pausedUntil === null && now - l.trackStartedAt >= TRACKS[l.track].duration_ms) {
+                const endedAt = l.trackStartedAt + TRACKS[l.track].duration_ms;
+                trackChanged = true;
+                if (random() < PAUSE_CHANCE) {
+                    l.pausedUntil = endedAt + MIN_PAUSE_MS + random() * (MAX_PAUSE_MS - MIN_PAUSE_MS);
+                } else {
+                    l.track = nextTrack(l.taste);
+                    l.trackStartedAt = endedAt;
+                }
+            }
+        }
+
+        if (trackChanged || (l.pausedUntil === null && now - l.lastPlayedWrittenAt >= LAST_PLAYED_REFRESH_MS)) {
+            Object.assign(changes, trackFields(l, now));
+            if (l.pausedUntil === null) l.lastPlayedWrittenAt = now;
+        }
+        return changes;
+    };
+
+    return {
+        ids: () => listeners.map(l => l.id),
+
+        documents(now = Date.now()) {
+            lastStepAt = now;
+            return listeners.map((l) => {
+                l.trackStartedAt = now - l.progress * TRACKS[l.track].duration_ms;
+                l.lastPlayedWrittenAt = now;
+                return [l.id, {
+                    simulated: true,
+                    user_name: l.name,
+                    location_sharing_enabled: true,
+                    location_precision: 'exact',
+                    visibility: 'public',
+                    location_updated_at: now,
+                    ...locationFields(l),
+                    ...trackFields(l, now),
+                }];
+            });
+        },
+
+        step(now = Date.now()) {
+            if (lastStepAt === null) throw new Error('Call documents() before step()');
+            const elapsedMs = Math.max(0, now - lastStepAt);
+            lastStepAt = now;
+            return listeners
+                .map(l => [l.id, advance(l, now, elapsedMs)])
+                .filter(([, changes]) => Object.keys(changes).length > 0);
+        },
+    };
+};
+
+/**
+ * Seeds a store with a simulation's listeners and steps it every `intervalMs`, writing
+ * the changes. `onUpdate(id, previous, current)` is called after each write (e.g. to push
+ * live events). Returns stop(); pass `clear: true` to also delete the listeners.
+ */
+const runSimulation = async ({ store, simulation, intervalMs = 5000, onUpdate = async () => {} }) => {
+    const docs = new Map();
+    for (const [id, fields] of simulation.documents()) {
+        await store.updateUser(id, fields);
+        docs.set(id, fields);
+        await onUpdate(id, null, fields);
+    }
+
+    let running = Promise.resolve();
+    const tick = () => {
+        // Ticks never overlap: a slow store just makes the simulation step less often
+        running = running.then(async () => {
+            for (const [id, changes] of simulation.step()) {
+                const previous = docs.get(id);
+                const current = { ...previous, ...changes };
+                await store.updateUser(id, changes);
+                docs.set(id, current);
+                await onUpdate(id, previous, current);
+            }
+        }).catch(error => console.error('SIMULATION ERROR:', error));
+    };
+    const timer = setInterval(tick, intervalMs);
+
+    return async ({ clear = false } = {}) => {
+        clearInterval(timer);
+        await running;
+        if (clear) await clearSimulation(store, simulation);
+    };
+};
+
+/** Deletes a simulation's listeners and their history */
+const clearSimulation = async (store, simulation) => {
+    for (const id of simulation.ids()) {
+        await store.deleteUser(id);
+        await store.deleteHistory(id);
+    }
+};
+
+module.exports = { createRandom, createSimulation, runSimulation, clearSimulation };
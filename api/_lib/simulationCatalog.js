@@ -0,0 +1,68 @@
+// api/_lib/simulationCatalog.js
+
+/*
+ * Data for the listener simulation (api/_lib/simulation.js): tracks simulated listeners
+ * play, ordered roughly by popularity, and the cities they can be placed in.
+ * Links are Spotify searches, so no catalog ids need to be kept in sync.
+ */
+
+const track = (track_name, artist, genres, minutes) => ({ track_name, artist, genres, duration_ms: Math.round(minutes * 60 * 1000) });
+
+const TRACKS = [
+    track('Blinding Lights', 'The Weeknd', ['pop', 'synth-pop'], 3.33),
+    track('As It Was', 'Harry Styles', ['pop'], 2.78),
+    track('Flowers', 'Miley Cyrus', ['pop'], 3.3),
+    track('Anti-Hero', 'Taylor Swift', ['pop'], 3.35),
+    track('Levitating', 'Dua Lipa', ['pop', 'dance pop'], 3.38),
+    track('Espresso', 'Sabrina Carpenter', ['pop'], 2.92),
+    track('HUMBLE.', 'Kendrick Lamar', ['hip hop', 'west coast rap'], 2.95),
+    track('SICKO MODE', 'Travis Scott', ['hip hop', 'rap'], 5.21),
+    track('God\'s Plan', 'Drake', ['hip hop', 'rap'], 3.32),
+    track('Kill Bill', 'SZA', ['r&b'], 2.55),
+    track('Redbone', 'Childish Gambino', ['r&b', 'funk'], 5.45),
+    track('Get Lucky', 'Daft Punk', ['french house', 'disco'], 6.15),
+    track('Midnight City', 'M83', ['electronic', 'synth-pop'], 4.07),
+    track('Strobe', 'deadmau5', ['electronic', 'progressive house'], 10.55),
+    track('Titanium', 'David Guetta', ['dance pop', 'edm'], 4.08),
+    track('Mr. Brightside', 'The Killers', ['rock', 'indie rock'], 3.72),
+    track('Do I Wanna Know?', 'Arctic Monkeys', ['indie rock', 'rock'], 4.55),
+    track('Seven Nation Army', 'The White Stripes', ['rock', 'garage rock'], 3.87),
+    track('Smells Like Teen Spirit', 'Nirvana', ['grunge', 'rock'], 5.02),
+    track('Paranoid', 'Black Sabbath', ['hard rock', 'metal'], 2.8),
+    track('Bohemian Rhapsody', 'Queen', ['classic rock', 'rock'], 5.92),
+    track('Dreams', 'Fleetwood Mac', ['classic rock', 'soft rock'], 4.23),
+    track('Take On Me', 'a-ha', ['synth-pop', 'new wave'], 3.77),
+    track('Superstition', 'Stevie Wonder', ['soul', 'funk'], 4.48),
+    track('Respect', 'Aretha Franklin', ['soul'], 2.45),
+    track('So What', 'Miles Davis', ['jazz', 'cool jazz'], 9.37),
+    track('Take Five', 'The Dave Brubeck Quartet', ['jazz', 'cool jazz'], 5.4),
+    track('Round Midnight', 'Thelonious Monk', ['jazz', 'bebop'], 3.1),
+    track('My Favorite Things', 'John Coltrane', ['jazz', 'hard bop'], 13.7),
+    track('Despacito', 'Luis Fonsi', ['latin pop', 'reggaeton'], 3.81),
+    track('Tití Me Preguntó', 'Bad Bunny', ['reggaeton', 'latin trap'], 4.03),
+    track('Dynamite', 'BTS', ['k-pop'], 3.32),
+    track('Pink Venom', 'BLACKPINK', ['k-pop'], 3.12),
+    track('Clair de Lune', 'Claude Debussy', ['classical', 'impressionism'], 5.0),
+    track('Gymnopédie No. 1', 'Erik Satie', ['classical'], 3.2),
+    track('Jolene', 'Dolly Parton', ['country'], 2.7),
+    track('Tennessee Whiskey', 'Chris Stapleton', ['country'], 4.88),
+    track('Three Little Birds', 'Bob Marley & The Wailers', ['reggae'], 3.0),
+    track('Holocene', 'Bon Iver', ['indie folk'], 5.6),
+    track('Skinny Love', 'Bon Iver', ['indie folk'], 3.97),
+];
+
+// Hotspots are where listeners cluster: [latitude, longitude, spread in km]
+const CITIES = {
+    nyc: { name: 'New York', hotspots: [[40.758, -73.9855, 1.5], [40.7081, -73.9571, 2], [40.7306, -73.9866, 1], [40.6782, -73.9442, 3]] },
+    london: { name: 'London', hotspots: [[51.5136, -0.1365, 1.5], [51.5246, -0.0786, 1.5], [51.4613, -0.1156, 2], [51.5419, -0.1439, 1.5]] },
+    berlin: { name: 'Berlin', hotspots: [[52.5076, 13.4416, 1.5], [52.4926, 13.4241, 1.5], [52.5386, 13.4244, 1.5], [52.5200, 13.4050, 2]] },
+    tokyo: { name: 'Tokyo', hotspots: [[35.6595, 139.7005, 1.2], [35.6938, 139.7034, 1.2], [35.6467, 139.7101, 1], [35.7101, 139.8107, 2]] },
+    sf: { name: 'San Francisco', hotspots: [[37.7599, -122.4148, 1.2], [37.7749, -122.4194, 1.5], [37.8024, -122.4058, 1], [37.7694, -122.4862, 2]] },
+};
+
+const FIRST_NAMES = [
+    'Alex', 'Sam', 'Jordan', 'Taylor', 'Robin', 'Kai', 'Noor', 'Mika', 'Ari', 'Jules',
+    'Remy', 'Sasha', 'Lou', 'Quinn', 'Eli', 'Nico', 'Yuki', 'Ines', 'Tomás', 'Zola',
+];
+
+module.exports = { TRACKS, CITIES, FIRST_NAMES };
@@ -0,0 +1,81 @@
+// api/_lib/spatialSearch.js
+
+const {
+    GEOHASH_PRECISION, haversine, childCells, coveringCells, coveringCellsForCircle, boxContains,
+} = require('./geo');
+
+// Production budget: at most this many geohash prefix queries planned per search, each reading
+// at most MAX_DOCS_PER_CELL documents (denser cells are split into smaller ones, see readCell)
+const SEARCH_MAX_CELLS = 16;
+const MAX_DOCS_PER_CELL = 1000;
+
+/** Nearest first; ties broken by id so pages are stable */
+const byDistance = (a, b) => a.distance - b.distance || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Reads every sharing user in a cell, `maxDocsPerCell` documents per query at most: a cell
+ * that fills its query is too dense to read whole, so it's split into those of its 32
+ * children that touch the area (`intersects`), recursively. Full-precision cells can't be
+ * split and are read without a cap.
+ */
+const readCell = async (store, cell, { maxDocsPerCell, intersects }) => {
+    if (cell.length >= GEOHASH_PRECISION) return store.findByGeohashPrefix(cell);
+    const users = await store.findByGeohashPrefix(cell, { limit: maxDocsPerCell });
+    if (users.length < maxDocsPerCell) return users;
+    const children = childCells(cell).filter(intersects);
+    const results = await Promise.all(children.map(child => readCell(store, child, { maxDocsPerCell, intersects })));
+    return results.flat();
+};
+
+/**
+ * Runs the planned prefix queries in parallel (splitting dense cells, see readCell),
+ * de-duplicates, keeps users for which `include(user)` holds and `measure(user)` returns a
+ * distance (null = outside the area), and sorts them nearest first. Nothing is dropped
+ * before the sort, so callers can take the nearest page from the front.
+ */
+const searchCells = async (store, cells, { maxDocsPerCell, intersects, include = () => true, measure }) => {
+    const results = await Promise.all(cells.map(cell => readCell(store, cell, { maxDocsPerCell, intersects })));
+
+    const found = new Map(); // id -> user; cells don't overlap, but a user can move between two queries
+    for (const user of results.flat()) {
+        if (found.has(user.id) || !user.latitude || !user.longitude || !include(user)) continue;
+        const distance = measure(user);
+        if (distance !== null) found.set(user.id, { ...user, distance });
+    }
+    return [...found.values()].sort(byDistance);
+};
+
+/**
+ * Finds sharing users within radiusKm of a center, nearest first, each with a `distance` (km).
+ * At most `maxCells` geohash prefix queries are planned to cover the circle.
+ */
+const searchRadius = (store, centerLat, centerLon, radiusKm, { maxCells, ...options }) => {
+    const { cells, intersects } = coveringCellsForCircle(centerLat, centerLon, radiusKm, { maxCells });
+    return searchCells(store, cells, {
+        ...options,
+        intersects,
+        measure: (user) => {
+            const distance = haversine(centerLat, centerLon, user.latitude, user.longitude);
+            return distance <= radiusKm ? distance : null;
+        },
+    });
+};
+
+/**
+ * Finds sharing users inside a lat/lon box (see normalizeBounds), ordered by distance
+ * from the box's center.
+ */
+const searchBox = (store, box, { maxCells, ...options }) => {
+    const { cells, intersects } = coveringCells(box, { maxCells });
+    const centerLat = (box.minLat + box.maxLat) / 2;
+    const centerLon = (box.minLon + box.maxLon) / 2;
+    return searchCells(store, cells, {
+        ...options,
+        intersects,
+        measure: (user) => (boxContains(box, user.latitude, user.longitude)
+            ? haversine(centerLat, centerLon, user.latitude, user.longitude)
+            : null),
+    });
+};
+
+module.exports = { SEARCH_MAX_CELLS, MAX_DOCS_PER_CELL, byDistance, searchRadius, searchBox };
@@ -0,0 +1,94 @@
+// api/_lib/taste.js
+
+/*
+ * Music-taste profiles for compatibility scores. Users who opt in get their Spotify top artists
+ * and tracks stored on their user document as
+ *
+ *   taste: { artists: [{ id, name }], tracks: [id], genres: [genre], updated_at }
+ *
+ * each list ordered most-listened first. Only scores and a few shared artist names are ever
+ * shown to other users, never the lists themselves.
+ */
+
+const MAX_TASTE_ARTISTS = 50;
+const MAX_TASTE_TRACKS = 50;
+const MAX_TASTE_GENRES = 20;
+const MAX_SHARED_ARTISTS = 3;
+
+// How much each list contributes to the score; lists one side has nothing in are left out
+const TASTE_WEIGHTS = { artists: 0.5, genres: 0.35, tracks: 0.15 };
+
+/** Earlier ranks count more, tailing off like a search-result gain */
+const rankWeight = (rank) => 1 / Math.log2(rank + 2);
+
+/**
+ * Builds a stored taste profile from Spotify's /me/top/artists and /me/top/tracks items.
+ * Genres are ranked by how many top artists carry them, higher-ranked artists counting more.
+ */
+const buildTasteProfile = (topArtists, topTracks, now = Date.now()) => {
+    const artists = topArtists.slice(0, MAX_TASTE_ARTISTS);
+    const genreScores = new Map();
+    artists.forEach((artist, rank) => {
+        for (const genre of artist.genres || []) {
+            genreScores.set(genre, (genreScores.get(genre) || 0) + rankWeight(rank));
+        }
+    });
+
+    return {
+        artists: artists.map(artist => ({ id: artist.id, name: artist.name })),
+        tracks: topTracks.slice(0, MAX_TASTE_TRACKS).map(track => track.id),
+        genres: [...genreScores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_TASTE_GENRES)
+            .map(([genre]) => genre),
+        updated_at: now,
+    };
+};
+
+/** Cosine similarity of two ranked lists of keys, weighting each entry by its rank */
+const rankedCosine = (a, b) => {
+    const weightsOf = (keys) => new Map(keys.map((key, rank) => [key, rankWeight(rank)]));
+    const norm = (weights) => Math.sqrt([...weights.values()].reduce((sum, w) => sum + w * w, 0));
+    const wa = weightsOf(a);
+    const wb = weightsOf(b);
+    let dot = 0;
+    for (const [key, weight] of wa) {
+        if (wb.has(key)) dot += weight * wb.get(key);
+    }
+    return dot / (norm(wa) * norm(wb));
+};
+
+/**
+ * Compatibility of two taste profiles: { score: 0-100, shared_artists: [up to 3 names] },
+ * or null when either side has no profile or nothing to compare.
+ */
+const compareTaste = (a, b) => {
+    if (!a || !b) return null;
+    const lists = {
+        artists: [a.artists.map(artist => artist.id), b.artists.map(artist => artist.id)],
+        genres: [a.genres, b.genres],
+        tracks: [a.tracks, b.tracks],
+    };
+
+    let total = 0;
+    let weights = 0;
+    for (const [name, [mine, theirs]] of Object.entries(lists)) {
+        if (mine.length === 0 || theirs.length === 0) continue;
+        total += TASTE_WEIGHTS[name] * rankedCosine(mine, theirs);
+        weights += TASTE_WEIGHTS[name];
+    }
+    if (weights === 0) return null;
+
+    // Even close listeners share only part of their top lists; the square root spreads the
+    // scores so that reads as a strong match rather than a middling one
+    const theirArtists = new Set(lists.artists[1]);
+    return {
+        score: Math.round(100 * Math.sqrt(total / weights)),
+        shared_artists: a.artists
+            .filter(artist => theirArtists.has(artist.id))
+            .slice(0, MAX_SHARED_ARTISTS)
+            .map(artist => artist.name),
+    };
+};
+
+module.exports = { buildTasteProfile, compareTaste };
@@ -0,0 +1,48 @@
+// api/_lib/tokenCrypto.js
+
+const crypto = require('crypto');
+
+/*
+ * Encryption at rest for the Spotify tokens on user documents: AES-256-GCM with a 32-byte key
+ * (TOKEN_ENCRYPTION_KEY, hex or base64). Stored values look like
+ * "enc:v1:<iv>.<auth tag>.<ciphertext>" (base64url parts). Values without the prefix are
+ * plaintext written before a key was configured; they stay readable and are encrypted the
+ * next time the token is written (login or refresh).
+ */
+
+const PREFIX = 'enc:v1:';
+
+const parseKey = (value) => {
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded');
+    return key;
+};
+
+/**
+ * Returns { encrypt, decrypt } for token strings. Without a key tokens are stored as given,
+ * and reading an encrypted one throws.
+ */
+const createTokenCipher = (keyValue) => {
+    const key = keyValue ? parseKey(keyValue) : null;
+
+    const encrypt = (token) => {
+        if (!key || typeof token !== 'string') return token;
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+        return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+    };
+
+    const decrypt = (stored) => {
+        if (typeof stored !== 'string' || !stored.startsWith(PREFIX)) return stored;
+        if (!key) throw new Error('TOKEN_ENCRYPTION_KEY is required to read encrypted tokens');
+        const [iv, tag, ciphertext] = stored.slice(PREFIX.length).split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    };
+
+    return { encrypt, decrypt, enabled: Boolean(key) };
+};
+
+module.exports = { createTokenCipher };
@@ -0,0 +1,87 @@
+// api/_lib/userStore.js
+// (Files under api/_lib are not deployed as Vercel functions, only bundled with api/api.js)
+
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * UserStore interface — everything the routes need from the `users` collection.
+ * Documents are plain objects keyed by Spotify id.
+ *
+ *   getUser(id)                 -> Promise<object | null>
+ *   updateUser(id, fields)      -> Promise<void>    merge-write; creates the user if missing
+ *   deleteUser(id)              -> Promise<void>
+ *   findByGeohashPrefix(prefix, { limit }?)
+ *                               -> Promise<Array<{ id, ...fields }>>
+ *                                  users whose `geohash` starts with prefix and who have
+ *                                  location_sharing_enabled === true (at most `limit`)
+ *
+ * Listening history (time-stamped { user_id, geohash, latitude, longitude, timestamp,
+ * expire_at, ...track } events, timestamps in ms):
+ *
+ *   addHistoryEvent(event)      -> Promise<void>
+ *   findHistory({ geohashPrefix, from, to })
+ *                               -> Promise<Array<event>> events in the cell with
+ *                                  from <= timestamp <= to that haven't expired
+ *   deleteHistory(userId)       -> Promise<void>    all of a user's events
+ *
+ * Friendships (one record per pair: { requester, addressee, status: 'pending' | 'accepted' }):
+ *
+ *   getFriendship(a, b)         -> Promise<object | null>   in either direction
+ *   saveFriendship(friendship)  -> Promise<void>            creates or replaces the pair's record
+ *   deleteFriendship(a, b)      -> Promise<void>
+ *   listFriendships(userId)     -> Promise<Array<object>>   every record involving the user
+ *
+ * Venues (named places users check in to, see api/_lib/venues.js; keyed by venue id):
+ *
+ *   saveVenue(venue)            -> Promise<void>            creates or replaces the venue
+ *   getVenue(id)                -> Promise<object | null>
+ *   findVenuesByGeohashPrefix(prefix, { limit }?)
+ *                               -> Promise<Array<venue>>    venues whose `geohash` starts with prefix
+ *
+ * Field values passed to updateUser may be the sentinels below, which every
+ * implementation translates to its native equivalent.
+ */
+
+/** Sentinel: remove the field from the document */
+const DELETE_FIELD = Symbol('DELETE_FIELD');
+/** Sentinel: set the field to the store's current time */
+const SERVER_TIMESTAMP = Symbol('SERVER_TIMESTAMP');
+
+const STORE_TYPES = ['firestore', 'memory'];
+const FIREBASE_KEY_PATH = path.join(__dirname, '..', '..', 'firebase-key.json');
+
+/**
+ * Builds the user store selected by USER_STORE ('firestore' | 'memory').
+ * Without USER_STORE, Firestore is used when credentials are available and memory otherwise,
+ * so a fresh checkout runs offline with no configuration.
+ */
+const createUserStore = (env = process.env) => {
+    const hasCredentials = Boolean(env.FIREBASE_CREDENTIALS) || fs.existsSync(FIREBASE_KEY_PATH);
+
+    let type = env.USER_STORE;
+    if (type && !STORE_TYPES.includes(type)) {
+        throw new Error(`USER_STORE must be one of: ${STORE_TYPES.join(', ')} (got "${type}")`);
+    }
+    if (!type) {
+        type = hasCredentials ? 'firestore' : 'memory';
+        if (type === 'memory') console.warn('No Firebase credentials found, using in-memory user store.');
+    }
+
+    if (type === 'memory') {
+        const { createMemoryUserStore } = require('./memoryUserStore');
+        return createMemoryUserStore();
+    }
+
+    const { createFirestoreUserStore } = require('./firestoreUserStore');
+    return createFirestoreUserStore({ credentials: firebaseCredentials(env) });
+};
+
+/** Firebase service account from FIREBASE_CREDENTIALS (JSON) or firebase-key.json at the repo root */
+const firebaseCredentials = (env = process.env) =>
+    (env.FIREBASE_CREDENTIALS ? JSON.parse(env.FIREBASE_CREDENTIALS) : require(FIREBASE_KEY_PATH));
+
+/** Order-independent key for a pair of users (friendship record id) */
+const pairKey = (a, b) => (a < b ? `${a}__${b}` : `${b}__${a}`);
+
+module.exports = { createUserStore, firebaseCredentials, pairKey, DELETE_FIELD, SERVER_TIMESTAMP };
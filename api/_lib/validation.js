@@ -0,0 +1,110 @@
+// api/_lib/validation.js
+
+/*
+ * Request validation. A route declares a schema mapping each field it reads to a rule:
+ *
+ *   validateBody({
+ *       latitude: number({ min: -90, max: 90, required: true }),
+ *       window: string({ oneOf: ['now', 'hour'], default: 'now' }),
+ *   })
+ *
+ * The middleware answers 400 { error } for the first invalid field, otherwise sets
+ * req.input to the parsed values (defaults applied, unknown fields dropped).
+ * Missing means undefined, null or a blank string, unless the rule sets notBlank (a blank
+ * string is then an error rather than a missing value); numbers and booleans may also arrive
+ * as strings (query strings, form posts).
+ */
+
+/** Wraps a check with the shared missing/required/default handling */
+const rule = ({ required = false, notBlank = false, default: fallback }, check) => (value, name) => {
+    const blank = typeof value === 'string' && !value.trim();
+    if (blank && notBlank) return { error: `${name} must not be blank` };
+    if (value === undefined || value === null || blank) {
+        return required ? { error: `${name} is required` } : { value: fallback };
+    }
+    return check(value, name);
+};
+
+const rangeText = (min, max) => {
+    if (min > -Infinity && max < Infinity) return ` between ${min} and ${max}`;
+    if (min > -Infinity) return ` of at least ${min}`;
+    if (max < Infinity) return ` of at most ${max}`;
+    return '';
+};
+
+const number = ({ min = -Infinity, max = Infinity, integer = false, ...options } = {}) => rule(options, (value, name) => {
+    const num = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num) || (integer && !Number.isInteger(num)) || num < min || num > max) {
+        return { error: `${name} must be ${integer ? 'an integer' : 'a number'}${rangeText(min, max)}` };
+    }
+    return { value: num };
+});
+
+const string = ({ maxLength = 200, oneOf, pattern, ...options } = {}) => rule(options, (value, name) => {
+    if (typeof value !== 'string') return { error: `${name} must be a string` };
+    const text = value.trim();
+    if (oneOf && !oneOf.includes(text)) return { error: `${name} must be one of: ${oneOf.join(', ')}` };
+    if (text.length > maxLength) return { error: `${name} must be at most ${maxLength} characters` };
+    if (pattern && !pattern.test(text)) return { error: `${name} is invalid` };
+    return { value: text };
+});
+
+// Checkbox form posts send 'on'/'off'
+const TRUE_VALUES = [true, 'true', 'on'];
+const FALSE_VALUES = [false, 'false', 'off'];
+
+const boolean = (options = {}) => rule(options, (value, name) => {
+    if (TRUE_VALUES.includes(value)) return { value: true };
+    if (FALSE_VALUES.includes(value)) return { value: false };
+    return { error: `${name} must be true or false` };
+});
+
+/** Epoch milliseconds or an ISO date, parsed to milliseconds */
+const timestamp = (options = {}) => rule(options, (value, name) => {
+    const ms = typeof value === 'number' ? value : new Date(value).getTime();
+    if (typeof value === 'object' || !Number.isFinite(ms)) return { error: `${name} must be a timestamp or ISO date` };
+    return { value: ms };
+});
+
+/** An array, or a comma-separated string, of items that each pass `item` (duplicates dropped) */
+const list = (item, { maxItems = 100, ...options } = {}) => rule(options, (value, name) => {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items)) return { error: `${name} must be a list` };
+    const parsed = [];
+    for (const entry of new Set(items)) {
+        const result = item(entry, name);
+        if (result.error) return result;
+        if (result.value !== undefined) parsed.push(result.value);
+    }
+    if (parsed.length > maxItems) return { error: `${name} must have at most ${maxItems} entries` };
+    return { value: parsed };
+});
+
+/** Adapts a parser returning { value } or { error } (e.g. the ghost mode parsers) */
+const custom = (parse, options = {}) => rule(options, (value, name) => parse(value, name));
+
+/** Applies a schema to a body/query object: { value } or { error } */
+const validate = (schema, source = {}) => {
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        return { error: 'Request body must be a JSON object' };
+    }
+    const value = {};
+    for (const [name, check] of Object.entries(schema)) {
+        const result = check(source[name], name);
+        if (result.error) return { error: result.error };
+        if (result.value !== undefined) value[name] = result.value;
+    }
+    return { value };
+};
+
+const validator = (part) => (schema) => (req, res, next) => {
+    const { value, error } = validate(schema, req[part]);
+    if (error) return res.status(400).json({ error });
+    req.input = value;
+    next();
+};
+
+const validateBody = validator('body');
+const validateQuery = validator('query');
+
+module.exports = { number, string, boolean, timestamp, list, custom, validate, validateBody, validateQuery };
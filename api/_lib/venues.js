@@ -0,0 +1,98 @@
+// api/_lib/venues.js
+
+const crypto = require('crypto');
+const ngeohash = require('ngeohash');
+const { GEOHASH_PRECISION, haversine } = require('./geo');
+
+/*
+ * Venues are named places users can check in to (a bar, a gym, a festival stage). They are
+ * seeded from GeoJSON, e.g. an OSM extract exported with overpass-turbo, so no live POI
+ * service is needed. Stored venue documents:
+ *
+ *   { id, name, category, latitude, longitude, geohash, radius_m }
+ *
+ * `radius_m` is how far from the point counts as "at the venue", for check-ins and the
+ * venue's charts.
+ */
+
+const DEFAULT_VENUE_RADIUS_M = 75;
+const MIN_VENUE_RADIUS_M = 10;
+const MAX_VENUE_RADIUS_M = 1000;
+const MAX_VENUE_NAME_LENGTH = 100;
+
+// OSM tags that name what kind of place a feature is, in order of preference
+const CATEGORY_TAGS = ['category', 'amenity', 'leisure', 'tourism', 'shop', 'building'];
+
+/** Center of a GeoJSON geometry's coordinates (points as is, areas by their bounding box) */
+const geometryCenter = (geometry) => {
+    if (!geometry || !geometry.coordinates) return null;
+    if (geometry.type === 'Point') {
+        const [lon, lat] = geometry.coordinates;
+        return { latitude: lat, longitude: lon };
+    }
+    const positions = geometry.coordinates.flat(Infinity);
+    const lons = positions.filter((_, i) => i % 2 === 0);
+    const lats = positions.filter((_, i) => i % 2 === 1);
+    if (lons.length === 0) return null;
+    return {
+        latitude: (Math.min(...lats) + Math.max(...lats)) / 2,
+        longitude: (Math.min(...lons) + Math.max(...lons)) / 2,
+    };
+};
+
+/** Stable venue id: the OSM id when there is one ("node/123" -> "osm-node-123"), else a hash */
+const venueIdFor = (feature, name, center) => {
+    const sourceId = (feature.properties && (feature.properties['@id'] || feature.properties.id)) || feature.id;
+    if (sourceId) return `osm-${String(sourceId).replace(/[^A-Za-z0-9]+/g, '-')}`;
+    const digest = crypto.createHash('sha1').update(`${name}|${center.latitude.toFixed(5)}|${center.longitude.toFixed(5)}`);
+    return `venue-${digest.digest('hex').slice(0, 16)}`;
+};
+
+/**
+ * Turns a GeoJSON FeatureCollection into venue documents. Features need a `name` property and
+ * a geometry inside the map; others are skipped. Optional properties: `radius_m` and a category
+ * (`category`, or the OSM amenity / leisure / tourism / shop tag).
+ */
+const parseVenueGeoJson = (geojson) => {
+    const features = geojson && geojson.type === 'FeatureCollection' ? geojson.features : null;
+    if (!Array.isArray(features)) throw new Error('Venues must be a GeoJSON FeatureCollection');
+
+    const venues = [];
+    for (const feature of features) {
+        const properties = (feature && feature.properties) || {};
+        const name = typeof properties.name === 'string' ? properties.name.trim().slice(0, MAX_VENUE_NAME_LENGTH) : '';
+        const center = geometryCenter(feature && feature.geometry);
+        if (!name || !center || !(Math.abs(center.latitude) <= 90) || !(Math.abs(center.longitude) <= 180)) continue;
+
+        const radius = Number(properties.radius_m);
+        const categoryTag = CATEGORY_TAGS.find(tag => typeof properties[tag] === 'string' && properties[tag] !== 'yes');
+        venues.push({
+            id: venueIdFor(feature, name, center),
+            name,
+            category: categoryTag ? properties[categoryTag] : 'venue',
+            latitude: center.latitude,
+            longitude: center.longitude,
+            geohash: ngeohash.encode(center.latitude, center.longitude, GEOHASH_PRECISION),
+            radius_m: Number.isFinite(radius)
+                ? Math.min(Math.max(radius, MIN_VENUE_RADIUS_M), MAX_VENUE_RADIUS_M)
+                : DEFAULT_VENUE_RADIUS_M,
+        });
+    }
+    return venues;
+};
+
+/** Saves every venue in a GeoJSON FeatureCollection to the store; returns how many were saved */
+const importVenues = async (store, geojson) => {
+    const venues = parseVenueGeoJson(geojson);
+    await Promise.all(venues.map(venue => store.saveVenue(venue)));
+    return venues.length;
+};
+
+/** Distance from a position to the venue's edge in km (0 or less = inside) */
+const distanceOutsideVenueKm = (venue, lat, lon) =>
+    haversine(venue.latitude, venue.longitude, lat, lon) - venue.radius_m / 1000;
+
+/** The fields pins and profiles show for a venue */
+const venueSummary = (venue) => ({ id: venue.id, name: venue.name, category: venue.category });
+
+module.exports = { parseVenueGeoJson, importVenues, distanceOutsideVenueKm, venueSummary };
@@ -1,12 +1,29 @@
 // api/api.js
 
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const { initializeApp, cert } = require('firebase-admin/app');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const ngeohash = require('ngeohash');
 const cookieParser = require('cookie-parser');
+const { createUserStore, DELETE_FIELD, SERVER_TIMESTAMP } = require('./_lib/userStore');
+const { createLiveHub } = require('./_lib/liveHub');
+const {
+    SEARCH_MAX_CELLS, MAX_DOCS_PER_CELL, byDistance, searchRadius, searchBox,
+} = require('./_lib/spatialSearch');
+const { createSimulation, runSimulation } = require('./_lib/simulation');
+const { isValidTimezone, parseExclusionZones, parseGhostSchedules, ghostReason } = require('./_lib/ghostMode');
+const { createRateLimitStore, rateLimit } = require('./_lib/rateLimit');
+const { signState, verifyState, createNonce, createPkcePair, safeRedirectPath } = require('./_lib/oauth');
+const { createTokenCipher } = require('./_lib/tokenCrypto');
+const { importVenues, distanceOutsideVenueKm, venueSummary } = require('./_lib/venues');
+const { buildTasteProfile, compareTaste } = require('./_lib/taste');
+const { number, string, boolean, timestamp, list, custom, validateBody, validateQuery } = require('./_lib/validation');
+const {
+    GEOHASH_PRECISION, LOCATION_PRECISIONS, DEFAULT_LOCATION_PRECISION,
+    haversine, geohashPrecisionForRadius, coveringCells, coveringCellsForCircle, normalizeBounds, boxContains,
+    fuzzLocation,
+} = require('./_lib/geo');
 
 // --- 1. DYNAMIC CONFIGURATION & SECRETS ---
 
@@ -16,36 +33,138 @@ const {
     SPOTIPY_CLIENT_ID,
     SPOTIPY_CLIENT_SECRET,
     SPOTIPY_REDIRECT_URI,
-    FLASK_SECRET_KEY, // Used as a simple secret key for cookie signing
-    FIREBASE_CREDENTIALS,
+    FLASK_SECRET_KEY, // Used as a simple secret key for cookie signing (and the OAuth state)
+    TOKEN_ENCRYPTION_KEY, // 32 bytes, hex or base64: encrypts stored Spotify tokens (see api/_lib/tokenCrypto.js)
+    SPOTIFY_USE_PKCE = 'false', // 'true' adds a PKCE challenge to the authorization code flow
+    // USER_STORE / FIREBASE_CREDENTIALS are read by createUserStore (see api/_lib/userStore.js),
+    // RATE_LIMIT_STORE by createRateLimitStore (see api/_lib/rateLimit.js)
+    SPOTIFY_ACCOUNTS_URL = 'https://accounts.spotify.com', // Overridable to point at a local mock
+    SPOTIFY_API_URL = 'https://api.spotify.com/v1',
+    HISTORY_RETENTION_DAYS = '30', // Listening history older than this is deleted
+    // Local server only: seed and animate simulated listeners (see api/_lib/simulation.js)
+    SIMULATION_CITY,
+    SIMULATION_COUNT = '100',
+    SIMULATION_SEED = '1',
+    SIMULATION_INTERVAL_MS = '5000',
+    // Local server only: GeoJSON file of venues to load at startup (see api/_lib/venues.js)
+    VENUES_FILE,
 } = process.env;
 
 // Set FRONTEND_URL fallback for local testing
 const PROD_FRONTEND_URL = FRONTEND_URL || 'http://127.0.0.1:5173';
-const FIREBASE_JSON = FIREBASE_CREDENTIALS ? JSON.parse(FIREBASE_CREDENTIALS) : null;
 
 // Constants (Matching Python)
-const SCOPE = "user-read-currently-playing user-read-private";
-const EARTH_RADIUS_KM = 6371;
+const SCOPE = "user-read-currently-playing user-read-private playlist-modify-private user-top-read";
+// Needed by POST /playlists/area and POST /me/taste. Users who logged in before they were added
+// to SCOPE have to log in again to grant them (see hasScopes)
+const PLAYLIST_SCOPES = ['playlist-modify-private'];
+const TASTE_SCOPES = ['user-top-read'];
 
-// --- 2. FIREBASE INITIALIZATION ---
+// Refresh access tokens this long before Spotify's stated expiry to absorb clock skew / latency
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+// MapComponent polls /now-playing every 5s; serve repeat polls from memory within this window
+const NOW_PLAYING_CACHE_TTL_MS = 10 * 1000;
+// While a track keeps playing, re-persist it at most this often (keeps last_played_at fresh without a write per poll)
+const LAST_TRACK_WRITE_INTERVAL_MS = 60 * 1000;
 
-try {
-    // Only initialize if we have credentials (Prod or Local File fallback)
-    if (FIREBASE_JSON || require('fs').existsSync('../firebase-key.json')) {
-        const credentials = FIREBASE_JSON ? cert(FIREBASE_JSON) : cert(require('../firebase-key.json'));
-        
-        // Prevents reinitialization in Vercel hot-reloads
-        if (!firebase_admin.apps || firebase_admin.apps.length === 0) {
-             initializeApp({ credential: credentials });
-        }
-    }
-} catch (error) {
-    console.error("FIREBASE INITIALIZATION FAILED:", error.message);
-}
+// Spatial lookups (budget in api/_lib/spatialSearch.js): /users/nearby returns the closest pins a
+// page at a time
+const DEFAULT_NEARBY_LIMIT = 200;
+const MAX_NEARBY_LIMIT = 500;
+
+// Who sees a sharing user: everyone logged in, accepted friends only, or nobody
+const VISIBILITY_LEVELS = ['public', 'friends', 'hidden'];
+const DEFAULT_VISIBILITY = 'public';
+
+// /charts/area ranking windows and list sizes
+const CHART_WINDOWS = ['now', 'hour', 'today'];
+const DEFAULT_CHART_LIMIT = 10;
+const MAX_CHART_LIMIT = 50;
+
+// /playlists/area: tracks per exported playlist (Spotify adds at most 100 per request)
+const DEFAULT_PLAYLIST_TRACKS = 50;
+const MAX_PLAYLIST_TRACKS = 100;
+const MAX_PLAYLIST_NAME_LENGTH = 100;
+
+// /public/snapshot: anonymous area charts for shared links and the embeddable widget. Small
+// areas only, lists withheld until enough people listen there that no one can be singled
+// out, and cacheable by browsers and the CDN for a short while
+const MAX_PUBLIC_RADIUS_KM = 25;
+const MAX_PUBLIC_CHART_LIMIT = 10;
+const MIN_PUBLIC_LISTENERS = 3;
+const PUBLIC_SNAPSHOT_MAX_AGE_S = 30;
+
+// /live (Server-Sent Events): comment ping keeps proxies from closing idle streams;
+// retry tells EventSource how long to wait before reconnecting
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+const LIVE_RETRY_MS = 5 * 1000;
+const LIVE_MAX_CELLS = 32;
+// While this instance has /live subscribers, how often the users they watch are checked for
+// quiet hours that have started, and how many watched cells one check reads (see sweepQuietHours)
+const QUIET_HOURS_SWEEP_MS = 60 * 1000;
+const QUIET_HOURS_SWEEP_MAX_CELLS = 16;
+const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]{1,9}$/;
+
+// Listening history: retention and /history query bounds
+const HISTORY_RETENTION_MS = Number(HISTORY_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+const MAX_HISTORY_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_HISTORY_EVENTS = 2000;
+
+// Abuse protection: requests per minute per client IP and per signed-in user, plus hourly
+// limits for actions that reach other people or write to Spotify
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const IP_REQUESTS_PER_MINUTE = 600;
+const USER_REQUESTS_PER_MINUTE = 240;
+const FRIEND_REQUESTS_PER_HOUR = 30;
+const PLAYLIST_EXPORTS_PER_HOUR = 10;
+const TASTE_REFRESHES_PER_HOUR = 10;
+const PUBLIC_SNAPSHOTS_PER_MINUTE = 60;
+// Radius searches beyond this belong to zoomed-out views, which the client clamps
+const MAX_RADIUS_KM = 500;
+// Location updates implying faster travel than this (above airliner speed) are treated as spoofed;
+// the jitter allowance absorbs GPS / Wi-Fi fixes that jump around between updates
+const MAX_TRAVEL_SPEED_KMH = 1200;
+const LOCATION_JITTER_KM = 1;
+
+// Venue check-ins last this long unless a location update moves the user away first; fixes may
+// land this far outside the venue's radius (GPS error) and still count as being there
+const CHECK_IN_TTL_MS = 4 * HOUR_MS;
+const CHECK_IN_SLACK_KM = 0.1;
+// GET /venues lists at most this many (nearest first); venue pages rank this many entries
+// and look back this far in the listening history
+const MAX_VENUES = 200;
+const VENUE_CHART_LIMIT = 10;
+const VENUE_HISTORY_MS = 7 * 24 * HOUR_MS;
 
-const db = getFirestore(); // Firestore client
+// Taste matching: how many of Spotify's top artists / tracks to store (its maximum page), over
+// roughly the last six months, and the orders /users/nearby pages can come in
+const TASTE_TOP_LIMIT = 50;
+const TASTE_TIME_RANGE = 'medium_term';
+const PIN_SORTS = ['distance', 'taste'];
+
+// Session cookie: cross-site (Vite dev origin / Vercel), so it must be SameSite=None + Secure.
+// clearCookie needs the same attributes for browsers to drop it.
+const SESSION_COOKIE = 'spotify_id';
+const SESSION_COOKIE_OPTIONS = { signed: true, httpOnly: true, secure: true, sameSite: 'none' };
+// Login in progress: the state nonce (and PKCE verifier) from /login, read back by /callback.
+// Lax is enough: Spotify sends the user back with a top-level GET navigation.
+const AUTH_COOKIE = 'spotify_auth';
+const AUTH_COOKIE_OPTIONS = { signed: true, httpOnly: true, secure: true, sameSite: 'lax', maxAge: 10 * 60 * 1000 };
+// Why a login failed, passed to the frontend as ?login_error=
+const LOGIN_ERRORS = { denied: 'access_denied', invalidState: 'invalid_state', failed: 'failed' };
+
+// --- 2. STORAGE INITIALIZATION ---
+
+// Firestore in production, in-memory when offline (USER_STORE selects explicitly)
+const users = createUserStore();
+const tokenCipher = createTokenCipher(TOKEN_ENCRYPTION_KEY);
+if (!tokenCipher.enabled) console.warn('TOKEN_ENCRYPTION_KEY is not set, Spotify tokens are stored unencrypted.');
 const app = express();
+app.locals.users = users; // Exposed for seeding in tests / local scripts
+const live = createLiveHub(); // Push channel for /live subscribers on this instance
+app.locals.live = live;
+app.locals.sweepQuietHours = () => sweepQuietHours(); // Run on a timer while /live is watched, directly by tests
 
 // --- 3. MIDDLEWARE & CORS ---
 
@@ -57,44 +176,85 @@ app.use(cookieParser(FLASK_SECRET_KEY)); // Use the Flask key to sign cookies
 // CORS Configuration (Matching Python)
 app.use(cors({
     origin: PROD_FRONTEND_URL,
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
     credentials: true, // Crucial for sending session cookies
+    exposedHeaders: ['X-Next-Cursor'], // /users/nearby pagination
 }));
 
-// --- 4. GEO & SPOTIFY HELPERS (Replicating Python Logic) ---
+// Rate limits (after CORS so browsers can read the 429). Vercel's proxy sets X-Forwarded-For.
+app.set('trust proxy', 1);
+const rateLimits = createRateLimitStore();
+app.use(rateLimit({
+    store: rateLimits, name: 'ip', limit: IP_REQUESTS_PER_MINUTE, windowMs: MINUTE_MS, keyFor: req => req.ip,
+}));
+app.use(rateLimit({
+    store: rateLimits, name: 'user', limit: USER_REQUESTS_PER_MINUTE, windowMs: MINUTE_MS,
+    keyFor: req => req.signedCookies[SESSION_COOKIE],
+}));
+// Per-route limits, used after requireAuth
+const limitFriendRequests = rateLimit({
+    store: rateLimits, name: 'friend-requests', limit: FRIEND_REQUESTS_PER_HOUR, windowMs: HOUR_MS, keyFor: req => req.spotifyId,
+});
+const limitPlaylistExports = rateLimit({
+    store: rateLimits, name: 'playlists', limit: PLAYLIST_EXPORTS_PER_HOUR, windowMs: HOUR_MS, keyFor: req => req.spotifyId,
+});
+const limitTasteRefreshes = rateLimit({
+    store: rateLimits, name: 'taste', limit: TASTE_REFRESHES_PER_HOUR, windowMs: HOUR_MS, keyFor: req => req.spotifyId,
+});
+const limitPublicSnapshots = rateLimit({
+    store: rateLimits, name: 'public-snapshots', limit: PUBLIC_SNAPSHOTS_PER_MINUTE, windowMs: MINUTE_MS, keyFor: req => req.ip,
+});
 
-/** Calculates the distance between two points in km (Haversine Formula) */
-const haversine = (lat1, lon1, lat2, lon2) => {
-    [lat1, lon1, lat2, lon2] = [lat1, lon1, lat2, lon2].map(deg => deg * (Math.PI / 180));
-    const dLon = lon2 - lon1;
-    const dLat = lat2 - lat1;
-    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
-    const c = 2 * Math.asin(Math.sqrt(a));
-    return c * EARTH_RADIUS_KM;
+// Request schemas shared by several routes (see api/_lib/validation.js)
+const CIRCLE_FIELDS = {
+    latitude: number({ min: -90, max: 90, required: true }),
+    longitude: number({ min: -180, max: 180, required: true }),
+    radius_km: number({ min: 0.01, max: MAX_RADIUS_KM, default: 5 }),
+};
+// Longitudes may pass ±180 when the map wraps (normalizeBounds handles any value)
+const BOUNDS_FIELDS = {
+    south: number({ min: -90, max: 90, required: true }),
+    north: number({ min: -90, max: 90, required: true }),
+    west: number({ required: true }),
+    east: number({ required: true }),
+};
+const FILTER_FIELDS = {
+    artist: string({ maxLength: 100 }),
+    track: string({ maxLength: 100 }),
+    genre: string({ maxLength: 100 }),
+    playing_only: boolean(),
+    friends_only: boolean(),
+    max_idle_minutes: number({ min: 0, max: 7 * 24 * 60 }),
+};
+const PAGE_FIELDS = {
+    limit: number({ integer: true, min: 1, max: MAX_NEARBY_LIMIT, default: DEFAULT_NEARBY_LIMIT }),
+    cursor: string({ maxLength: 200 }),
+    group_by_venue: boolean(),
+    sort: string({ oneOf: PIN_SORTS, default: 'distance' }),
 };
+// Minutes east of UTC, as from -Date#getTimezoneOffset()
+const UTC_OFFSET_FIELD = number({ min: -14 * 60, max: 14 * 60, default: 0 });
 
-/** Utility to generate Spotify Auth URL */
-const getSpotifyAuthUrl = () => {
+// --- 4. SPOTIFY HELPERS (Replicating Python Logic) ---
+
+/** Utility to generate Spotify Auth URL; `challenge` is the PKCE code_challenge when enabled */
+const getSpotifyAuthUrl = (state, challenge) => {
     const params = new URLSearchParams({
         response_type: 'code',
         client_id: SPOTIPY_CLIENT_ID,
         scope: SCOPE,
         redirect_uri: SPOTIPY_REDIRECT_URI,
+        state,
         show_dialog: 'true',
+        ...(challenge && { code_challenge_method: 'S256', code_challenge: challenge }),
     });
-    return `https://accounts.spotify.com/authorize?${params.toString()}`;
+    return `${SPOTIFY_ACCOUNTS_URL}/authorize?${params.toString()}`;
 };
 
-/** Utility to get access/refresh tokens */
-const getTokens = async (code) => {
+/** POSTs a grant to the Spotify token endpoint with client credentials */
+const requestToken = async (params) => {
     const authString = Buffer.from(`${SPOTIPY_CLIENT_ID}:${SPOTIPY_CLIENT_SECRET}`).toString('base64');
-    const params = new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: SPOTIPY_REDIRECT_URI,
-    });
-    
-    const response = await axios.post('https://accounts.spotify.com/api/token', params.toString(), {
+    const response = await axios.post(`${SPOTIFY_ACCOUNTS_URL}/api/token`, new URLSearchParams(params).toString(), {
         headers: {
             'Authorization': `Basic ${authString}`,
             'Content-Type': 'application/x-www-form-urlencoded',
@@ -103,118 +263,1501 @@ const getTokens = async (code) => {
     return response.data;
 };
 
+/** Utility to get access/refresh tokens (`verifier` answers the PKCE challenge sent by /login) */
+const getTokens = (code, verifier) => requestToken({
+    grant_type: 'authorization_code',
+    code: code,
+    redirect_uri: SPOTIPY_REDIRECT_URI,
+    ...(verifier && { code_verifier: verifier }),
+});
+
+/** Thrown when a user's stored Spotify grant can no longer be used (never logged in, revoked, ...) */
+class SpotifyAuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SpotifyAuthError';
+    }
+}
+
+/**
+ * Returns a usable access token for the user, refreshing and persisting it if it has expired.
+ * Spotify may rotate the refresh token; the new one is stored when present.
+ */
+const getValidAccessToken = async (spotifyId) => {
+    const user = await users.getUser(spotifyId);
+    if (!user || !user.spotify_refresh_token) throw new SpotifyAuthError('No Spotify tokens stored for user');
+
+    if (user.spotify_access_token && user.expires_at - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+        return tokenCipher.decrypt(user.spotify_access_token);
+    }
+
+    let tokenData;
+    try {
+        tokenData = await requestToken({ grant_type: 'refresh_token', refresh_token: tokenCipher.decrypt(user.spotify_refresh_token) });
+    } catch (error) {
+        // 400 invalid_grant means the user revoked access or the refresh token is dead
+        if (error.response && error.response.status === 400) throw new SpotifyAuthError('Spotify refresh token rejected');
+        throw error;
+    }
+
+    // A refresh token still stored in plaintext (from before encryption) is re-written encrypted
+    const refreshToken = tokenData.refresh_token || tokenCipher.decrypt(user.spotify_refresh_token);
+    await users.updateUser(spotifyId, {
+        spotify_access_token: tokenCipher.encrypt(tokenData.access_token),
+        spotify_refresh_token: tokenCipher.encrypt(refreshToken),
+        ...(tokenData.scope !== undefined && { spotify_scope: tokenData.scope }),
+        expires_at: Date.now() + (tokenData.expires_in * 1000),
+        last_updated: SERVER_TIMESTAMP,
+    });
+
+    return tokenData.access_token;
+};
+
+/**
+ * Whether the user's stored grant includes every scope in `scopes`. Grants stored before
+ * spotify_scope was recorded count as the original read-only SCOPE.
+ */
+const hasScopes = (user, scopes) => {
+    const granted = new Set(String((user && user.spotify_scope) || '').split(' '));
+    return scopes.every(scope => granted.has(scope));
+};
+
+/** Maps a Spotify currently-playing payload to the shape MapComponent renders */
+const formatNowPlaying = (data) => {
+    const item = data && data.item;
+    // 204 No Content, ads and podcast episodes come back without a track item
+    if (!item || data.currently_playing_type !== 'track') return { is_playing: false };
+
+    const artists = item.artists || [];
+    const images = (item.album && item.album.images) || [];
+    return {
+        is_playing: Boolean(data.is_playing),
+        track_name: item.name,
+        artist: artists.map(a => a.name).join(', '),
+        artist_url: artists.length ? artists[0].external_urls.spotify : null,
+        album_art_url: images.length ? images[0].url : null,
+        track_url: item.external_urls.spotify,
+    };
+};
+
+// Shared per-user now-playing cache: { data, fetchedAt } plus in-flight requests so that
+// concurrent polls (e.g. several tabs) share a single Spotify call
+const nowPlayingCache = new Map();
+const nowPlayingInFlight = new Map();
+// Last state written to each user document, to skip redundant Firestore writes
+const lastPersistedTrack = new Map();
+// Spotify artist id -> genres; artist metadata rarely changes, so it's shared across users
+const artistGenresCache = new Map();
+const ARTIST_GENRES_CACHE_MAX = 5000;
+
+/** Returns the union of genres for the given artists, fetching unknown ones (best effort: [] on failure) */
+const getArtistGenres = async (accessToken, artistIds) => {
+    const missing = artistIds.filter(id => !artistGenresCache.has(id));
+    if (missing.length) {
+        try {
+            // The several-artists endpoint takes up to 50 ids per call
+            const response = await axios.get(`${SPOTIFY_API_URL}/artists`, {
+                params: { ids: missing.slice(0, 50).join(',') },
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+            });
+            if (artistGenresCache.size > ARTIST_GENRES_CACHE_MAX) artistGenresCache.clear();
+            for (const artist of response.data.artists || []) {
+                if (artist) artistGenresCache.set(artist.id, artist.genres || []);
+            }
+        } catch (error) {
+            console.error('ARTIST GENRES ERROR:', error.message);
+        }
+    }
+    return [...new Set(artistIds.flatMap(id => artistGenresCache.get(id) || []))];
+};
+
+/**
+ * Stores the user's last-known track on their document so /users/nearby can show (and filter) it.
+ * Writes when the track or play state changes, or periodically while it keeps playing.
+ */
+const persistLastTrack = async (spotifyId, data, { accessToken, artistIds = [] } = {}) => {
+    const previous = lastPersistedTrack.get(spotifyId);
+    const now = Date.now();
+    const changed = !previous
+        || previous.track_url !== data.track_url
+        || previous.is_playing !== data.is_playing;
+    if (!changed && (!data.is_playing || now - previous.writtenAt < LAST_TRACK_WRITE_INTERVAL_MS)) return;
+
+    const update = { is_playing: data.is_playing };
+    if (data.track_name) {
+        update.last_track = {
+            track_name: data.track_name,
+            artist: data.artist,
+            artist_url: data.artist_url,
+            album_art_url: data.album_art_url,
+            track_url: data.track_url,
+            genres: await getArtistGenres(accessToken, artistIds),
+        };
+        // Paused tracks keep the time they were last seen playing
+        if (data.is_playing) update.last_played_at = now;
+    }
+    await users.updateUser(spotifyId, update);
+    lastPersistedTrack.set(spotifyId, { track_url: data.track_url, is_playing: data.is_playing, writtenAt: now });
+
+    // Periodic refreshes of the same track aren't news for live subscribers or the history
+    if (changed) {
+        const user = await users.getUser(spotifyId);
+        const geohash = isGhosted(user) ? null : visibleGeohash(user);
+        if (geohash) live.publishTrack(formatNearbyUser({ id: spotifyId, ...user }), geohash, await audienceFor(spotifyId, user));
+        if (data.is_playing) await recordListeningEvent(spotifyId, user);
+    }
+};
+
+/**
+ * Appends a point to the user's listening history: where they were and what they were playing.
+ * Only users currently sharing their location are recorded, at their published (snapped) position.
+ */
+const recordListeningEvent = async (spotifyId, user) => {
+    const geohash = visibleGeohash(user);
+    // History is visible to every logged-in user, so only public users are recorded
+    if (!geohash || !user.last_track || !user.is_playing || visibilityOf(user) !== 'public') return;
+    if (isGhosted(user)) return;
+
+    const now = Date.now();
+    const { track_name, artist, artist_url, album_art_url, track_url, genres = [] } = user.last_track;
+    await users.addHistoryEvent({
+        user_id: spotifyId,
+        geohash,
+        latitude: user.latitude,
+        longitude: user.longitude,
+        timestamp: now,
+        expire_at: now + HISTORY_RETENTION_MS,
+        track_name, artist, artist_url, album_art_url, track_url, genres,
+    });
+};
+
+/**
+ * Pushes a user document change to live subscribers and the history: moves publish
+ * add/move/leave, track or play-state changes in place publish a track event.
+ * Repeat updates from a stationary client publish nothing.
+ */
+const announceChange = async (spotifyId, previous, current) => {
+    const from = visibleGeohash(previous);
+    const to = visibleGeohash(current);
+    const trackOf = (user) => (user && user.last_track ? `${user.last_track.track_url}|${user.is_playing}` : null);
+    const trackChanged = trackOf(previous) !== trackOf(current);
+    if (from === to && !trackChanged) return;
+
+    const pin = formatNearbyUser({ id: spotifyId, ...current });
+    const audience = await audienceFor(spotifyId, current);
+    if (from !== to) live.publishLocation(pin, from, to, audience);
+    else if (to) live.publishTrack(pin, to, audience);
+    // Moving or changing songs while a track plays extends the listener's trail
+    await recordListeningEvent(spotifyId, current);
+};
+
+/**
+ * Takes down the published positions of watched users whose quiet hours have started: unlike
+ * zones, a schedule starting isn't tied to any request, so nothing else would tell live viewers
+ * to drop the pin. Reads are bounded: at most QUIET_HOURS_SWEEP_MAX_CELLS of the cells watched
+ * on this instance per sweep, taking turns when there are more, and MAX_DOCS_PER_CELL users
+ * from each. Users it doesn't reach are still hidden, as every pin read checks isGhosted; the
+ * sweep only hurries the leave along for live viewers. Returns how many users were taken down.
+ */
+let quietHoursSweepOffset = 0;
+const sweepQuietHours = async () => {
+    const watched = live.watchedCells();
+    const start = watched.length > QUIET_HOURS_SWEEP_MAX_CELLS ? quietHoursSweepOffset % watched.length : 0;
+    const cells = [...watched.slice(start), ...watched.slice(0, start)].slice(0, QUIET_HOURS_SWEEP_MAX_CELLS);
+    quietHoursSweepOffset = start + cells.length;
+
+    const cellUsers = await Promise.all(cells.map(cell => users.findByGeohashPrefix(cell, { limit: MAX_DOCS_PER_CELL })));
+    const ghosted = new Map(cellUsers.flat().filter(isGhosted).map(user => [user.id, user]));
+    for (const user of ghosted.values()) {
+        await users.updateUser(user.id, { latitude: DELETE_FIELD, longitude: DELETE_FIELD, geohash: DELETE_FIELD });
+        live.publishLocation({ id: user.id }, visibleGeohash(user), null);
+    }
+    return ghosted.size;
+};
+
+// The sweep only has someone to tell while this instance holds /live streams, so it runs
+// while it does: wherever that is (local server, container or a streaming function)
+let quietHoursSweep = null;
+const watchQuietHours = () => {
+    if (quietHoursSweep) return;
+    quietHoursSweep = setInterval(
+        () => sweepQuietHours().catch(error => console.error('QUIET HOURS SWEEP ERROR:', error)),
+        QUIET_HOURS_SWEEP_MS,
+    );
+};
+const unwatchQuietHours = () => {
+    if (!quietHoursSweep || live.size() > 0) return;
+    clearInterval(quietHoursSweep);
+    quietHoursSweep = null;
+};
+
+/** Returns the user's current track, from cache when fresh, otherwise from the Spotify Web API */
+const getNowPlaying = async (spotifyId) => {
+    const cached = nowPlayingCache.get(spotifyId);
+    if (cached && Date.now() - cached.fetchedAt < NOW_PLAYING_CACHE_TTL_MS) return cached.data;
+    if (nowPlayingInFlight.has(spotifyId)) return nowPlayingInFlight.get(spotifyId);
+
+    const request = (async () => {
+        const accessToken = await getValidAccessToken(spotifyId);
+        const response = await axios.get(`${SPOTIFY_API_URL}/me/player/currently-playing`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+        });
+        const raw = response.status === 204 ? null : response.data;
+        const data = formatNowPlaying(raw);
+        const artistIds = ((raw && raw.item && raw.item.artists) || []).map(a => a.id).filter(Boolean);
+        nowPlayingCache.set(spotifyId, { data, fetchedAt: Date.now() });
+        // Best effort: a failed write must not break the user's own now-playing response
+        persistLastTrack(spotifyId, data, { accessToken, artistIds }).catch(error => console.error('LAST TRACK WRITE ERROR:', error.message));
+        return data;
+    })();
+
+    nowPlayingInFlight.set(spotifyId, request);
+    try {
+        return await request;
+    } finally {
+        nowPlayingInFlight.delete(spotifyId);
+    }
+};
+
+/**
+ * Slowest speed (km/h) that explains moving from the user's last raw fix to lat/lon, allowing
+ * for jitter. The fix (fix_latitude / fix_longitude / location_fix_at) outlives the published
+ * position, which switching sharing off or entering ghost mode deletes, so hiding for a moment
+ * doesn't allow a jump anywhere. 0 when there is nothing to compare with (first update).
+ */
+const travelSpeedKmh = (previous, lat, lon, now = Date.now()) => {
+    if (!previous || !previous.location_fix_at || !Number.isFinite(previous.fix_latitude)) return 0;
+    const distance = haversine(previous.fix_latitude, previous.fix_longitude, lat, lon) - LOCATION_JITTER_KM;
+    if (distance <= 0) return 0;
+    const hours = Math.max(now - previous.location_fix_at, 1000) / HOUR_MS;
+    return distance / hours;
+};
+
+/**
+ * Middleware: resolves the signed session cookie into req.spotifyId or rejects with 401.
+ * A cookie can outlive its account (deleted from another device); it is cleared here, so no
+ * route's updateUser merge-write can recreate the deleted user.
+ */
+const requireAuth = async (req, res, next) => {
+    const spotifyId = req.signedCookies[SESSION_COOKIE];
+    if (!spotifyId) return res.status(401).json({ error: 'Authentication required' });
+    try {
+        if (!(await users.getUser(spotifyId))) {
+            res.clearCookie(SESSION_COOKIE, SESSION_COOKIE_OPTIONS);
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+    } catch (error) {
+        console.error('AUTH ERROR:', error);
+        return res.status(500).json({ error: 'Failed to load your account.' });
+    }
+    req.spotifyId = spotifyId;
+    next();
+};
+
+/** The signed-in user's profile and settings as returned by GET/PATCH /me */
+const formatProfile = (spotifyId, user) => ({
+    id: spotifyId,
+    user_name: user.user_name || null,
+    profile_image_url: user.profile_image_url || null,
+    spotify_url: `https://open.spotify.com/user/${spotifyId}`,
+    location_sharing_enabled: user.location_sharing_enabled !== false,
+    location_precision: user.location_precision || DEFAULT_LOCATION_PRECISION,
+    visibility: visibilityOf(user),
+    exclusion_zones: user.exclusion_zones || [],
+    ghost_schedules: user.ghost_schedules || [],
+    timezone: user.timezone || null,
+    check_in: activeCheckIn(user),
+    taste_matching: Boolean(user.taste),
+    taste_updated_at: user.taste ? user.taste.updated_at : null,
+});
+
+/** Drops everything this instance keeps in memory about a user (logout / account deletion) */
+const forgetUser = (spotifyId) => {
+    nowPlayingCache.delete(spotifyId);
+    lastPersistedTrack.delete(spotifyId);
+};
+
+/** A user's visibility level, defaulting documents written before tiers existed to public */
+const visibilityOf = (user) => (user && user.visibility) || DEFAULT_VISIBILITY;
+
+/** Ids of the user's accepted (mutual) friends */
+const getFriendIds = async (spotifyId) => {
+    const friendships = await users.listFriendships(spotifyId);
+    return new Set(friendships
+        .filter(f => f.status === 'accepted')
+        .map(f => (f.requester === spotifyId ? f.addressee : f.requester)));
+};
+
+/** Whether a viewer (with their friend ids) may see the user on the map */
+const isVisibleTo = (user, friendIds) => {
+    const visibility = visibilityOf(user);
+    if (visibility === 'hidden') return false;
+    return visibility === 'public' || friendIds.has(user.id);
+};
+
+/** Live-event audience for a user: null = everyone, otherwise the Set of viewers allowed */
+const audienceFor = async (spotifyId, user) => {
+    const visibility = visibilityOf(user);
+    if (visibility === 'public') return null;
+    return visibility === 'friends' ? getFriendIds(spotifyId) : new Set();
+};
+
+/** Whether ghost mode hides the user's stored position right now (exclusion zone or quiet hours) */
+const isGhosted = (user) => ghostReason(user, user.latitude, user.longitude) !== null;
+
+/** Geohash under which a user currently appears to others, or null when they aren't sharing */
+const visibleGeohash = (user) => (user && user.location_sharing_enabled === true && user.geohash) || null;
+
+/** Geohash prefixes covering a center/radius search (see coveringCells in api/_lib/geo.js) */
+const searchCellsFor = (centerLat, centerLon, radiusKm) =>
+    coveringCellsForCircle(centerLat, centerLon, radiusKm, { maxCells: SEARCH_MAX_CELLS }).cells;
+
+/** Converts a max_idle_minutes request option into a last_played_at cutoff (null = no filter) */
+const activeSinceFor = (maxIdleMinutes) => (maxIdleMinutes > 0 ? Date.now() - maxIdleMinutes * 60 * 1000 : null);
+
+/**
+ * Which stored users a search may return. Users idle since before `activeSince` are
+ * skipped. Visibility tiers are enforced against `friendIds`
+ * (the viewer's friends), and users in ghost mode (inside an exclusion zone or quiet hours)
+ * are left out.
+ */
+const searchOptions = ({ excludeId, activeSince, friendIds = new Set() }) => ({
+    maxCells: SEARCH_MAX_CELLS,
+    maxDocsPerCell: MAX_DOCS_PER_CELL,
+    include: (user) => {
+        if (user.id === excludeId || !isVisibleTo(user, friendIds) || isGhosted(user)) return false;
+        return !activeSince || user.last_played_at >= activeSince;
+    },
+});
+
+/** Finds sharing users within radiusKm of the center, nearest first (see searchRadius) */
+const findUsersInRadius = (centerLat, centerLon, radiusKm, options = {}) =>
+    searchRadius(users, centerLat, centerLon, radiusKm, searchOptions(options));
+
+/** Finds sharing users inside a normalised bounding box, nearest its center first */
+const findUsersInBounds = (box, options = {}) => searchBox(users, box, searchOptions(options));
+
+// Venues are found with the same geohash planner as users
+const venueIndex = { findByGeohashPrefix: (prefix, options) => users.findVenuesByGeohashPrefix(prefix, options) };
+
+/** Finds venues within radiusKm of the center, nearest first */
+const findVenuesInRadius = (centerLat, centerLon, radiusKm) =>
+    searchRadius(venueIndex, centerLat, centerLon, radiusKm, { maxCells: SEARCH_MAX_CELLS, maxDocsPerCell: MAX_DOCS_PER_CELL });
+
+/** Listening history events within radiusKm of the center between from and to, in no particular order */
+const findHistoryInRadius = async (centerLat, centerLon, radiusKm, from, to) => {
+    const cells = searchCellsFor(centerLat, centerLon, radiusKm);
+    const cellEvents = await Promise.all(cells.map(cell => users.findHistory({ geohashPrefix: cell, from, to })));
+    return cellEvents.flat().filter(event => haversine(centerLat, centerLon, event.latitude, event.longitude) <= radiusKm);
+};
+
+/** The user's venue check-in ({ id, name, category, at }), or null when there is none or it has lapsed */
+const activeCheckIn = (user, now = Date.now()) => {
+    const checkIn = user && user.check_in;
+    return checkIn && now - checkIn.at < CHECK_IN_TTL_MS ? checkIn : null;
+};
+
+/**
+ * Opaque /users/nearby page cursor: the (distance, id) of the last pin returned, plus its taste
+ * score (see tasteRank) for pages sorted by taste
+ */
+const encodeCursor = (key) => Buffer.from(JSON.stringify([key.distance, key.id, key.match])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [distance, id, match = -1] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return Number.isFinite(distance) && typeof id === 'string' && Number.isFinite(match) ? { distance, id, match } : null;
+    } catch {
+        return null;
+    }
+};
+
+// Page orders for the `sort` field, over { distance, id, match } keys: nearest first, or
+// closest taste match first (users without a score last), then nearest
+const PIN_ORDERS = {
+    distance: byDistance,
+    taste: (a, b) => b.match - a.match || byDistance(a, b),
+};
+
+/** A pin's taste score for sorting; -1 when there is none */
+const tasteRank = (pin) => (pin.taste_match ? pin.taste_match.score : -1);
+
+/**
+ * Shapes a stored user document into the pin data MapComponent renders.
+ * Last-known track is written by the user's own /now-playing polling (persistLastTrack),
+ * or by the simulation for simulated listeners, which have no Spotify profile.
+ * Checked-in users are published at their venue's position and carry `venue`.
+ */
+const formatNearbyUser = (user) => {
+    const track = user.last_track || {};
+    const checkIn = activeCheckIn(user);
+    return {
+        id: user.id, latitude: user.latitude, longitude: user.longitude,
+        track_name: track.track_name || null, artist: track.artist || null,
+        artist_url: track.artist_url || null, album_art_url: track.album_art_url || null,
+        track_url: track.track_url || null, genres: track.genres || [],
+        user_name: user.user_name || 'Spotify User',
+        spotify_url: user.simulated ? null : `https://open.spotify.com/user/${user.id}`,
+        simulated: Boolean(user.simulated),
+        is_playing: Boolean(user.is_playing),
+        last_played_at: user.last_played_at || null,
+        venue: checkIn ? venueSummary(checkIn) : null,
+    };
+};
+
+/** A venue document as the API returns it */
+const formatVenue = (venue) => ({
+    id: venue.id, name: venue.name, category: venue.category,
+    latitude: venue.latitude, longitude: venue.longitude, radius_m: venue.radius_m,
+});
+
+/** Number of (active) check-ins per venue id among the given users */
+const countCheckIns = (found) => {
+    const counts = new Map();
+    for (const user of found) {
+        const checkIn = activeCheckIn(user);
+        if (checkIn) counts.set(checkIn.id, (counts.get(checkIn.id) || 0) + 1);
+    }
+    return counts;
+};
+
+/**
+ * Nests a page of pins under the venues their users are checked in to:
+ * { venues: [{ id, name, category, latitude, longitude, users: [pins] }], users: [everyone else] }
+ */
+const groupByVenue = (pins) => {
+    const venues = new Map();
+    const elsewhere = [];
+    for (const pin of pins) {
+        if (!pin.venue) {
+            elsewhere.push(pin);
+            continue;
+        }
+        if (!venues.has(pin.venue.id)) {
+            venues.set(pin.venue.id, { ...pin.venue, latitude: pin.latitude, longitude: pin.longitude, users: [] });
+        }
+        venues.get(pin.venue.id).users.push(pin);
+    }
+    return { venues: [...venues.values()], users: elsewhere };
+};
+
+/**
+ * Reads the optional /users/nearby filters from a request body: case-insensitive substring
+ * matches on artist, track and genre, plus playing_only for users listening right now
+ * and friends_only for the viewer's friends.
+ */
+const parseNearbyFilters = (body) => {
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null);
+    return {
+        artist: text(body.artist),
+        track: text(body.track),
+        genre: text(body.genre),
+        playingOnly: body.playing_only === true || body.playing_only === 'true',
+        friendsOnly: body.friends_only === true || body.friends_only === 'true',
+    };
+};
+
+/** Applies parseNearbyFilters output to a formatted pin */
+const matchesFilters = (pin, { artist, track, genre, playingOnly, friendsOnly }) => {
+    if (playingOnly && !pin.is_playing) return false;
+    if (friendsOnly && !pin.is_friend) return false;
+    if (artist && !(pin.artist || '').toLowerCase().includes(artist)) return false;
+    if (track && !(pin.track_name || '').toLowerCase().includes(track)) return false;
+    if (genre && !(pin.genres || []).some(g => g.toLowerCase().includes(genre))) return false;
+    return true;
+};
+
+/** Returns the most frequent non-empty value (ties go to the first seen) */
+const mostCommon = (values) => {
+    const counts = new Map();
+    let best = null;
+    for (const value of values) {
+        if (!value) continue;
+        counts.set(value, (counts.get(value) || 0) + 1);
+        if (best === null || counts.get(value) > counts.get(best)) best = value;
+    }
+    return best;
+};
+
+/**
+ * Aggregates pins into geohash cells for the density layer and zoomed-out clusters.
+ * Only counts and the cell's most-played track leave the server, never user ids or positions.
+ */
+const aggregateByCell = (pins, precision) => {
+    const cells = new Map();
+    for (const pin of pins) {
+        const hash = ngeohash.encode(pin.latitude, pin.longitude, precision);
+        if (!cells.has(hash)) cells.set(hash, []);
+        cells.get(hash).push(pin);
+    }
+
+    return [...cells.entries()].map(([hash, cellPins]) => {
+        const [minLat, minLon, maxLat, maxLon] = ngeohash.decode_bbox(hash);
+        const topTrackUrl = mostCommon(cellPins.map(pin => pin.track_url));
+        const topPin = cellPins.find(pin => pin.track_url === topTrackUrl) || {};
+        return {
+            geohash: hash,
+            latitude: (minLat + maxLat) / 2,
+            longitude: (minLon + maxLon) / 2,
+            bounds: [[minLat, minLon], [maxLat, maxLon]],
+            count: cellPins.length,
+            playing_count: cellPins.filter(pin => pin.is_playing !== false).length,
+            top_track_name: topPin.track_name || null,
+            top_album_art_url: topPin.album_art_url || null,
+        };
+    });
+};
+
+/**
+ * Start of a chart window in ms. 'today' starts at midnight in the client's timezone
+ * (utcOffsetMinutes as from -Date#getTimezoneOffset()); 'now' has no cutoff beyond is_playing.
+ */
+const chartWindowStart = (chartWindow, utcOffsetMinutes = 0, now = Date.now()) => {
+    if (chartWindow === 'hour') return now - 60 * 60 * 1000;
+    if (chartWindow === 'today') {
+        const offsetMs = utcOffsetMinutes * 60 * 1000;
+        const localMidnight = new Date(now + offsetMs).setUTCHours(0, 0, 0, 0);
+        return localMidnight - offsetMs;
+    }
+    return null;
+};
+
+/** Counts distinct listeners per key and returns the top `limit` as { ...entry, listeners } */
+const rankByListeners = (pins, keysFor, entryFor, limit) => {
+    const ranked = new Map();
+    for (const pin of pins) {
+        for (const key of new Set(keysFor(pin))) {
+            if (!key) continue;
+            if (!ranked.has(key)) ranked.set(key, { ...entryFor(pin, key), listeners: 0 });
+            ranked.get(key).listeners++;
+        }
+    }
+    return [...ranked.values()].sort((a, b) => b.listeners - a.listeners).slice(0, limit);
+};
+
+/**
+ * Builds the area leaderboard from pins. Each listener contributes their last-known track
+ * (one vote per listener), so a window ranks what people were most recently playing in it.
+ */
+const buildAreaCharts = (pins, limit) => ({
+    listeners: pins.length,
+    tracks: rankByListeners(pins, pin => [pin.track_url], pin => ({
+        track_name: pin.track_name, artist: pin.artist, track_url: pin.track_url, album_art_url: pin.album_art_url,
+    }), limit),
+    artists: rankByListeners(pins, pin => [pin.artist], pin => ({
+        artist: pin.artist, artist_url: pin.artist_url || null,
+    }), limit),
+    genres: rankByListeners(pins, pin => pin.genres || [], (pin, genre) => ({ genre }), limit),
+});
+
+/**
+ * Charts over listening history events, as buildAreaCharts does for pins, except that each
+ * listener's whole trail counts once per track, artist and genre.
+ */
+const buildHistoryCharts = (events, limit) => {
+    const trails = new Map(); // user_id -> events
+    for (const event of events) {
+        if (!trails.has(event.user_id)) trails.set(event.user_id, []);
+        trails.get(event.user_id).push(event);
+    }
+    const listeners = [...trails.values()];
+    const playOf = (trail, field, value) => trail.find(event => event[field] === value);
+    return {
+        listeners: listeners.length,
+        tracks: rankByListeners(listeners, trail => trail.map(event => event.track_url), (trail, trackUrl) => {
+            const play = playOf(trail, 'track_url', trackUrl);
+            return { track_name: play.track_name, artist: play.artist, track_url: trackUrl, album_art_url: play.album_art_url || null };
+        }, limit),
+        artists: rankByListeners(listeners, trail => trail.map(event => event.artist), (trail, artist) => ({
+            artist, artist_url: playOf(trail, 'artist', artist).artist_url || null,
+        }), limit),
+        genres: rankByListeners(listeners, trail => trail.flatMap(event => event.genres || []), (trail, genre) => ({ genre }), limit),
+    };
+};
+
+/**
+ * Charts for a circle and chart window from the pins found in it: what they play now, or for
+ * past windows (windowStart set) what they played plus the listening history since then.
+ */
+const buildWindowCharts = async (pins, { centerLat, centerLon, radiusKm, windowStart, limit }) => {
+    if (windowStart === null) return buildAreaCharts(pins, limit);
+
+    // Past windows also count what was played here earlier, including by people who have since left
+    const events = await findHistoryInRadius(centerLat, centerLon, radiusKm, windowStart, Date.now());
+    return buildHistoryCharts([...pins.map(pin => ({ user_id: pin.id, ...pin })), ...events], limit);
+};
+
+/** spotify:track URI for an open.spotify.com track link (null for anything else, e.g. simulated listeners' search links) */
+const trackUriFor = (trackUrl) => {
+    const match = /^https:\/\/open\.spotify\.com\/track\/([A-Za-z0-9]+)/.exec(trackUrl || '');
+    return match ? `spotify:track:${match[1]}` : null;
+};
+
+/**
+ * Tracks played inside a box since `since` (null = only what is playing right now), ranked
+ * by how many listeners played them: visible users' last-known tracks plus, for past
+ * windows, the listening history. Returns { listeners, tracks: [{ uri, track_name, artist, listeners }] }.
+ */
+const collectAreaTracks = async (box, since, { friendIds, limit }) => {
+    const current = await findUsersInBounds(box, { activeSince: since, friendIds });
+    const plays = current
+        .filter(user => since !== null || user.is_playing)
+        .map(user => ({ listener: user.id, ...formatNearbyUser(user) }));
+
+    if (since !== null) {
+        const { cells } = coveringCells(box, { maxCells: SEARCH_MAX_CELLS });
+        const cellEvents = await Promise.all(cells.map(cell => users.findHistory({ geohashPrefix: cell, from: since, to: Date.now() })));
+        for (const event of cellEvents.flat()) {
+            if (boxContains(box, event.latitude, event.longitude)) plays.push({ listener: event.user_id, ...event });
+        }
+    }
+
+    // One vote per listener and track, however often they played it; only real Spotify tracks can be added
+    const votes = new Map();
+    for (const play of plays) {
+        const uri = trackUriFor(play.track_url);
+        if (uri) votes.set(`${play.listener}|${uri}`, { ...play, uri });
+    }
+    return {
+        listeners: new Set([...votes.values()].map(play => play.listener)).size,
+        tracks: rankByListeners([...votes.values()], play => [play.uri], play => ({
+            uri: play.uri, track_name: play.track_name, artist: play.artist,
+        }), limit),
+    };
+};
+
 // --- 5. ROUTE IMPLEMENTATION ---
 
-app.get('/login', (req, res) => {
-    res.redirect(getSpotifyAuthUrl());
+// ?redirect=/path picks where in the frontend to land after logging in
+app.get('/login', validateQuery({ redirect: string({ maxLength: 500 }) }), (req, res) => {
+    const nonce = createNonce();
+    const pkce = SPOTIFY_USE_PKCE === 'true' ? createPkcePair() : null;
+    const state = signState({ nonce, redirect: safeRedirectPath(req.input.redirect) }, FLASK_SECRET_KEY);
+
+    res.cookie(AUTH_COOKIE, { nonce, ...(pkce && { verifier: pkce.verifier }) }, AUTH_COOKIE_OPTIONS);
+    res.redirect(getSpotifyAuthUrl(state, pkce && pkce.challenge));
 });
 
-app.get('/callback', async (req, res) => {
-    const code = req.query.code;
-    if (!code) return res.status(400).send('Error: No code provided.');
+app.get('/callback', validateQuery({
+    code: string({ maxLength: 1000 }),
+    state: string({ maxLength: 1000 }),
+    error: string({ maxLength: 100 }),
+}), async (req, res) => {
+    // Every outcome lands back on the frontend, failures with ?login_error= for a friendly message
+    const pending = req.signedCookies[AUTH_COOKIE];
+    res.clearCookie(AUTH_COOKIE, AUTH_COOKIE_OPTIONS);
+    const fail = (reason) => res.redirect(`${PROD_FRONTEND_URL}/?login_error=${reason}`);
+
+    const { code, error } = req.input;
+    // The user pressed Cancel on Spotify's consent screen
+    if (error) return fail(error === 'access_denied' ? LOGIN_ERRORS.denied : LOGIN_ERRORS.failed);
+
+    // Only complete logins this browser started: the signed state must carry the cookie's nonce
+    const state = verifyState(req.input.state, FLASK_SECRET_KEY);
+    if (!state || !pending || typeof pending !== 'object' || state.nonce !== pending.nonce) {
+        return fail(LOGIN_ERRORS.invalidState);
+    }
+    if (!code) return fail(LOGIN_ERRORS.failed);
 
     try {
-        const tokenData = await getTokens(code);
+        const tokenData = await getTokens(code, pending.verifier);
         const accessToken = tokenData.access_token;
 
-        const userProfileResponse = await axios.get('https://api.spotify.com/v1/me', {
+        const userProfileResponse = await axios.get(`${SPOTIFY_API_URL}/me`, {
             headers: { 'Authorization': `Bearer ${accessToken}` }
         });
-        const spotifyId = userProfileResponse.data.id;
+        const profile = userProfileResponse.data;
+        const spotifyId = profile.id;
 
-        // Save tokens to Firestore
-        await db.collection('users').doc(spotifyId).set({
-            spotify_access_token: tokenData.access_token,
-            spotify_refresh_token: tokenData.refresh_token,
+        // Save tokens to the user store
+        await users.updateUser(spotifyId, {
+            user_name: profile.display_name || null,
+            profile_image_url: (profile.images && profile.images.length) ? profile.images[0].url : null,
+            spotify_access_token: tokenCipher.encrypt(tokenData.access_token),
+            spotify_refresh_token: tokenCipher.encrypt(tokenData.refresh_token),
+            spotify_scope: tokenData.scope || '',
             expires_at: Date.now() + (tokenData.expires_in * 1000),
-            last_updated: FieldValue.serverTimestamp(),
+            last_updated: SERVER_TIMESTAMP,
             location_sharing_enabled: true, // Default to true
-        }, { merge: true });
+        });
 
         // Set session cookie (crucial for Flask/Express handoff)
         // Note: Express sessions are generally used, but using cookies for simplicity here
-        res.cookie('spotify_id', spotifyId, { 
-            signed: true, 
-            httpOnly: true, 
-            secure: true, 
-            sameSite: 'none', 
-        });
+        res.cookie(SESSION_COOKIE, spotifyId, SESSION_COOKIE_OPTIONS);
 
-        res.redirect(PROD_FRONTEND_URL);
+        res.redirect(PROD_FRONTEND_URL + (state.redirect || ''));
     } catch (error) {
         console.error('Spotify/Token Error:', error.message);
-        res.status(500).send('Authentication Failed.');
+        fail(LOGIN_ERRORS.failed);
     }
 });
 
-app.post('/users/nearby', async (req, res) => {
-    const spotifyId = req.signedCookies.spotify_id;
-    if (!spotifyId) return res.status(401).json({ error: 'Authentication required' });
+app.get('/me', requireAuth, async (req, res) => {
+    try {
+        const user = await users.getUser(req.spotifyId);
+        res.status(200).json(formatProfile(req.spotifyId, user));
+    } catch (error) {
+        console.error('ME ERROR:', error);
+        res.status(500).json({ error: 'Failed to load profile.' });
+    }
+});
+
+app.patch('/me', requireAuth, validateBody({
+    visibility: string({ oneOf: VISIBILITY_LEVELS }),
+    exclusion_zones: custom((value) => {
+        const { zones, error } = parseExclusionZones(value);
+        return error ? { error } : { value: zones };
+    }),
+    ghost_schedules: custom((value) => {
+        const { schedules, error } = parseGhostSchedules(value);
+        return error ? { error } : { value: schedules };
+    }),
+    timezone: custom(value => (isValidTimezone(value) ? { value } : { error: 'timezone must be an IANA time zone name' })),
+}), async (req, res) => {
+    // Only the settings present in the body change
+    const update = { ...req.input };
+
+    try {
+        const previous = await users.getUser(req.spotifyId);
+
+        let user = { ...previous, ...update };
+        const from = visibleGeohash(previous);
+
+        // A new zone or schedule covering the published position takes it down immediately
+        if (from && isGhosted(user)) {
+            Object.assign(update, { latitude: DELETE_FIELD, longitude: DELETE_FIELD, geohash: DELETE_FIELD });
+            const { latitude: _lat, longitude: _lon, geohash: _hash, ...rest } = user;
+            user = rest;
+            live.publishLocation({ id: req.spotifyId }, from, null);
+        }
+        await users.updateUser(req.spotifyId, update);
+
+        // Re-announce the pin so live viewers who lost (or gained) access update their maps
+        const geohash = visibleGeohash(user);
+        if (geohash && visibilityOf(previous) !== visibilityOf(user)) {
+            live.publishLocation({ id: req.spotifyId }, geohash, null);
+            live.publishLocation(formatNearbyUser({ id: req.spotifyId, ...user }), null, geohash,
+                await audienceFor(req.spotifyId, user));
+        }
+
+        res.status(200).json(formatProfile(req.spotifyId, user));
+    } catch (error) {
+        console.error('UPDATE SETTINGS ERROR:', error);
+        res.status(500).json({ error: 'Failed to update settings.' });
+    }
+});
+
+app.post('/logout', (req, res) => {
+    const spotifyId = req.signedCookies[SESSION_COOKIE];
+    if (spotifyId) forgetUser(spotifyId);
+    res.clearCookie(SESSION_COOKIE, SESSION_COOKIE_OPTIONS);
+    res.status(204).end();
+});
 
+app.delete('/me', requireAuth, async (req, res) => {
     try {
-        const { latitude: centerLat, longitude: centerLon, radius_km: radiusKm = 5 } = req.body;
-        
-        // 1. DYNAMIC PRECISION CALCULATION (Matching Python logic)
-        let precision;
-        if (radiusKm <= 2.5) precision = 6;
-        else if (radiusKm <= 20) precision = 5;
-        else if (radiusKm <= 80) precision = 4;
-        else if (radiusKm <= 600) precision = 3;
-        else precision = 2;
-
-        const currentGeohash = ngeohash.encode(centerLat, centerLon, precision);
-        const searchHashes = ngeohash.neighbors(currentGeohash);
-        searchHashes.push(currentGeohash); // Include center cell
-        
-        const nearbyUsersData = [];
-
-        for (const hashPrefix of searchHashes) {
-            // Note: Querying is complex in JS; this iterates over hash prefixes
-            const snapshot = await db.collection('users')
-                .where('geohash', '>=', hashPrefix)
-                .where('geohash', '<=', hashPrefix + '~')
-                .where('location_sharing_enabled', '==', true)
-                .get();
-
-            snapshot.docs.forEach(doc => {
-                const user = doc.data();
-                if (doc.id === spotifyId || !user.latitude || !user.longitude) return;
-
-                const distance = haversine(centerLat, centerLon, user.latitude, user.longitude);
-                
-                if (distance <= radiusKm * 1.1) { // 10% buffer
-                    // --- FAKE USER SIMULATION ---
-                    if (doc.id.includes("fake_user")) {
-                        return nearbyUsersData.push({
-                            id: doc.id, latitude: user.latitude, longitude: user.longitude,
-                            track_name: user.track || 'Simulated Song', artist: user.artist || 'Artist',
-                            album_art_url: user.image || '#', user_name: user.user_name || 'Anonymous',
-                            spotify_url: "https://open.spotify.com/",
-                            track_url: `https://open.spotify.com/search/${encodeURIComponent(user.track)}`,
-                        });
-                    }
-
-                    // --- REAL USER LOGIC (Simplified: Token Refresh/Fetch Music) ---
-                    // In a real Node app, you'd handle token refresh here and fetch current music.
-                    // For simplicity, we just return the user's location and name for now, 
-                    // assuming the current user's token is valid.
-                    
-                    return nearbyUsersData.push({
-                        id: doc.id, latitude: user.latitude, longitude: user.longitude,
-                        track_name: 'Real User Music', artist: 'Real Artist',
-                        album_art_url: 'https://placehold.co/64', user_name: user.user_name || 'Spotify User',
-                        spotify_url: `https://open.spotify.com/user/${doc.id}`,
-                        track_url: 'https://open.spotify.com/search/'
-                    });
-                }
+        const user = await users.getUser(req.spotifyId);
+
+        // The users document holds the profile, location and Spotify tokens
+        await users.deleteUser(req.spotifyId);
+        await users.deleteHistory(req.spotifyId);
+        const friendships = await users.listFriendships(req.spotifyId);
+        await Promise.all(friendships.map(f => users.deleteFriendship(f.requester, f.addressee)));
+        live.publishLocation({ id: req.spotifyId }, visibleGeohash(user), null);
+        forgetUser(req.spotifyId);
+        res.clearCookie(SESSION_COOKIE, SESSION_COOKIE_OPTIONS);
+        res.status(204).end();
+    } catch (error) {
+        console.error('DELETE ACCOUNT ERROR:', error);
+        res.status(500).json({ error: 'Failed to delete account.' });
+    }
+});
+
+app.get('/now-playing', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json(await getNowPlaying(req.spotifyId));
+    } catch (error) {
+        if (error instanceof SpotifyAuthError) {
+            return res.status(401).json({ error: 'Spotify authorization expired, please log in again' });
+        }
+        if (error.response && error.response.status === 429) {
+            // Spotify rate limit: tell the client when to come back instead of failing hard
+            res.set('Retry-After', error.response.headers['retry-after'] || '5');
+            return res.status(503).json({ error: 'Spotify rate limit reached' });
+        }
+        console.error('NOW PLAYING ERROR:', error.message);
+        res.status(502).json({ error: 'Failed to fetch current track from Spotify.' });
+    }
+});
+
+// Body arrives as form data from MapComponent ('on'/'off' checkbox semantics), but JSON works too
+app.post('/me/update-location', requireAuth, validateBody({
+    sharing: boolean({ default: true }),
+    lat: number({ min: -90, max: 90 }),
+    lon: number({ min: -180, max: 180 }),
+    precision: string({ oneOf: Object.keys(LOCATION_PRECISIONS) }),
+}), async (req, res) => {
+    const { sharing, lat, lon } = req.input;
+
+    try {
+        const previous = await users.getUser(req.spotifyId);
+
+        if (!sharing) {
+            // Sharing off: stop appearing in /users/nearby and forget the last published position
+            await users.updateUser(req.spotifyId, {
+                location_sharing_enabled: false,
+                latitude: DELETE_FIELD,
+                longitude: DELETE_FIELD,
+                geohash: DELETE_FIELD,
+                check_in: DELETE_FIELD,
+                location_updated_at: SERVER_TIMESTAMP,
+            });
+            live.publishLocation({ id: req.spotifyId }, visibleGeohash(previous), null);
+            return res.status(200).json({ sharing: false });
+        }
+
+        if (lat === undefined || lon === undefined) {
+            return res.status(400).json({ error: 'lat and lon are required while sharing' });
+        }
+        // Fall back to the user's saved choice so a client that omits it doesn't reset it
+        const level = req.input.precision || (previous && previous.location_precision) || DEFAULT_LOCATION_PRECISION;
+
+        if (travelSpeedKmh(previous, lat, lon) > MAX_TRAVEL_SPEED_KMH) {
+            return res.status(422).json({ error: 'Location rejected: it is too far from your last update to be reachable in the time since' });
+        }
+
+        // Ghost mode is checked against the raw position, so snapping can't leak a zone's edge
+        const ghosted = ghostReason(previous, lat, lon);
+        if (ghosted) {
+            await users.updateUser(req.spotifyId, {
+                location_sharing_enabled: true,
+                location_precision: level,
+                latitude: DELETE_FIELD,
+                longitude: DELETE_FIELD,
+                geohash: DELETE_FIELD,
+                check_in: DELETE_FIELD,
+                location_updated_at: SERVER_TIMESTAMP,
             });
+            live.publishLocation({ id: req.spotifyId }, visibleGeohash(previous), null);
+            return res.status(200).json({ sharing: true, precision: level, ghosted });
         }
-        res.status(200).json(nearbyUsersData);
+
+        // Checked in: keep publishing the venue's position while the fix is still there; leaving ends the check-in
+        const checkIn = activeCheckIn(previous);
+        const venue = checkIn && await users.getVenue(checkIn.id);
+        const atVenue = Boolean(venue) && distanceOutsideVenueKm(venue, lat, lon) <= CHECK_IN_SLACK_KM;
+
+        const { latitude, longitude } = atVenue ? venue : fuzzLocation(lat, lon, level);
+        const geohash = ngeohash.encode(latitude, longitude, GEOHASH_PRECISION);
+
+        const update = {
+            latitude,
+            longitude,
+            geohash,
+            location_precision: level,
+            location_sharing_enabled: true,
+            location_updated_at: SERVER_TIMESTAMP,
+            // The raw fix for travelSpeedKmh, in plain ms whatever timestamp type the store uses
+            fix_latitude: lat,
+            fix_longitude: lon,
+            location_fix_at: Date.now(),
+        };
+        if (previous && previous.check_in && !atVenue) update.check_in = DELETE_FIELD;
+        await users.updateUser(req.spotifyId, update);
+
+        const current = { ...previous, ...update };
+        if (update.check_in === DELETE_FIELD) delete current.check_in;
+        await announceChange(req.spotifyId, previous, current);
+
+        res.status(200).json({ sharing: true, precision: level, latitude, longitude, check_in: atVenue ? checkIn : null });
+    } catch (error) {
+        console.error('UPDATE LOCATION ERROR:', error);
+        res.status(500).json({ error: 'Failed to update location.' });
+    }
+});
+
+/**
+ * Shared by /users/nearby and /users/in-bounds: runs `search(options)`, applies the body's
+ * filters and returns one page of pins (limit / cursor; X-Next-Cursor when there are more).
+ * Viewers with taste matching on get each pin's `taste_match` against users who have it on too,
+ * and can sort by it. With group_by_venue the page comes back as { venues, users } (see groupByVenue).
+ */
+const respondWithPins = async (req, res, search) => {
+    const { limit, cursor, max_idle_minutes: maxIdleMinutes, sort } = req.input;
+    const filters = parseNearbyFilters(req.input);
+    const order = PIN_ORDERS[sort];
+
+    const after = cursor === undefined ? null : decodeCursor(cursor);
+    if (cursor !== undefined && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const [friendIds, viewer] = await Promise.all([getFriendIds(req.spotifyId), users.getUser(req.spotifyId)]);
+    const viewerTaste = viewer && viewer.taste;
+    const found = await search({
+        // Optional: hide users who haven't played anything for this long
+        excludeId: req.spotifyId, activeSince: activeSinceFor(maxIdleMinutes), friendIds,
+    });
+
+    // Filter before paging so every page is full; results come sorted by distance
+    const matching = found
+        .map((user) => {
+            const pin = { ...formatNearbyUser(user), is_friend: friendIds.has(user.id), taste_match: compareTaste(viewerTaste, user.taste) };
+            return { key: { distance: user.distance, id: user.id, match: tasteRank(pin) }, pin };
+        })
+        .filter(({ pin }) => matchesFilters(pin, filters))
+        .sort((a, b) => order(a.key, b.key))
+        .filter(({ key }) => !after || order(key, after) > 0);
+    const page = matching.slice(0, limit);
+
+    if (matching.length > limit) res.set('X-Next-Cursor', encodeCursor(page[page.length - 1].key));
+    const pins = page.map(({ pin }) => pin);
+    res.status(200).json(req.input.group_by_venue ? groupByVenue(pins) : pins);
+};
+
+app.post('/users/nearby', requireAuth, validateBody({ ...CIRCLE_FIELDS, ...FILTER_FIELDS, ...PAGE_FIELDS }), async (req, res) => {
+    try {
+        const { latitude: centerLat, longitude: centerLon, radius_km: radiusKm } = req.input;
+        await respondWithPins(req, res, options => findUsersInRadius(centerLat, centerLon, radiusKm, options));
     } catch (error) {
         console.error('NEARBY ERROR:', error);
         res.status(500).json({ error: 'Failed to query database.' });
     }
 });
 
+// Exactly the visible map rectangle (Leaflet getBounds()), instead of a circle around it
+app.post('/users/in-bounds', requireAuth, validateBody({ ...BOUNDS_FIELDS, ...FILTER_FIELDS, ...PAGE_FIELDS }), async (req, res) => {
+    const box = normalizeBounds(req.input);
+    if (!box) return res.status(400).json({ error: 'south must not be greater than north' });
+
+    try {
+        await respondWithPins(req, res, options => findUsersInBounds(box, options));
+    } catch (error) {
+        console.error('IN BOUNDS ERROR:', error);
+        res.status(500).json({ error: 'Failed to query database.' });
+    }
+});
+
+app.post('/users/density', requireAuth, validateBody({
+    ...CIRCLE_FIELDS,
+    ...FILTER_FIELDS,
+    cell_precision: number({ integer: true, min: 1, max: GEOHASH_PRECISION }),
+}), async (req, res) => {
+    try {
+        const {
+            latitude: centerLat, longitude: centerLon, radius_km: radiusKm,
+            max_idle_minutes: maxIdleMinutes, cell_precision: cellPrecision,
+        } = req.input;
+
+        // Default cells are one level finer than the search cells: ~20 cells across the radius
+        const precision = cellPrecision || geohashPrecisionForRadius(radiusKm) + 1;
+
+        const filters = parseNearbyFilters(req.input);
+        const friendIds = await getFriendIds(req.spotifyId);
+
+        const nearbyUsers = await findUsersInRadius(centerLat, centerLon, radiusKm, {
+            excludeId: req.spotifyId, activeSince: activeSinceFor(maxIdleMinutes), friendIds,
+        });
+        const pins = nearbyUsers
+            .map(user => ({ ...formatNearbyUser(user), is_friend: friendIds.has(user.id) }))
+            .filter(pin => matchesFilters(pin, filters));
+        res.status(200).json(aggregateByCell(pins, precision));
+    } catch (error) {
+        console.error('DENSITY ERROR:', error);
+        res.status(500).json({ error: 'Failed to query database.' });
+    }
+});
+
+app.post('/charts/area', requireAuth, validateBody({
+    ...CIRCLE_FIELDS,
+    window: string({ oneOf: CHART_WINDOWS, default: 'now' }),
+    limit: number({ integer: true, min: 1, max: MAX_CHART_LIMIT, default: DEFAULT_CHART_LIMIT }),
+    utc_offset_minutes: UTC_OFFSET_FIELD,
+}), async (req, res) => {
+    try {
+        const {
+            latitude: centerLat, longitude: centerLon, radius_km: radiusKm,
+            window: chartWindow, limit, utc_offset_minutes: utcOffsetMinutes,
+        } = req.input;
+
+        // The viewer counts towards their own area's charts
+        const windowStart = chartWindowStart(chartWindow, utcOffsetMinutes);
+        const nearbyUsers = await findUsersInRadius(centerLat, centerLon, radiusKm, {
+            activeSince: windowStart, friendIds: await getFriendIds(req.spotifyId),
+        });
+        const pins = nearbyUsers.map(formatNearbyUser)
+            .filter(pin => pin.track_url && (chartWindow !== 'now' || pin.is_playing));
+        const charts = await buildWindowCharts(pins, { centerLat, centerLon, radiusKm, windowStart, limit });
+        res.status(200).json({ window: chartWindow, ...charts });
+    } catch (error) {
+        console.error('CHARTS ERROR:', error);
+        res.status(500).json({ error: 'Failed to build area charts.' });
+    }
+});
+
+// Read-only "now playing here" for anyone, no login: what the embeddable widget and shared
+// links show. Only public listeners count (no viewer, so no friends), and no ids, names or
+// positions leave the server, just the area's charts.
+app.get('/public/snapshot', limitPublicSnapshots, validateQuery({
+    ...CIRCLE_FIELDS,
+    radius_km: number({ min: 0.01, max: MAX_PUBLIC_RADIUS_KM, default: 1 }),
+    window: string({ oneOf: CHART_WINDOWS, default: 'now' }),
+    limit: number({ integer: true, min: 1, max: MAX_PUBLIC_CHART_LIMIT, default: 5 }),
+    utc_offset_minutes: UTC_OFFSET_FIELD,
+}), async (req, res) => {
+    try {
+        const {
+            latitude: centerLat, longitude: centerLon, radius_km: radiusKm,
+            window: chartWindow, limit, utc_offset_minutes: utcOffsetMinutes,
+        } = req.input;
+
+        // Same charts as /charts/area; the listening history only holds public listeners too
+        const windowStart = chartWindowStart(chartWindow, utcOffsetMinutes);
+        const nearbyUsers = await findUsersInRadius(centerLat, centerLon, radiusKm, { activeSince: windowStart });
+        const pins = nearbyUsers.map(formatNearbyUser)
+            .filter(pin => pin.track_url && (chartWindow !== 'now' || pin.is_playing));
+        const charts = await buildWindowCharts(pins, { centerLat, centerLon, radiusKm, windowStart, limit });
+        if (charts.listeners < MIN_PUBLIC_LISTENERS) Object.assign(charts, { tracks: [], artists: [], genres: [] });
+
+        res.set('Cache-Control', `public, max-age=${PUBLIC_SNAPSHOT_MAX_AGE_S}`);
+        res.status(200).json({
+            latitude: centerLat, longitude: centerLon, radius_km: radiusKm, window: chartWindow,
+            min_listeners: MIN_PUBLIC_LISTENERS, generated_at: Date.now(), ...charts,
+        });
+    } catch (error) {
+        console.error('PUBLIC SNAPSHOT ERROR:', error);
+        res.status(500).json({ error: 'Failed to build the area snapshot.' });
+    }
+});
+
+// Saves "the sound of this neighbourhood": the visible area's most played tracks become a
+// private playlist in the viewer's Spotify account. Without a name it gets a dated default;
+// a blank name is rejected rather than silently replaced.
+app.post('/playlists/area', requireAuth, limitPlaylistExports, validateBody({
+    ...BOUNDS_FIELDS,
+    window: string({ oneOf: CHART_WINDOWS, default: 'today' }),
+    limit: number({ integer: true, min: 1, max: MAX_PLAYLIST_TRACKS, default: DEFAULT_PLAYLIST_TRACKS }),
+    name: string({ maxLength: MAX_PLAYLIST_NAME_LENGTH, notBlank: true }),
+    utc_offset_minutes: UTC_OFFSET_FIELD,
+}), async (req, res) => {
+    const box = normalizeBounds(req.input);
+    if (!box) return res.status(400).json({ error: 'south must not be greater than north' });
+    const { window: chartWindow, limit, name, utc_offset_minutes: utcOffsetMinutes } = req.input;
+
+    // Existing grants predate the playlist scope: the client sends the user back through /login
+    const reconsent = () => res.status(403).json({ error: 'Spotify playlist permission required, please log in again', reconsent: true });
+
+    try {
+        if (!hasScopes(await users.getUser(req.spotifyId), PLAYLIST_SCOPES)) return reconsent();
+
+        const since = chartWindowStart(chartWindow, utcOffsetMinutes);
+        const { listeners, tracks } = await collectAreaTracks(box, since, {
+            friendIds: await getFriendIds(req.spotifyId), limit,
+        });
+        if (tracks.length === 0) return res.status(404).json({ error: 'Nothing has been played in this area yet' });
+
+        const accessToken = await getValidAccessToken(req.spotifyId);
+        const headers = { 'Authorization': `Bearer ${accessToken}` };
+        const playlistName = name || `Sound of the neighbourhood · ${new Date().toISOString().slice(0, 10)}`;
+        const { data: playlist } = await axios.post(`${SPOTIFY_API_URL}/users/${encodeURIComponent(req.spotifyId)}/playlists`, {
+            name: playlistName,
+            public: false,
+            description: `What ${listeners} ${listeners === 1 ? 'listener was' : 'listeners were'} playing around here, saved from SpotiMap.`,
+        }, { headers });
+        await axios.post(`${SPOTIFY_API_URL}/playlists/${playlist.id}/tracks`, { uris: tracks.map(track => track.uri) }, { headers });
+
+        res.status(201).json({
+            id: playlist.id,
+            name: playlistName,
+            url: playlist.external_urls.spotify,
+            listeners,
+            tracks,
+        });
+    } catch (error) {
+        if (error instanceof SpotifyAuthError) {
+            return res.status(401).json({ error: 'Spotify authorization expired, please log in again' });
+        }
+        if (error.response && error.response.status === 403) return reconsent(); // Grant lost the scope
+        if (error.response && error.response.status === 429) {
+            res.set('Retry-After', error.response.headers['retry-after'] || '5');
+            return res.status(503).json({ error: 'Spotify rate limit reached' });
+        }
+        console.error('PLAYLIST ERROR:', error.message);
+        res.status(502).json({ error: 'Failed to create the Spotify playlist.' });
+    }
+});
+
+// Cells come either explicitly (?cells=dr5ru,dr5rv) or from the same center/radius as /users/nearby
+app.get('/live', requireAuth, validateQuery({
+    cells: list(string({ pattern: GEOHASH_PATTERN }), { maxItems: LIVE_MAX_CELLS }),
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    radius_km: CIRCLE_FIELDS.radius_km,
+}), (req, res) => {
+    const { latitude: lat, longitude: lon, radius_km: radiusKm } = req.input;
+    let cells = req.input.cells;
+    if (!cells) {
+        if (lat === undefined || lon === undefined) {
+            return res.status(400).json({ error: 'Provide cells, or latitude and longitude (and optional radius_km)' });
+        }
+        cells = searchCellsFor(lat, lon, radiusKm);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.write(`retry: ${LIVE_RETRY_MS}\n\n`);
+    send('ready', { cells });
+
+    const unsubscribe = live.subscribe({ cells, viewerId: req.spotifyId, send });
+    watchQuietHours();
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        unwatchQuietHours();
+    });
+});
+
+app.post('/history', requireAuth, validateBody({ ...CIRCLE_FIELDS, from: timestamp(), to: timestamp() }), async (req, res) => {
+    try {
+        const { latitude: centerLat, longitude: centerLon, radius_km: radiusKm } = req.input;
+        const to = req.input.to === undefined ? Date.now() : req.input.to;
+        const from = req.input.from === undefined ? to - HOUR_MS : req.input.from;
+        if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+        if (to - from > MAX_HISTORY_RANGE_MS) {
+            return res.status(400).json({ error: 'Time range is limited to 7 days' });
+        }
+
+        const events = (await findHistoryInRadius(centerLat, centerLon, radiusKm, from, to))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        // Trails are anonymised: listeners get ids that only hold within this response
+        const pseudonyms = new Map();
+        const listenerFor = (userId) => {
+            if (!pseudonyms.has(userId)) pseudonyms.set(userId, `listener-${pseudonyms.size + 1}`);
+            return pseudonyms.get(userId);
+        };
+
+        // Keep the most recent events when the window is too busy
+        const kept = events.slice(-MAX_HISTORY_EVENTS);
+        res.status(200).json({
+            from,
+            to,
+            truncated: kept.length < events.length,
+            events: kept.map(event => ({
+                listener: listenerFor(event.user_id),
+                latitude: event.latitude,
+                longitude: event.longitude,
+                timestamp: event.timestamp,
+                track_name: event.track_name,
+                artist: event.artist,
+                artist_url: event.artist_url || null,
+                album_art_url: event.album_art_url || null,
+                track_url: event.track_url,
+            })),
+        });
+    } catch (error) {
+        console.error('HISTORY ERROR:', error);
+        res.status(500).json({ error: 'Failed to load listening history.' });
+    }
+});
+
+// Venues near a point for the map and the check-in picker, nearest first, each with how many
+// people the viewer can see are checked in there
+app.get('/venues', requireAuth, validateQuery(CIRCLE_FIELDS), async (req, res) => {
+    try {
+        const { latitude: centerLat, longitude: centerLon, radius_km: radiusKm } = req.input;
+        const friendIds = await getFriendIds(req.spotifyId);
+        const [venues, present] = await Promise.all([
+            findVenuesInRadius(centerLat, centerLon, radiusKm),
+            findUsersInRadius(centerLat, centerLon, radiusKm, { friendIds }),
+        ]);
+        const checkIns = countCheckIns(present);
+        res.status(200).json(venues.slice(0, MAX_VENUES).map(venue => ({
+            ...formatVenue(venue), checked_in: checkIns.get(venue.id) || 0,
+        })));
+    } catch (error) {
+        console.error('VENUES ERROR:', error);
+        res.status(500).json({ error: 'Failed to load venues.' });
+    }
+});
+
+// A venue's page: who is checked in, what is playing there now, and its soundtrack over the
+// past week from the (anonymous, public-only) listening history
+app.get('/venues/:id', requireAuth, async (req, res) => {
+    try {
+        const venue = await users.getVenue(req.params.id);
+        if (!venue) return res.status(404).json({ error: 'Venue not found' });
+
+        const radiusKm = venue.radius_m / 1000;
+        const to = Date.now();
+        const [present, events] = await Promise.all([
+            findUsersInRadius(venue.latitude, venue.longitude, radiusKm, { friendIds: await getFriendIds(req.spotifyId) }),
+            findHistoryInRadius(venue.latitude, venue.longitude, radiusKm, to - VENUE_HISTORY_MS, to),
+        ]);
+        const playing = present.map(formatNearbyUser).filter(pin => pin.track_url && pin.is_playing);
+
+        res.status(200).json({
+            ...formatVenue(venue),
+            checked_in: countCheckIns(present).get(venue.id) || 0,
+            live: buildAreaCharts(playing, VENUE_CHART_LIMIT),
+            history: { from: to - VENUE_HISTORY_MS, to, ...buildHistoryCharts(events, VENUE_CHART_LIMIT) },
+        });
+    } catch (error) {
+        console.error('VENUE ERROR:', error);
+        res.status(500).json({ error: 'Failed to load venue.' });
+    }
+});
+
+// Checks the user in at a venue they are at (lat/lon is their current, unsnapped fix). Until
+// they leave, check out or CHECK_IN_TTL_MS passes, their pin sits at the venue and is grouped
+// under it, which deliberately reveals more than their chosen location precision.
+app.post('/me/check-in', requireAuth, validateBody({
+    venue_id: string({ required: true, maxLength: 200 }),
+    lat: number({ min: -90, max: 90, required: true }),
+    lon: number({ min: -180, max: 180, required: true }),
+}), async (req, res) => {
+    const { venue_id: venueId, lat, lon } = req.input;
+
+    try {
+        const [user, venue] = await Promise.all([users.getUser(req.spotifyId), users.getVenue(venueId)]);
+        if (!venue) return res.status(404).json({ error: 'Venue not found' });
+        if (!user || user.location_sharing_enabled === false) {
+            return res.status(409).json({ error: 'Turn on location sharing to check in' });
+        }
+        if (ghostReason(user, lat, lon)) {
+            return res.status(409).json({ error: 'Ghost mode is hiding you here, so you cannot check in' });
+        }
+        if (travelSpeedKmh(user, lat, lon) > MAX_TRAVEL_SPEED_KMH) {
+            return res.status(422).json({ error: 'Location rejected: it is too far from your last update to be reachable in the time since' });
+        }
+        if (distanceOutsideVenueKm(venue, lat, lon) > CHECK_IN_SLACK_KM) {
+            return res.status(422).json({ error: `You need to be at ${venue.name} to check in` });
+        }
+
+        const checkIn = { ...venueSummary(venue), at: Date.now() };
+        const update = {
+            check_in: checkIn,
+            latitude: venue.latitude,
+            longitude: venue.longitude,
+            geohash: venue.geohash,
+            location_updated_at: SERVER_TIMESTAMP,
+            fix_latitude: lat,
+            fix_longitude: lon,
+            location_fix_at: checkIn.at,
+        };
+        await users.updateUser(req.spotifyId, update);
+        await announceChange(req.spotifyId, user, { ...user, ...update });
+
+        res.status(200).json({ check_in: checkIn });
+    } catch (error) {
+        console.error('CHECK IN ERROR:', error);
+        res.status(500).json({ error: 'Failed to check in.' });
+    }
+});
+
+// Checking out moves the pin from the venue back to the user's last fix, snapped to their precision
+app.delete('/me/check-in', requireAuth, async (req, res) => {
+    try {
+        const previous = await users.getUser(req.spotifyId);
+        const update = { check_in: DELETE_FIELD };
+        if (previous.check_in && visibleGeohash(previous) && Number.isFinite(previous.fix_latitude)) {
+            const level = previous.location_precision || DEFAULT_LOCATION_PRECISION;
+            const { latitude, longitude } = fuzzLocation(previous.fix_latitude, previous.fix_longitude, level);
+            Object.assign(update, { latitude, longitude, geohash: ngeohash.encode(latitude, longitude, GEOHASH_PRECISION) });
+        }
+        await users.updateUser(req.spotifyId, update);
+
+        const { check_in: _checkIn, ...current } = { ...previous, ...update };
+        await announceChange(req.spotifyId, previous, current);
+        res.status(204).end();
+    } catch (error) {
+        console.error('CHECK OUT ERROR:', error);
+        res.status(500).json({ error: 'Failed to check out.' });
+    }
+});
+
+/** What the user's stored taste profile is based on, for the settings panel */
+const formatTaste = (taste) => ({
+    updated_at: taste.updated_at,
+    top_artists: taste.artists.slice(0, 10).map(artist => artist.name),
+    top_genres: taste.genres.slice(0, 10),
+    track_count: taste.tracks.length,
+});
+
+app.get('/me/taste', requireAuth, async (req, res) => {
+    try {
+        const user = await users.getUser(req.spotifyId);
+        if (!user || !user.taste) return res.status(404).json({ error: 'Taste matching is off' });
+        res.status(200).json(formatTaste(user.taste));
+    } catch (error) {
+        console.error('TASTE ERROR:', error);
+        res.status(500).json({ error: 'Failed to load your taste profile.' });
+    }
+});
+
+// Opts in to taste matching, or refreshes the stored profile: reads the user's top artists and
+// tracks from Spotify so /users/nearby can score them against other listeners who opted in
+app.post('/me/taste', requireAuth, limitTasteRefreshes, async (req, res) => {
+    // Existing grants predate the top-read scope: the client sends the user back through /login
+    const reconsent = () => res.status(403).json({ error: 'Spotify top artists permission required, please log in again', reconsent: true });
+
+    try {
+        if (!hasScopes(await users.getUser(req.spotifyId), TASTE_SCOPES)) return reconsent();
+
+        const accessToken = await getValidAccessToken(req.spotifyId);
+        const top = (type) => axios.get(`${SPOTIFY_API_URL}/me/top/${type}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+            params: { limit: TASTE_TOP_LIMIT, time_range: TASTE_TIME_RANGE },
+        }).then(response => response.data.items || []);
+        const [topArtists, topTracks] = await Promise.all([top('artists'), top('tracks')]);
+
+        const taste = buildTasteProfile(topArtists, topTracks);
+        await users.updateUser(req.spotifyId, { taste });
+        res.status(200).json(formatTaste(taste));
+    } catch (error) {
+        if (error instanceof SpotifyAuthError) {
+            return res.status(401).json({ error: 'Spotify authorization expired, please log in again' });
+        }
+        if (error.response && error.response.status === 403) return reconsent(); // Grant lost the scope
+        if (error.response && error.response.status === 429) {
+            res.set('Retry-After', error.response.headers['retry-after'] || '5');
+            return res.status(503).json({ error: 'Spotify rate limit reached' });
+        }
+        console.error('TASTE REFRESH ERROR:', error.message);
+        res.status(502).json({ error: 'Failed to load your top artists from Spotify.' });
+    }
+});
+
+// Opting out deletes the stored profile; nobody gets a score against the user any more
+app.delete('/me/taste', requireAuth, async (req, res) => {
+    try {
+        await users.updateUser(req.spotifyId, { taste: DELETE_FIELD });
+        res.status(204).end();
+    } catch (error) {
+        console.error('TASTE OPT OUT ERROR:', error);
+        res.status(500).json({ error: 'Failed to turn off taste matching.' });
+    }
+});
+
+/** Public profile summary used in friend lists */
+const friendSummary = async (spotifyId) => {
+    const user = await users.getUser(spotifyId);
+    return {
+        id: spotifyId,
+        user_name: (user && user.user_name) || null,
+        profile_image_url: (user && user.profile_image_url) || null,
+        spotify_url: `https://open.spotify.com/user/${spotifyId}`,
+    };
+};
+
+app.get('/friends', requireAuth, async (req, res) => {
+    try {
+        const me = req.spotifyId;
+        const friendships = await users.listFriendships(me);
+        const summaries = (list) => Promise.all(list.map(friendSummary));
+        const other = f => (f.requester === me ? f.addressee : f.requester);
+
+        res.status(200).json({
+            friends: await summaries(friendships.filter(f => f.status === 'accepted').map(other)),
+            incoming: await summaries(friendships.filter(f => f.status === 'pending' && f.addressee === me).map(other)),
+            outgoing: await summaries(friendships.filter(f => f.status === 'pending' && f.requester === me).map(other)),
+        });
+    } catch (error) {
+        console.error('FRIENDS ERROR:', error);
+        res.status(500).json({ error: 'Failed to load friends.' });
+    }
+});
+
+app.post('/friends/requests', requireAuth, limitFriendRequests, validateBody({
+    user_id: string({ required: true, maxLength: 128 }),
+}), async (req, res) => {
+    const me = req.spotifyId;
+    const target = req.input.user_id;
+    if (target === me) return res.status(400).json({ error: 'You cannot befriend yourself' });
+
+    try {
+        const targetUser = await users.getUser(target);
+        if (!targetUser || targetUser.simulated) return res.status(404).json({ error: 'User not found' });
+
+        const existing = await users.getFriendship(me, target);
+        if (existing && existing.status === 'accepted') return res.status(200).json({ status: 'accepted' });
+
+        // Requesting someone who already asked you completes the friendship
+        if (existing && existing.requester === target) {
+            await users.saveFriendship({ ...existing, status: 'accepted', accepted_at: Date.now() });
+            return res.status(200).json({ status: 'accepted' });
+        }
+
+        if (!existing) {
+            await users.saveFriendship({ requester: me, addressee: target, status: 'pending', created_at: Date.now() });
+        }
+        res.status(201).json({ status: 'pending' });
+    } catch (error) {
+        console.error('FRIEND REQUEST ERROR:', error);
+        res.status(500).json({ error: 'Failed to send friend request.' });
+    }
+});
+
+app.post('/friends/requests/:id/accept', requireAuth, async (req, res) => {
+    try {
+        const existing = await users.getFriendship(req.spotifyId, req.params.id);
+        if (!existing || existing.status !== 'pending' || existing.addressee !== req.spotifyId) {
+            return res.status(404).json({ error: 'No pending request from this user' });
+        }
+        await users.saveFriendship({ ...existing, status: 'accepted', accepted_at: Date.now() });
+        res.status(200).json({ status: 'accepted' });
+    } catch (error) {
+        console.error('FRIEND ACCEPT ERROR:', error);
+        res.status(500).json({ error: 'Failed to accept friend request.' });
+    }
+});
+
+// Unfriend, decline an incoming request or cancel an outgoing one
+app.delete('/friends/:id', requireAuth, async (req, res) => {
+    try {
+        if (!(await users.getFriendship(req.spotifyId, req.params.id))) {
+            return res.status(404).json({ error: 'No friendship or request with this user' });
+        }
+        await users.deleteFriendship(req.spotifyId, req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('FRIEND DELETE ERROR:', error);
+        res.status(500).json({ error: 'Failed to remove friend.' });
+    }
+});
+
+// Malformed or oversized bodies get the same { error } shape as every other 400
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON' });
+    if (error.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large' });
+    next(error);
+});
+
+// Local development: `node api/api.js` serves the API where the Vite dev proxy expects it
+if (require.main === module) {
+    const port = process.env.PORT || 5000;
+    app.listen(port, '127.0.0.1', () => console.log(`SpotiMap API listening on http://127.0.0.1:${port}`));
+
+    if (SIMULATION_CITY) {
+        const simulation = createSimulation({ city: SIMULATION_CITY, count: Number(SIMULATION_COUNT), seed: Number(SIMULATION_SEED) });
+        runSimulation({ store: users, simulation, intervalMs: Number(SIMULATION_INTERVAL_MS), onUpdate: announceChange })
+            .then(() => console.log(`Simulating ${SIMULATION_COUNT} listeners in ${SIMULATION_CITY}`))
+            .catch(error => console.error('SIMULATION ERROR:', error));
+    }
+
+    if (VENUES_FILE) {
+        Promise.resolve()
+            .then(() => importVenues(users, JSON.parse(fs.readFileSync(VENUES_FILE, 'utf8'))))
+            .then(count => console.log(`Loaded ${count} venues from ${VENUES_FILE}`))
+            .catch(error => console.error('VENUES FILE ERROR:', error));
+    }
+}
+
 // Vercel serverless function export
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,128 @@
+// bench/nearby.bench.js
+//
+// Compares the /users/nearby spatial lookup with the original precision-ladder scan on a
+// seeded in-memory dataset. Each store query is charged a simulated round trip, and every
+// document a query returns counts as a read (what Firestore bills).
+//
+//   npm run bench                     # 20000 listeners, 15 ms per query
+//   BENCH_USERS=50000 BENCH_LATENCY_MS=30 npm run bench
+
+const ngeohash = require('ngeohash');
+const { createMemoryUserStore } = require('../api/_lib/memoryUserStore');
+const { haversine, geohashPrecisionForRadius, GEOHASH_PRECISION } = require('../api/_lib/geo');
+const { SEARCH_MAX_CELLS, MAX_DOCS_PER_CELL, searchRadius } = require('../api/_lib/spatialSearch');
+const { createRandom } = require('../api/_lib/simulation');
+
+const USER_COUNT = Number(process.env.BENCH_USERS) || 20000;
+const LATENCY_MS = Number(process.env.BENCH_LATENCY_MS ?? 15);
+const RADII_KM = [0.5, 2, 5, 20, 80, 300];
+const CENTER = { lat: 40.758, lon: -73.9855 }; // Times Square
+
+// Same seeded PRNG as the simulation, so every run sees the same dataset
+const random = createRandom(0x5eed);
+
+/** Normally distributed offset (Box-Muller) */
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+/** Listeners clustered around a few hotspots, plus a thin spread across the region */
+const seed = () => {
+    const hotspots = [
+        { lat: 40.758, lon: -73.9855, km: 1.5 },  // Midtown
+        { lat: 40.7081, lon: -73.9571, km: 2 },   // Williamsburg
+        { lat: 40.7306, lon: -73.9866, km: 1 },   // East Village
+        { lat: 40.6782, lon: -73.9442, km: 4 },   // Brooklyn
+    ];
+    const docs = {};
+    for (let i = 0; i < USER_COUNT; i++) {
+        let lat;
+        let lon;
+        if (random() < 0.85) {
+            const spot = hotspots[Math.floor(random() * hotspots.length)];
+            lat = spot.lat + (gaussian() * spot.km) / 111.32;
+            lon = spot.lon + (gaussian() * spot.km) / 84.3;
+        } else {
+            lat = CENTER.lat + (random() - 0.5) * 6;
+            lon = CENTER.lon + (random() - 0.5) * 8;
+        }
+        docs[`bench-${i}`] = {
+            latitude: lat,
+            longitude: lon,
+            geohash: ngeohash.encode(lat, lon, GEOHASH_PRECISION),
+            location_sharing_enabled: true,
+        };
+    }
+    return docs;
+};
+
+/** Wraps a store so prefix queries cost LATENCY_MS and are counted */
+const instrument = (store) => {
+    const stats = { queries: 0, reads: 0 };
+    const findByGeohashPrefix = store.findByGeohashPrefix;
+    return {
+        stats,
+        store: {
+            ...store,
+            async findByGeohashPrefix(prefix, options) {
+                await new Promise(done => setTimeout(done, LATENCY_MS));
+                const result = await findByGeohashPrefix(prefix, options);
+                stats.queries++;
+                stats.reads += result.length;
+                return result;
+            },
+        },
+    };
+};
+
+/** The lookup /users/nearby used before the planner: 9 ladder cells, one query at a time */
+const legacySearch = async (store, lat, lon, radiusKm) => {
+    const center = ngeohash.encode(lat, lon, geohashPrecisionForRadius(radiusKm));
+    const found = [];
+    for (const cell of [...ngeohash.neighbors(center), center]) {
+        for (const user of await store.findByGeohashPrefix(cell)) {
+            const distance = haversine(lat, lon, user.latitude, user.longitude);
+            if (distance <= radiusKm * 1.1) found.push({ ...user, distance });
+        }
+    }
+    return found;
+};
+
+/** The planner with the budget /users/nearby runs with, so `missed` shows what the cap costs */
+const plannedSearch = (store, lat, lon, radiusKm) =>
+    searchRadius(store, lat, lon, radiusKm, { maxCells: SEARCH_MAX_CELLS, maxDocsPerCell: MAX_DOCS_PER_CELL });
+
+const main = async () => {
+    const docs = seed();
+    const base = createMemoryUserStore(docs);
+    const all = Object.entries(docs).map(([id, doc]) => ({ id, ...doc }));
+
+    console.log(`${USER_COUNT} listeners, ${LATENCY_MS} ms per query\n`);
+    const rows = [];
+    for (const radiusKm of RADII_KM) {
+        const expected = all.filter(u => haversine(CENTER.lat, CENTER.lon, u.latitude, u.longitude) <= radiusKm).length;
+
+        for (const [name, search] of [['ladder', legacySearch], ['planner', plannedSearch]]) {
+            const { store, stats } = instrument(base);
+            const started = process.hrtime.bigint();
+            const found = await search(store, CENTER.lat, CENTER.lon, radiusKm);
+            const ms = Number(process.hrtime.bigint() - started) / 1e6;
+
+            const inCircle = new Set(found.filter(u => u.distance <= radiusKm).map(u => u.id));
+            rows.push({
+                radius_km: radiusKm,
+                strategy: name,
+                queries: stats.queries,
+                docs_read: stats.reads,
+                results: found.length,
+                duplicates: found.length - new Set(found.map(u => u.id)).size,
+                missed: expected - inCircle.size,
+                ms: Math.round(ms),
+            });
+        }
+    }
+    console.table(rows);
+};
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
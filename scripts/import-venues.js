@@ -0,0 +1,26 @@
+// scripts/import-venues.js
+//
+// Loads venues from a GeoJSON FeatureCollection (e.g. an OSM extract exported with
+// overpass-turbo) into the configured user store (see api/_lib/userStore.js and api/_lib/venues.js).
+// Venues are keyed by their OSM id, so re-importing an updated extract replaces them.
+//
+//   npm run import-venues -- venues.geojson
+//
+// With the in-memory store the venues would only exist in this process; start the API with
+// VENUES_FILE=<file> instead so it loads them itself.
+
+const fs = require('fs');
+const { createUserStore } = require('../api/_lib/userStore');
+const { importVenues } = require('../api/_lib/venues');
+
+const main = async () => {
+    const file = process.argv[2];
+    if (!file) throw new Error('Usage: npm run import-venues -- <file.geojson>');
+    const count = await importVenues(createUserStore(), JSON.parse(fs.readFileSync(file, 'utf8')));
+    console.log(`Imported ${count} venues from ${file}`);
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
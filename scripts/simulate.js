@@ -0,0 +1,57 @@
+// scripts/simulate.js
+//
+// Seeds simulated listeners into the configured user store (see api/_lib/userStore.js)
+// and keeps them wandering and changing songs until interrupted.
+//
+//   npm run simulate -- --city london --count 300
+//   npm run simulate -- --city nyc --once        # seed and exit
+//   npm run simulate -- --city nyc --clear       # delete a previous run's listeners
+//
+// With the in-memory store the listeners would only exist in this process; start the API
+// with SIMULATION_CITY=<city> instead so it hosts them itself.
+
+const { parseArgs } = require('node:util');
+const { createUserStore } = require('../api/_lib/userStore');
+const { createSimulation, runSimulation, clearSimulation } = require('../api/_lib/simulation');
+const { CITIES } = require('../api/_lib/simulationCatalog');
+
+const { values: args } = parseArgs({
+    options: {
+        city: { type: 'string', default: 'nyc' },
+        count: { type: 'string', default: '100' },
+        seed: { type: 'string', default: '1' },
+        interval: { type: 'string', default: '5000' },
+        once: { type: 'boolean', default: false },
+        clear: { type: 'boolean', default: false },
+    },
+});
+
+const main = async () => {
+    if (!CITIES[args.city]) throw new Error(`Unknown city "${args.city}" (known: ${Object.keys(CITIES).join(', ')})`);
+    const store = createUserStore();
+    const simulation = createSimulation({ city: args.city, count: Number(args.count), seed: Number(args.seed) });
+
+    if (args.clear) {
+        await clearSimulation(store, simulation);
+        console.log(`Removed ${args.count} simulated listeners`);
+        return;
+    }
+
+    const stop = await runSimulation({ store, simulation, intervalMs: Number(args.interval) });
+    console.log(`Seeded ${args.count} simulated listeners in ${CITIES[args.city].name}`);
+    if (args.once) {
+        await stop();
+        return;
+    }
+
+    console.log(`Stepping every ${args.interval} ms, Ctrl+C to stop`);
+    process.once('SIGINT', async () => {
+        await stop();
+        process.exit(0);
+    });
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
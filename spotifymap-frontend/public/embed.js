@@ -0,0 +1,31 @@
+/*
+ * SpotiMap "now playing here" widget loader. Paste next to where the widget should appear:
+ *
+ *   <script src="https://<spotimap host>/embed.js" data-lat="53.48080" data-lng="-2.24260" async></script>
+ *
+ * Optional attributes: data-radius (km, up to 25), data-window (now | hour | today), data-limit (up to 10),
+ * data-title, data-theme (dark | light), data-width and data-height (px).
+ * The script replaces itself with an iframe showing widget.html from the same host.
+ */
+(function () {
+    var script = document.currentScript;
+    if (!script || !script.src) return;
+
+    var params = new URLSearchParams();
+    ['lat', 'lng', 'radius', 'window', 'limit', 'title', 'theme'].forEach(function (name) {
+        var value = script.getAttribute('data-' + name);
+        if (value) params.set(name, value);
+    });
+
+    var iframe = document.createElement('iframe');
+    iframe.src = new URL('/widget.html?' + params.toString(), script.src).toString();
+    iframe.title = script.getAttribute('data-title') || 'Now playing nearby on SpotiMap';
+    iframe.loading = 'lazy';
+    iframe.style.border = '0';
+    iframe.style.borderRadius = '12px';
+    iframe.style.width = '100%';
+    iframe.style.maxWidth = (script.getAttribute('data-width') || '360') + 'px';
+    iframe.style.height = (script.getAttribute('data-height') || '400') + 'px';
+
+    script.parentNode.replaceChild(iframe, script);
+})();
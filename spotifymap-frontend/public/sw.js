@@ -0,0 +1,168 @@
+/*
+ * SpotiMap service worker (registered by src/main.jsx in production builds). Keeps the map
+ * usable offline: the app shell comes from the cache when the network is down, and CARTO
+ * tiles the user has looked at recently stay available. API calls are never cached.
+ *
+ * It also keeps the position update the page is holding while offline (the outbox, see
+ * src/api/offlineQueue.js) and sends it with Background Sync if the page is closed before the
+ * connection returns. Service workers get no geolocation, so nothing newer is captured then.
+ *
+ * Bump CACHE_VERSION when the caching rules change; old caches are deleted on activation.
+ */
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `spotimap-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `spotimap-tiles-${CACHE_VERSION}`;
+const SHELL_FILES = ['/manifest.webmanifest', '/icon.svg'];
+
+// Most recently fetched tiles kept for offline viewing (a few screens' worth at a handful of zoom levels)
+const MAX_CACHED_TILES = 500;
+const TILE_HOST_PATTERN = /^[a-d]\.basemaps\.cartocdn\.com$/;
+
+// The shell: the map page plus the hashed scripts and styles it loads. They were fetched
+// before this worker existed, so they are fetched again here rather than picked up later.
+const cacheShell = async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const page = await fetch('/');
+    if (!page.ok) throw new Error(`Could not fetch the app shell (${page.status})`);
+    const html = await page.clone().text();
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+    await cache.addAll([...SHELL_FILES, ...assets]);
+    await cache.put('/', page);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key !== SHELL_CACHE && key !== TILE_CACHE)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The map page: network first so deploys show up straight away, the cached shell offline.
+// Shared map links carry their view in the query string, so every variant gets the same shell.
+const fetchPage = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put('/', response.clone());
+        return response;
+    } catch (error) {
+        const shell = await cache.match('/');
+        if (shell) return shell;
+        throw error;
+    }
+};
+
+// Built scripts and styles have content hashes in their names, so a cached copy is never stale
+const fetchAsset = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+// Tiles: cache first, dropping the oldest once there are too many
+const fetchTile = async (request) => {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_TILES)).map((key) => cache.delete(key)));
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (TILE_HOST_PATTERN.test(url.hostname)) {
+        event.respondWith(fetchTile(request));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+        if (request.mode === 'navigate' && (url.pathname === '/' || url.pathname === '/index.html')) {
+            event.respondWith(fetchPage(request));
+        } else if (url.pathname.startsWith('/assets/')) {
+            event.respondWith(fetchAsset(request));
+        }
+    }
+});
+
+// --- Outbox ---
+const OUTBOX_DB = 'spotimap-outbox';
+const OUTBOX_STORE = 'updates';
+const OUTBOX_SYNC_TAG = 'spotimap-outbox';
+// A held position older than this is no longer where the user is, so it isn't sent
+const MAX_HELD_AGE_MS = 15 * 60 * 1000;
+
+const openOutbox = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs one request against the outbox store, resolving with its result once the transaction commits
+const withOutbox = async (mode, run) => {
+    const db = await openOutbox();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = run(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+// A network failure rejects, so the browser retries the sync later; any answer from the server
+// settles the update, as the page would have
+const flushOutbox = async () => {
+    // An open page sends what it holds itself, along with anything newer
+    const pages = await self.clients.matchAll({ type: 'window' });
+    if (pages.length > 0) return;
+
+    const keys = await withOutbox('readonly', (store) => store.getAllKeys());
+    for (const key of keys) {
+        const update = await withOutbox('readonly', (store) => store.get(key));
+        if (update && Date.now() - update.held_at <= MAX_HELD_AGE_MS) {
+            await fetch(update.url, {
+                method: update.method,
+                headers: { 'Content-Type': update.contentType },
+                body: update.body,
+                credentials: 'include',
+            });
+        }
+        await withOutbox('readwrite', (store) => store.delete(key));
+    }
+};
+
+self.addEventListener('message', (event) => {
+    const { type, key, request } = event.data || {};
+    if (type === 'outbox-hold') {
+        event.waitUntil(withOutbox('readwrite', (store) => store.put({ ...request, held_at: Date.now() }, key))
+            // Without Background Sync (Firefox, Safari) the update only goes out while the page is open
+            .then(() => self.registration.sync?.register(OUTBOX_SYNC_TAG)));
+    } else if (type === 'outbox-clear') {
+        event.waitUntil(withOutbox('readwrite', (store) => store.delete(key)));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) event.waitUntil(flushOutbox());
+});
@@ -1,46 +1,101 @@
 // src/App.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { SWRConfig } from 'swr';
 import MapComponent from './components/MapComponent';
 import LoginButton from './components/LoginButton';
-import axios from 'axios';
+import ErrorBanner from './components/ErrorBanner';
+import { api, fetcher, getMe, notifyError, setUnauthorizedHandler } from './api/client';
 import './App.css';
 
-const BACKEND_URL = 'http://127.0.0.1:5000';
+// Polled data (SWR) goes through the shared client; failures show in the banner
+const SWR_OPTIONS = {
+    fetcher,
+    onError: (error) => notifyError(error),
+    shouldRetryOnError: false, // The client already retries with backoff
+};
+
+// /callback sends failed logins back with ?login_error=<reason>
+const LOGIN_ERROR_MESSAGES = {
+    access_denied: 'You cancelled the Spotify login. Connect again whenever you are ready.',
+    invalid_state: 'That login link expired or was not started here. Please try again.',
+    failed: 'Spotify login failed, please try again.',
+};
+
+/** Reads (and removes from the address bar) the login error /callback reported, if any */
+const takeLoginError = () => {
+    const params = new URLSearchParams(window.location.search);
+    const reason = params.get('login_error');
+    if (!reason) return null;
+    params.delete('login_error');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    return LOGIN_ERROR_MESSAGES[reason] || LOGIN_ERROR_MESSAGES.failed;
+};
 
 function App() {
-    const [isLoggedIn, setIsLoggedIn] = useState(false);
+    const [user, setUser] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
+    const [notice, setNotice] = useState(null); // Shown on the login screen after logout/deletion
+    const [loginError] = useState(takeLoginError);
 
-    // Check if the user is authenticated by hitting the Flask '/' route
+    // Ask the API who we are; a 401 (no session yet) just means the login screen
     useEffect(() => {
-        // We must enable withCredentials to send the Flask session cookie
-        axios.get(BACKEND_URL, { withCredentials: true })
-            .then(response => {
-                // If the Flask server returns the "Logged In!" HTML, the session is active.
-                if (response.data.includes('Logged In!')) {
-                    setIsLoggedIn(true);
-                } else {
-                    setIsLoggedIn(false);
-                }
-            })
-            .catch(() => {
-                // If the request fails (e.g., server down or 401/404), assume logged out
-                setIsLoggedIn(false);
+        getMe()
+            .then(setUser)
+            .catch((error) => {
+                if (error.response?.status !== 401) notifyError(error, 'Could not load your profile.');
+                setUser(null);
             })
             .finally(() => {
                 setIsLoading(false);
             });
     }, []);
 
+    // Any other 401 means the session (or the Spotify grant behind it) ended while the map was open
+    useEffect(() => {
+        setUnauthorizedHandler(() => {
+            setUser(null);
+            setNotice('Your session expired, please log in again.');
+        });
+        return () => setUnauthorizedHandler(null);
+    }, []);
+
+    const handleLogout = useCallback(async () => {
+        try {
+            await api.post('/logout');
+        } catch (error) {
+            notifyError(error, 'Could not log out on the server.');
+        } finally {
+            setUser(null);
+            setNotice('You have been logged out.');
+        }
+    }, []);
+
+    const handleDeleteAccount = useCallback(async () => {
+        if (!window.confirm('Delete your SpotiMap account? Your location, settings and Spotify connection will be erased.')) return;
+        try {
+            await api.delete('/me');
+            setUser(null);
+            setNotice('Your account and stored data have been deleted.');
+        } catch (error) {
+            notifyError(error, 'Could not delete your account, please try again.');
+        }
+    }, []);
+
     if (isLoading) {
         return <div style={{ padding: '50px', textAlign: 'center' }}>Checking login status...</div>;
     }
 
     return (
-        <div className="App">
-            {isLoggedIn ? <MapComponent /> : <LoginButton />}
-        </div>
+        <SWRConfig value={SWR_OPTIONS}>
+            <div className="App">
+                <ErrorBanner />
+                {user
+                    ? <MapComponent user={user} onLogout={handleLogout} onDeleteAccount={handleDeleteAccount} />
+                    : <LoginButton notice={notice} error={loginError} />}
+            </div>
+        </SWRConfig>
     );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,294 @@
+import axios from 'axios';
+import { createOfflineQueue } from './offlineQueue';
+
+// Base URL of the Express API. VITE_BACKEND_URL (read at build time, e.g. from .env.local)
+// overrides the defaults: '/api' behind the Vercel rewrite in production, the local server in development
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL
+    || (import.meta.env.PROD ? '/api' : 'http://127.0.0.1:5000');
+
+// Retries for network errors, 5xx and 429: GETs by default, POST reads opt in with { retries }
+export const READ_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+/**
+ * @typedef {Object} Profile GET /me
+ * @property {string} id Spotify user id
+ * @property {string|null} user_name
+ * @property {string|null} profile_image_url
+ * @property {string} spotify_url
+ * @property {boolean} location_sharing_enabled
+ * @property {'exact'|'100m'|'1km'|'neighbourhood'} location_precision
+ * @property {'public'|'friends'|'hidden'} visibility
+ * @property {Array<{ label: string, latitude: number, longitude: number, radius_m: number }>} exclusion_zones
+ * @property {Array<{ days: number[], start: string, end: string }>} ghost_schedules
+ * @property {string|null} timezone
+ * @property {CheckIn|null} check_in Venue the user is checked in to
+ * @property {boolean} taste_matching Whether the user opted in to taste matching
+ * @property {number|null} taste_updated_at When their top artists were last read from Spotify (ms)
+ */
+
+/**
+ * @typedef {Object} CheckIn
+ * @property {string} id Venue id
+ * @property {string} name
+ * @property {string} category
+ * @property {number} at When the user checked in (ms)
+ */
+
+/**
+ * @typedef {Object} NowPlaying GET /now-playing (only is_playing when nothing is playing)
+ * @property {boolean} is_playing
+ * @property {string} [track_name]
+ * @property {string} [artist]
+ * @property {string|null} [artist_url]
+ * @property {string|null} [album_art_url]
+ * @property {string} [track_url]
+ */
+
+/**
+ * @typedef {Object} NearbyUser One pin from POST /users/nearby and /users/in-bounds
+ * @property {string} id
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string|null} track_name
+ * @property {string|null} artist
+ * @property {string|null} artist_url
+ * @property {string|null} album_art_url
+ * @property {string|null} track_url
+ * @property {string[]} genres
+ * @property {string} user_name
+ * @property {string|null} spotify_url null for simulated listeners
+ * @property {boolean} simulated
+ * @property {boolean} is_playing
+ * @property {number|null} last_played_at
+ * @property {boolean} is_friend
+ * @property {{ id: string, name: string, category: string }|null} venue Where the user is checked in
+ * @property {{ score: number, shared_artists: string[] }|null} taste_match 0-100 compatibility with
+ * the viewer, when both have taste matching on
+ */
+
+/**
+ * @typedef {Object} NearbyPage
+ * @property {NearbyUser[]} users
+ * @property {string|null} nextCursor Pass back as `cursor` for the next page (X-Next-Cursor)
+ */
+
+/**
+ * @typedef {Object} AreaSnapshot GET /public/snapshot (no login). The lists stay empty while
+ * fewer than min_listeners people are listening in the area.
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number} radius_km
+ * @property {'now'|'hour'|'today'} window
+ * @property {number} listeners
+ * @property {number} min_listeners
+ * @property {number} generated_at
+ * @property {Array<{ track_name: string, artist: string, track_url: string, album_art_url: string|null, listeners: number }>} tracks
+ * @property {Array<{ artist: string, artist_url: string|null, listeners: number }>} artists
+ * @property {Array<{ genre: string, listeners: number }>} genres
+ */
+
+/**
+ * @typedef {Object} TasteSummary GET/POST /me/taste: what the user's taste profile is based on
+ * @property {number} updated_at
+ * @property {string[]} top_artists
+ * @property {string[]} top_genres
+ * @property {number} track_count
+ */
+
+/**
+ * @typedef {Object} Venue One entry of GET /venues
+ * @property {string} id
+ * @property {string} name
+ * @property {string} category e.g. pub, park, nightclub
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number} radius_m
+ * @property {number} checked_in Users the viewer can see checked in there
+ */
+
+/**
+ * @typedef {Object} VenuePage GET /venues/:id: the venue plus its charts (shaped like
+ * POST /charts/area) for who is playing there now and for the past week's history
+ * @property {Object} live { listeners, tracks, artists, genres }
+ * @property {Object} history { from, to, listeners, tracks, artists, genres }
+ */
+
+/** Shared axios instance: every request carries the signed session cookie */
+export const api = axios.create({ baseURL: BACKEND_URL, withCredentials: true });
+
+// --- Session expiry ---
+let unauthorizedHandler = null;
+
+/** App registers how to get back to the login screen when the API answers 401 */
+export const setUnauthorizedHandler = (handler) => {
+    unauthorizedHandler = handler;
+};
+
+// --- Failure banner ---
+const errorListeners = new Set();
+
+/** Server-provided message for a failed request, or the fallback */
+export const errorMessage = (error, fallback = 'Something went wrong, please try again.') => (
+    error?.response?.data?.error || (error?.response ? fallback : 'Could not reach SpotiMap, check your connection.')
+);
+
+/**
+ * Shows a failure in ErrorBanner. 401s (handled by sending the user to log in) and
+ * cancelled requests are not reported.
+ */
+export const notifyError = (error, fallback) => {
+    if (axios.isCancel(error) || error?.response?.status === 401) return;
+    const message = errorMessage(error, fallback);
+    errorListeners.forEach((listener) => listener(message));
+};
+
+/** Subscribes to notifyError messages; returns the unsubscribe function */
+export const subscribeToErrors = (listener) => {
+    errorListeners.add(listener);
+    return () => errorListeners.delete(listener);
+};
+
+// --- Retries ---
+const isRetryable = (error) => !error.response || error.response.status >= 500 || error.response.status === 429;
+
+// Exponential backoff with jitter; the server's Retry-After wins when it sends one
+const retryDelay = (error, attempt) => {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    const delay = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1000
+        : RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() / 2);
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+};
+
+api.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    if (!config || axios.isCancel(error)) throw error;
+
+    if (error.response?.status === 401 && !config.authOptional) {
+        if (unauthorizedHandler) unauthorizedHandler();
+        throw error;
+    }
+
+    const retries = config.retries ?? (config.method === 'get' ? READ_RETRIES : 0);
+    const attempt = config.retryAttempt || 0;
+    if (!isRetryable(error) || attempt >= retries) throw error;
+
+    await new Promise((resolve) => setTimeout(resolve, retryDelay(error, attempt)));
+    return api.request({ ...config, retryAttempt: attempt + 1 });
+});
+
+// --- Offline queue ---
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// The service worker's copy of held updates (public/sw.js); without one (development, first
+// visit) the messages go nowhere and held updates only live as long as the page
+const serviceWorkerOutbox = {
+    hold: (key, request) => navigator.serviceWorker?.controller?.postMessage({ type: 'outbox-hold', key, request }),
+    clear: (key) => navigator.serviceWorker?.controller?.postMessage({ type: 'outbox-clear', key }),
+};
+
+const offlineQueue = createOfflineQueue({
+    isOffline,
+    isNetworkError: (error) => !error.response && !axios.isCancel(error),
+    outbox: typeof navigator !== 'undefined' ? serviceWorkerOutbox : null,
+});
+
+/** Runs `send` now, or once the device is back online (see createOfflineQueue) */
+export const sendWhenOnline = offlineQueue.sendWhenOnline;
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => offlineQueue.flush());
+}
+
+// --- Endpoints ---
+
+/**
+ * Who is logged in. A 401 here just means "show the login screen", so it doesn't
+ * trigger the session-expired handler.
+ * @returns {Promise<Profile>}
+ */
+export const getMe = () => api.get('/me', { authOptional: true }).then((res) => res.data);
+
+/**
+ * Also how the server learns what the user is playing, so offline polls wait for the connection
+ * @returns {Promise<NowPlaying>}
+ */
+export const getNowPlaying = () => sendWhenOnline('now-playing', () => api.get('/now-playing')).then((res) => res.data);
+
+/**
+ * Publishes the user's position (or stops sharing it), waiting for the connection when offline.
+ * A held update is kept by the service worker too, so it's sent even if the page closes first.
+ * @param {{ lat: number, lng: number }} location
+ * @param {{ sharing: boolean, precision: string }} settings
+ * @returns {Promise<{ sharing: boolean, ghosted?: 'zone'|'schedule', check_in?: CheckIn|null }>}
+ */
+export const updateLocation = (location, { sharing, precision }) => {
+    const body = new URLSearchParams({ lat: location.lat, lon: location.lng, sharing: sharing ? 'on' : 'off', precision }).toString();
+    const contentType = 'application/x-www-form-urlencoded';
+    return sendWhenOnline(
+        'location',
+        () => api.post('/me/update-location', body, { headers: { 'Content-Type': contentType } }),
+        { method: 'POST', url: `${BACKEND_URL}/me/update-location`, body, contentType },
+    ).then((res) => res.data);
+};
+
+/**
+ * POST /users/nearby: pins within radius_km of latitude/longitude, nearest first.
+ * @param {Object} body latitude, longitude, radius_km plus optional filters, limit and cursor
+ * @returns {Promise<NearbyPage>}
+ */
+export const findNearbyUsers = (body) => api.post('/users/nearby', body, { retries: READ_RETRIES })
+    .then((res) => ({ users: res.data, nextCursor: res.headers['x-next-cursor'] || null }));
+
+/**
+ * POST /users/in-bounds: pins inside the visible map rectangle.
+ * @param {Object} body south, west, north, east plus optional filters, limit and cursor
+ * @returns {Promise<NearbyUser[]>}
+ */
+export const findUsersInBounds = (body) => api.post('/users/in-bounds', body, { retries: READ_RETRIES })
+    .then((res) => res.data);
+
+/**
+ * Public "now playing here" charts for an area, as shown by the embeddable widget.
+ * @param {Object} params latitude, longitude, radius_km, window, limit, utc_offset_minutes
+ * @returns {Promise<AreaSnapshot>}
+ */
+export const getAreaSnapshot = (params) => api.get('/public/snapshot', { params }).then((res) => res.data);
+
+/**
+ * Checks in at a venue. `location` is the user's own (unrounded) position: the server only
+ * accepts check-ins from users who are at the venue.
+ * @returns {Promise<CheckIn>}
+ */
+export const checkIn = (venueId, location) => api.post('/me/check-in', {
+    venue_id: venueId, lat: location.lat, lon: location.lng,
+}).then((res) => res.data.check_in);
+
+/** Ends the current check-in */
+export const checkOut = () => api.delete('/me/check-in');
+
+/**
+ * Turns taste matching on, or refreshes it: the server reads the user's top artists and tracks
+ * from Spotify. Fails with `reconsent` set when the Spotify grant predates that permission.
+ * @returns {Promise<TasteSummary>}
+ */
+export const enableTasteMatching = () => api.post('/me/taste').then((res) => res.data);
+
+/** Turns taste matching off and deletes the stored profile */
+export const disableTasteMatching = () => api.delete('/me/taste');
+
+/**
+ * Default SWR fetcher: a path is a GET, a [path, body] key is a read-only POST search
+ * (charts, density, ...) and is retried like a GET.
+ */
+export const fetcher = (key) => (Array.isArray(key)
+    ? api.post(key[0], key[1], { retries: READ_RETRIES })
+    : api.get(key)
+).then((res) => res.data);
+
+/** Backend /login URL that lands back on the current page (or `redirect`) afterwards */
+export const loginUrl = (redirect = window.location.pathname + window.location.search) => (
+    `${BACKEND_URL}/login?redirect=${encodeURIComponent(redirect)}`
+);
@@ -0,0 +1,78 @@
+// Updates (position, now-playing refreshes) that couldn't go out because the device is offline,
+// by kind: only the newest of each kind is worth sending, and it goes out on flush(), when the
+// browser reports the connection is back. An unreachable server while online is an ordinary failure.
+//
+// The queue itself lives in the page. Updates sent with a `request` (a plain description of the
+// HTTP request) are also handed to `outbox` while held, so they outlive the page: the service
+// worker keeps them and sends them with Background Sync if the page is closed first (public/sw.js).
+
+/**
+ * @typedef {Object} HeldRequest What the service worker needs to send a held update itself
+ * @property {string} method
+ * @property {string} url
+ * @property {string} body
+ * @property {string} contentType
+ */
+
+/**
+ * @param {Object} options
+ * @param {() => boolean} options.isOffline
+ * @param {(error: any) => boolean} options.isNetworkError Whether a failed send never reached the server
+ * @param {{ hold: (key: string, request: HeldRequest) => void, clear: (key: string) => void }} [options.outbox]
+ */
+export const createOfflineQueue = ({ isOffline, isNetworkError, outbox = null }) => {
+    const held = new Map(); // key -> { send, request, waiters: [{ resolve, reject }] }
+    const inOutbox = new Set(); // keys handed to the outbox and not yet cleared
+
+    const clearOutbox = (key) => {
+        if (!inOutbox.delete(key)) return;
+        outbox.clear(key);
+    };
+
+    const hold = (key, send, request, waiters) => {
+        const previous = held.get(key);
+        held.set(key, { send, request, waiters: [...(previous ? previous.waiters : []), ...waiters] });
+        if (outbox && request) {
+            outbox.hold(key, request);
+            inOutbox.add(key);
+        }
+    };
+
+    const attempt = (key, send, request, waiters) => {
+        send().then(
+            (result) => {
+                clearOutbox(key);
+                waiters.forEach((waiter) => waiter.resolve(result));
+            },
+            (error) => {
+                if (isNetworkError(error) && isOffline()) return hold(key, send, request, waiters);
+                clearOutbox(key);
+                waiters.forEach((waiter) => waiter.reject(error));
+            },
+        );
+    };
+
+    return {
+        /**
+         * Runs `send` now, or once the device is back online when it is offline. A newer update of
+         * the same `key` replaces a held one, and everyone waiting on either gets the newer one's result.
+         * @template T
+         * @param {string} key
+         * @param {() => Promise<T>} send
+         * @param {HeldRequest|null} [request] Keep the update in the outbox while it is held
+         * @returns {Promise<T>}
+         */
+        sendWhenOnline: (key, send, request = null) => new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            if (held.has(key) || isOffline()) hold(key, send, request, [waiter]);
+            else attempt(key, send, request, [waiter]);
+        }),
+
+        /** Sends everything held, newest of each kind */
+        flush() {
+            const updates = [...held.entries()];
+            held.clear();
+            updates.forEach(([key, { send, request, waiters }]) => attempt(key, send, request, waiters));
+        },
+    };
+};
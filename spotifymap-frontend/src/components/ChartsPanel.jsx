@@ -0,0 +1,95 @@
+import React, { useMemo, useState } from 'react';
+import useSWR from 'swr';
+
+const CHART_WINDOWS = [
+    { value: 'now', label: 'Now' },
+    { value: 'hour', label: 'Last hour' },
+    { value: 'today', label: 'Today' },
+];
+const CHART_LIMIT = 5;
+
+// Also renders VenuePanel's charts
+export const ChartList = ({ title, entries, renderLabel }) => (
+    <div className="chart-list">
+        <h4>{title}</h4>
+        {entries.length === 0
+            ? <div className="chart-empty">Nothing yet</div>
+            : (
+                <ol>
+                    {entries.map((entry, index) => (
+                        <li key={index}>
+                            <span className="chart-label">{renderLabel(entry)}</span>
+                            <span className="chart-count">{entry.listeners}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+    </div>
+);
+
+/**
+ * Collapsible leaderboard of what the visible area is listening to (POST /charts/area).
+ * Follows the map: the request uses the same center/radius as the nearby search.
+ */
+const ChartsPanel = ({ viewState }) => {
+    const [open, setOpen] = useState(false);
+    const [chartWindow, setChartWindow] = useState('now');
+
+    const body = useMemo(() => viewState && {
+        latitude: viewState.lat,
+        longitude: viewState.lng,
+        radius_km: viewState.radius,
+        window: chartWindow,
+        limit: CHART_LIMIT,
+        utc_offset_minutes: -new Date().getTimezoneOffset(),
+    }, [viewState, chartWindow]);
+
+    // Only poll while the panel is open
+    const { data: charts } = useSWR(
+        (open && body) ? ['/charts/area', body] : null,
+        { refreshInterval: 30000, keepPreviousData: true }
+    );
+
+    return (
+        <div className="glass-panel charts-panel">
+            <button className="filter-toggle" onClick={() => setOpen(!open)}>
+                <span>Area Charts{charts && open ? ` · ${charts.listeners} listening` : ''}</span>
+                <span>{open ? '▾' : '▴'}</span>
+            </button>
+            {open && (
+                <>
+                    <div className="chart-tabs">
+                        {CHART_WINDOWS.map((opt) => (
+                            <button
+                                key={opt.value}
+                                className={`chart-tab${chartWindow === opt.value ? ' active' : ''}`}
+                                onClick={() => setChartWindow(opt.value)}
+                            >
+                                {opt.label}
+                            </button>
+                        ))}
+                    </div>
+                    {!charts
+                        ? <div className="chart-empty">Loading...</div>
+                        : (
+                            <>
+                                <ChartList
+                                    title="Tracks"
+                                    entries={charts.tracks}
+                                    renderLabel={(t) => (
+                                        <a href={t.track_url} target="_blank" rel="noopener noreferrer" className="artist-link">
+                                            {t.track_name} <span className="chart-sub">· {t.artist}</span>
+                                        </a>
+                                    )}
+                                />
+                                <ChartList title="Artists" entries={charts.artists} renderLabel={(a) => a.artist} />
+                                <ChartList title="Genres" entries={charts.genres} renderLabel={(g) => g.genre} />
+                            </>
+                        )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ChartsPanel;
@@ -0,0 +1,125 @@
+import React, { useMemo, useState } from 'react';
+import { Marker, useMap, useMapEvent } from 'react-leaflet';
+import L from 'leaflet';
+import UserMarker from './UserMarker';
+
+// Pins closer than this on screen are merged into one bubble
+const CLUSTER_CELL_PX = 60;
+
+// Most frequent non-empty value in a list (the "most-played" album art of a cluster)
+const mostCommon = (values) => {
+    const counts = new Map();
+    let best = null;
+    values.forEach((value) => {
+        if (!value) return;
+        counts.set(value, (counts.get(value) || 0) + 1);
+        if (best === null || counts.get(value) > counts.get(best)) best = value;
+    });
+    return best;
+};
+
+// Groups users by a pixel grid at the given zoom, and users checked in to a venue by venue
+// (they all share its position, so zooming never splits them); singletons stay plain users
+const clusterUsers = (users, map, zoom) => {
+    const groups = new Map();
+    users.forEach((user) => {
+        const point = map.project([user.latitude, user.longitude], zoom);
+        const key = user.venue
+            ? `venue:${user.venue.id}`
+            : `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(user);
+    });
+
+    return [...groups.entries()].map(([key, members]) => (members.length === 1
+        ? { key: members[0].id, user: members[0] }
+        : {
+            key,
+            latitude: members.reduce((sum, m) => sum + m.latitude, 0) / members.length,
+            longitude: members.reduce((sum, m) => sum + m.longitude, 0) / members.length,
+            count: members.length,
+            album_art_url: mostCommon(members.map((m) => m.album_art_url)),
+            bounds: L.latLngBounds(members.map((m) => [m.latitude, m.longitude])),
+            venue: key.startsWith('venue:') ? members[0].venue : null,
+        }));
+};
+
+// --- CLUSTER BUBBLE ---
+const ClusterMarker = React.memo(({ cluster, onSelectVenue }) => {
+    const map = useMap();
+
+    const icon = useMemo(() => {
+        const size = cluster.count >= 100 ? 64 : cluster.count >= 10 ? 56 : 50;
+        const art = cluster.album_art_url ? `<img src="${cluster.album_art_url}" alt="Music" />` : '';
+        return L.divIcon({
+            className: 'custom-pin',
+            html: `<div class="cluster-outer" style="width:${size}px;height:${size}px"><div class="cluster-inner">${art}</div><span class="cluster-count">${cluster.count}</span></div>`,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2],
+        });
+    }, [cluster.count, cluster.album_art_url]);
+
+    // Zoom in to split the cluster (server-side cells carry their own bounds); venue groups open the venue
+    const handleClick = () => {
+        if (cluster.venue && onSelectVenue) {
+            onSelectVenue(cluster.venue.id);
+        } else if (cluster.bounds && map.getBoundsZoom(cluster.bounds) > map.getZoom()) {
+            map.fitBounds(cluster.bounds, { padding: [60, 60] });
+        } else {
+            map.setView([cluster.latitude, cluster.longitude], Math.min(map.getZoom() + 2, map.getMaxZoom()));
+        }
+    };
+
+    return (
+        <Marker
+            position={[cluster.latitude, cluster.longitude]}
+            icon={icon}
+            title={cluster.venue ? `${cluster.count} at ${cluster.venue.name}` : undefined}
+            eventHandlers={{ click: handleClick }}
+        />
+    );
+});
+
+/**
+ * Renders nearby users as pins, merging overlapping ones into count bubbles.
+ * `cells` (pre-aggregated /users/density results, used for large radii) render as bubbles directly.
+ * `onAddFriend(id)` enables the friend request button in pin popups.
+ * The pin with id `focusedId` (from a shared link) opens its popup once it is on the map.
+ * Clicking the bubble of users checked in to a venue calls `onSelectVenue(venueId)`.
+ * Pins whose ids are in `highlightIds` (the closest taste matches) are ringed.
+ */
+const ClusterLayer = ({ users, cells, onAddFriend, focusedId, onUnfocus, onSelectVenue, highlightIds }) => {
+    const map = useMap();
+    const [zoom, setZoom] = useState(map.getZoom());
+    useMapEvent('zoomend', () => setZoom(map.getZoom()));
+
+    const clusters = useMemo(() => {
+        if (cells) {
+            return cells.map((cell) => ({
+                key: cell.geohash,
+                latitude: cell.latitude,
+                longitude: cell.longitude,
+                count: cell.count,
+                album_art_url: cell.top_album_art_url,
+                bounds: L.latLngBounds(cell.bounds),
+            }));
+        }
+        return users ? clusterUsers(users, map, zoom) : [];
+    }, [users, cells, map, zoom]);
+
+    return clusters.map((cluster) => (cluster.user
+        ? (
+            <UserMarker
+                key={cluster.key}
+                user={cluster.user}
+                isMe={false}
+                onAddFriend={onAddFriend}
+                focused={cluster.user.id === focusedId}
+                onUnfocus={onUnfocus}
+                highlighted={Boolean(highlightIds?.has(cluster.user.id))}
+            />
+        )
+        : <ClusterMarker key={cluster.key} cluster={cluster} onSelectVenue={onSelectVenue} />));
+};
+
+export default ClusterLayer;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Rectangle, Tooltip } from 'react-leaflet';
+
+/**
+ * Heatmap of listening density: one shaded rectangle per geohash cell from /users/density,
+ * opacity scaled against the busiest visible cell.
+ */
+const DensityLayer = ({ cells }) => {
+    if (!cells || cells.length === 0) return null;
+    const maxCount = Math.max(...cells.map((cell) => cell.count));
+
+    return cells.map((cell) => (
+        <Rectangle
+            key={cell.geohash}
+            bounds={cell.bounds}
+            pathOptions={{
+                stroke: false,
+                fillColor: '#1DB954',
+                fillOpacity: 0.15 + 0.6 * (cell.count / maxCount),
+            }}
+        >
+            <Tooltip sticky>
+                <strong>{cell.count}</strong> listener{cell.count === 1 ? '' : 's'}
+                {cell.top_track_name && <div>Top: {cell.top_track_name}</div>}
+            </Tooltip>
+        </Rectangle>
+    ));
+};
+
+export default DensityLayer;
@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from 'react';
+import { subscribeToErrors } from '../api/client';
+
+// A banner stays up this long after the last failure it reports
+const BANNER_MS = 6000;
+
+/**
+ * Failure banner at the top of the screen for anything reported with notifyError.
+ * Repeats of the same message (e.g. a poll failing every few seconds) keep one banner up
+ * instead of stacking.
+ */
+const ErrorBanner = () => {
+    const [message, setMessage] = useState(null);
+    const [shownAt, setShownAt] = useState(0);
+
+    useEffect(() => subscribeToErrors((next) => {
+        setMessage(next);
+        setShownAt(Date.now());
+    }), []);
+
+    useEffect(() => {
+        if (!message) return undefined;
+        const timeout = setTimeout(() => setMessage(null), BANNER_MS);
+        return () => clearTimeout(timeout);
+    }, [message, shownAt]);
+
+    if (!message) return null;
+
+    return (
+        <div className="error-banner" role="alert">
+            <span>{message}</span>
+            <button className="link-btn" aria-label="Dismiss" onClick={() => setMessage(null)}>✕</button>
+        </div>
+    );
+};
+
+export default ErrorBanner;
@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+
+// Wait for typing to settle before refetching /users/nearby
+const FILTER_DEBOUNCE_MS = 400;
+
+const EMPTY_FILTERS = { artist: '', track: '', genre: '', playing_only: false, friends_only: false };
+
+// Only the filters in use, so an empty panel leaves the request body (and SWR key) unchanged
+const activeFilters = (draft) => Object.fromEntries(
+    Object.entries(draft).filter(([, value]) => (typeof value === 'string' ? value.trim() : value))
+);
+
+/**
+ * Collapsible filter section for the glass panel. Text fields are debounced;
+ * onChange receives the request-body filters understood by /users/nearby.
+ * `initialFilters` (e.g. from a shared link) pre-fills the fields.
+ */
+const FilterPanel = ({ initialFilters, onChange }) => {
+    const [open, setOpen] = useState(false);
+    const [draft, setDraft] = useState(() => ({ ...EMPTY_FILTERS, ...initialFilters }));
+
+    useEffect(() => {
+        const timeout = setTimeout(() => onChange(activeFilters(draft)), FILTER_DEBOUNCE_MS);
+        return () => clearTimeout(timeout);
+    }, [draft, onChange]);
+
+    const setField = (field) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setDraft((current) => ({ ...current, [field]: value }));
+    };
+
+    const activeCount = Object.keys(activeFilters(draft)).length;
+
+    return (
+        <div className="filter-panel">
+            <button className="filter-toggle" onClick={() => setOpen(!open)}>
+                <span>Filters{activeCount > 0 && <span className="filter-badge">{activeCount}</span>}</span>
+                <span>{open ? '▴' : '▾'}</span>
+            </button>
+            {open && (
+                <div className="filter-fields">
+                    <input className="glass-input" placeholder="Artist" value={draft.artist} onChange={setField('artist')} />
+                    <input className="glass-input" placeholder="Track" value={draft.track} onChange={setField('track')} />
+                    <input className="glass-input" placeholder="Genre (e.g. jazz)" value={draft.genre} onChange={setField('genre')} />
+                    <div className="switch-container">
+                        <span>Playing now only</span>
+                        <label className="switch">
+                            <input type="checkbox" checked={draft.playing_only} onChange={setField('playing_only')} />
+                            <span className="slider"></span>
+                        </label>
+                    </div>
+                    <div className="switch-container">
+                        <span>Friends only</span>
+                        <label className="switch">
+                            <input type="checkbox" checked={draft.friends_only} onChange={setField('friends_only')} />
+                            <span className="slider"></span>
+                        </label>
+                    </div>
+                    {activeCount > 0 && (
+                        <button className="link-btn" onClick={() => setDraft(EMPTY_FILTERS)}>Clear filters</button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterPanel;
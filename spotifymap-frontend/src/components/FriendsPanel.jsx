@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import useSWR from 'swr';
+import { api, errorMessage } from '../api/client';
+
+const FriendRow = ({ friend, children }) => (
+    <li className="friend-row">
+        <a href={friend.spotify_url} target="_blank" rel="noopener noreferrer" className="friend-name">
+            {friend.user_name || friend.id}
+        </a>
+        {children}
+    </li>
+);
+
+/**
+ * Collapsible friends section for the glass panel: mutual friends, pending requests
+ * in both directions, and sending a request by Spotify user id (GET/POST/DELETE /friends).
+ */
+const FriendsPanel = () => {
+    const [open, setOpen] = useState(false);
+    const [friendId, setFriendId] = useState('');
+    const [error, setError] = useState(null);
+
+    const { data, mutate } = useSWR('/friends', { refreshInterval: 30000 });
+
+    const run = async (request) => {
+        setError(null);
+        try {
+            await request();
+            mutate();
+        } catch (e) {
+            setError(errorMessage(e));
+        }
+    };
+
+    const sendRequest = (e) => {
+        e.preventDefault();
+        const id = friendId.trim();
+        if (!id) return;
+        run(async () => {
+            await api.post('/friends/requests', { user_id: id });
+            setFriendId('');
+        });
+    };
+    const accept = (id) => run(() => api.post(`/friends/requests/${encodeURIComponent(id)}/accept`));
+    const remove = (id) => run(() => api.delete(`/friends/${encodeURIComponent(id)}`));
+
+    const incoming = data?.incoming || [];
+
+    return (
+        <div className="filter-panel">
+            <button className="filter-toggle" onClick={() => setOpen(!open)}>
+                <span>Friends{incoming.length > 0 && <span className="filter-badge">{incoming.length}</span>}</span>
+                <span>{open ? '▴' : '▾'}</span>
+            </button>
+            {open && (
+                <div className="filter-fields">
+                    {!data
+                        ? <div className="chart-empty">Loading...</div>
+                        : (
+                            <ul className="friend-list">
+                                {incoming.map((friend) => (
+                                    <FriendRow key={friend.id} friend={friend}>
+                                        <button className="link-btn" onClick={() => accept(friend.id)}>Accept</button>
+                                        <button className="link-btn danger" onClick={() => remove(friend.id)}>Decline</button>
+                                    </FriendRow>
+                                ))}
+                                {data.friends.map((friend) => (
+                                    <FriendRow key={friend.id} friend={friend}>
+                                        <button className="link-btn danger" onClick={() => remove(friend.id)}>Remove</button>
+                                    </FriendRow>
+                                ))}
+                                {data.outgoing.map((friend) => (
+                                    <FriendRow key={friend.id} friend={friend}>
+                                        <span className="friend-status">Pending</span>
+                                        <button className="link-btn" onClick={() => remove(friend.id)}>Cancel</button>
+                                    </FriendRow>
+                                ))}
+                                {data.friends.length + incoming.length + data.outgoing.length === 0 && (
+                                    <li className="chart-empty">No friends yet</li>
+                                )}
+                            </ul>
+                        )}
+                    <form className="friend-form" onSubmit={sendRequest}>
+                        <input
+                            className="glass-input"
+                            placeholder="Spotify user id"
+                            value={friendId}
+                            onChange={(e) => setFriendId(e.target.value)}
+                        />
+                        <button className="link-btn" type="submit">Add</button>
+                    </form>
+                    {error && <div className="friend-error">{error}</div>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FriendsPanel;
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { api, errorMessage } from '../api/client';
+
+const ZONE_RADIUS_OPTIONS = [
+    { value: 100, label: '100 m' },
+    { value: 250, label: '250 m' },
+    { value: 500, label: '500 m' },
+    { value: 1000, label: '1 km' },
+];
+
+// Index = weekday number used by the API (0 = Sunday)
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const formatDays = (days) => (days.length === 7 ? 'Every day' : days.map((day) => DAY_LABELS[day]).join(' '));
+
+/**
+ * Collapsible ghost mode settings for the glass panel: exclusion zones around saved places
+ * (added at the current location) and quiet-hour schedules, saved with PATCH /me.
+ * The server enforces both; `onSaved` receives the updated profile.
+ */
+const GhostModePanel = ({ settings, currentLocation, ghosted, onSaved }) => {
+    const [open, setOpen] = useState(false);
+    const [zoneLabel, setZoneLabel] = useState('');
+    const [zoneRadius, setZoneRadius] = useState(250);
+    const [schedule, setSchedule] = useState({ start: '22:00', end: '07:00', days: ALL_DAYS });
+    const [error, setError] = useState(null);
+
+    const zones = settings.exclusion_zones;
+    const schedules = settings.ghost_schedules;
+
+    const save = async (changes) => {
+        setError(null);
+        try {
+            const res = await api.patch('/me', {
+                ...changes,
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            });
+            onSaved(res.data);
+        } catch (e) {
+            setError(errorMessage(e, 'Could not save, please try again.'));
+        }
+    };
+
+    const addZone = () => {
+        if (!currentLocation) return;
+        save({
+            exclusion_zones: [...zones, {
+                label: zoneLabel.trim() || 'Private place',
+                latitude: currentLocation.lat,
+                longitude: currentLocation.lng,
+                radius_m: zoneRadius,
+            }],
+        });
+        setZoneLabel('');
+    };
+
+    const toggleDay = (day) => setSchedule((current) => ({
+        ...current,
+        days: current.days.includes(day) ? current.days.filter((d) => d !== day) : [...current.days, day].sort(),
+    }));
+
+    const activeCount = zones.length + schedules.length;
+
+    return (
+        <div className="filter-panel">
+            <button className="filter-toggle" onClick={() => setOpen(!open)}>
+                <span>
+                    Ghost Mode{activeCount > 0 && <span className="filter-badge">{activeCount}</span>}
+                    {ghosted && <span className="ghost-status"> · hidden now</span>}
+                </span>
+                <span>{open ? '▴' : '▾'}</span>
+            </button>
+            {open && (
+                <div className="filter-fields">
+                    <h4 className="ghost-heading">Private places</h4>
+                    <ul className="friend-list">
+                        {zones.map((zone, index) => (
+                            <li key={index} className="friend-row">
+                                <span className="friend-name">{zone.label}</span>
+                                <span className="friend-status">{zone.radius_m >= 1000 ? `${zone.radius_m / 1000} km` : `${zone.radius_m} m`}</span>
+                                <button
+                                    className="link-btn danger"
+                                    onClick={() => save({ exclusion_zones: zones.filter((_, i) => i !== index) })}
+                                >
+                                    Remove
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="friend-form">
+                        <input
+                            className="glass-input"
+                            placeholder="Home, Work..."
+                            value={zoneLabel}
+                            onChange={(e) => setZoneLabel(e.target.value)}
+                        />
+                        <select className="glass-select" value={zoneRadius} onChange={(e) => setZoneRadius(Number(e.target.value))}>
+                            {ZONE_RADIUS_OPTIONS.map((opt) => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <button className="link-btn" disabled={!currentLocation} onClick={addZone}>Hide me around here</button>
+
+                    <h4 className="ghost-heading">Quiet hours</h4>
+                    <ul className="friend-list">
+                        {schedules.map((entry, index) => (
+                            <li key={index} className="friend-row">
+                                <span className="friend-name">{entry.start}–{entry.end}</span>
+                                <span className="friend-status">{formatDays(entry.days)}</span>
+                                <button
+                                    className="link-btn danger"
+                                    onClick={() => save({ ghost_schedules: schedules.filter((_, i) => i !== index) })}
+                                >
+                                    Remove
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="friend-form">
+                        <input
+                            className="glass-input"
+                            type="time"
+                            value={schedule.start}
+                            onChange={(e) => setSchedule({ ...schedule, start: e.target.value })}
+                        />
+                        <input
+                            className="glass-input"
+                            type="time"
+                            value={schedule.end}
+                            onChange={(e) => setSchedule({ ...schedule, end: e.target.value })}
+                        />
+                    </div>
+                    <div className="day-picker">
+                        {DAY_LABELS.map((label, day) => (
+                            <button
+                                key={day}
+                                className={`chart-tab${schedule.days.includes(day) ? ' active' : ''}`}
+                                onClick={() => toggleDay(day)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <button
+                        className="link-btn"
+                        disabled={schedule.days.length === 0}
+                        onClick={() => save({ ghost_schedules: [...schedules, schedule] })}
+                    >
+                        Add quiet hours
+                    </button>
+                    {error && <div className="friend-error">{error}</div>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GhostModePanel;
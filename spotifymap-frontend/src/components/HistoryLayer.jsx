@@ -0,0 +1,40 @@
+import React, { useMemo } from 'react';
+import { Polyline } from 'react-leaflet';
+import UserMarker from './UserMarker';
+
+// A listener's pin and trail show the plays from this long before the replay cursor
+const TRAIL_WINDOW_MS = 30 * 60 * 1000;
+
+/** Replays /history events at `time`: each listener's recent trail and their latest track */
+const HistoryLayer = ({ events, time }) => {
+    const trails = useMemo(() => {
+        const byListener = new Map();
+        events.forEach((event) => {
+            if (event.timestamp > time || event.timestamp < time - TRAIL_WINDOW_MS) return;
+            if (!byListener.has(event.listener)) byListener.set(event.listener, []);
+            byListener.get(event.listener).push(event); // Events arrive sorted by time
+        });
+        return [...byListener.entries()];
+    }, [events, time]);
+
+    return trails.map(([listener, trail]) => {
+        const latest = trail[trail.length - 1];
+        return (
+            <React.Fragment key={listener}>
+                {trail.length > 1 && (
+                    <Polyline
+                        positions={trail.map((e) => [e.latitude, e.longitude])}
+                        pathOptions={{ color: '#1DB954', weight: 3, opacity: 0.6, dashArray: '4 6' }}
+                    />
+                )}
+                <UserMarker
+                    user={{ ...latest, user_name: 'Anonymous listener', last_played_at: latest.timestamp, is_playing: false }}
+                    isMe={false}
+                    anonymous
+                />
+            </React.Fragment>
+        );
+    });
+};
+
+export default HistoryLayer;
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { api, errorMessage, READ_RETRIES } from '../api/client';
+
+const HISTORY_RANGES = [
+    { value: 60, label: 'Last hour' },
+    { value: 6 * 60, label: 'Last 6 hours' },
+    { value: 24 * 60, label: 'Last 24 hours' },
+    { value: 7 * 24 * 60, label: 'Last 7 days' },
+];
+const SLIDER_STEPS = 500;
+const PLAYBACK_TICK_MS = 100; // Full window replays in SLIDER_STEPS * tick = 50s
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleString([], {
+    weekday: 'short', hour: '2-digit', minute: '2-digit',
+});
+
+/**
+ * "Music trail" controls: loads POST /history for the current area and a time window,
+ * then scrubs/plays a time cursor through it. onReplay({ events, time }) drives HistoryLayer;
+ * onReplay(null) returns the map to live pins.
+ */
+const HistoryPanel = ({ viewState, onReplay }) => {
+    const [open, setOpen] = useState(false);
+    const [rangeMinutes, setRangeMinutes] = useState(60);
+    const [history, setHistory] = useState(null);
+    const [step, setStep] = useState(SLIDER_STEPS);
+    const [playing, setPlaying] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadHistory = async () => {
+        if (!viewState) return;
+        setError(null);
+        setPlaying(false);
+        const to = Date.now();
+        try {
+            const { data } = await api.post('/history', {
+                latitude: viewState.lat,
+                longitude: viewState.lng,
+                radius_km: viewState.radius,
+                from: to - rangeMinutes * 60 * 1000,
+                to,
+            }, { retries: READ_RETRIES });
+            setHistory(data);
+            setStep(0);
+        } catch (e) {
+            setError(errorMessage(e, 'Could not load history for this area.'));
+        }
+    };
+
+    const closeReplay = () => {
+        setOpen(false);
+        setHistory(null);
+        setPlaying(false);
+    };
+
+    const time = history ? history.from + (history.to - history.from) * (step / SLIDER_STEPS) : null;
+
+    // Publish the cursor to the map layer
+    useEffect(() => {
+        onReplay(history ? { events: history.events, time } : null);
+    }, [history, time, onReplay]);
+
+    useEffect(() => {
+        if (!playing) return undefined;
+        const interval = setInterval(() => {
+            setStep((current) => {
+                if (current >= SLIDER_STEPS) {
+                    setPlaying(false);
+                    return current;
+                }
+                return current + 1;
+            });
+        }, PLAYBACK_TICK_MS);
+        return () => clearInterval(interval);
+    }, [playing]);
+
+    return (
+        <div className="glass-panel history-panel">
+            <button className="filter-toggle" onClick={() => (open ? closeReplay() : setOpen(true))}>
+                <span>Music Trail{history ? ` · ${formatClock(time)}` : ''}</span>
+                <span>{open ? '✕' : '▴'}</span>
+            </button>
+            {open && (
+                <div className="filter-fields">
+                    <div className="switch-container">
+                        <select
+                            className="glass-select"
+                            value={rangeMinutes}
+                            onChange={(e) => setRangeMinutes(Number(e.target.value))}
+                        >
+                            {HISTORY_RANGES.map((opt) => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                        <button className="link-btn" onClick={loadHistory}>Load this area</button>
+                    </div>
+                    {error && <div className="chart-empty">{error}</div>}
+                    {history && (
+                        <>
+                            <input
+                                type="range"
+                                className="history-slider"
+                                min={0}
+                                max={SLIDER_STEPS}
+                                value={step}
+                                onChange={(e) => setStep(Number(e.target.value))}
+                            />
+                            <div className="switch-container">
+                                <span className="chart-sub">
+                                    {history.events.length} plays{history.truncated ? ' (most recent)' : ''}
+                                </span>
+                                <button
+                                    className="link-btn"
+                                    onClick={() => {
+                                        if (step >= SLIDER_STEPS) setStep(0);
+                                        setPlaying(!playing);
+                                    }}
+                                >
+                                    {playing ? '❚❚ Pause' : '▶ Play'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
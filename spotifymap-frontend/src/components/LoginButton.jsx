@@ -1,12 +1,10 @@
 ﻿import React from 'react';
+import { loginUrl } from '../api/client';
 
-// Automatically use '/api' in production, or localhost in development
-const BACKEND_URL = import.meta.env.PROD 
-  ? '/api' // Production uses relative path
-  : 'http://127.0.0.1:5000'; // Development uses absolute path
-const LoginButton = () => {
+const LoginButton = ({ notice, error }) => {
+    // Come back to the same page (e.g. a shared link) after logging in
     const handleLogin = () => {
-        window.location.href = `${BACKEND_URL}/login`;
+        window.location.href = loginUrl();
     };
 
     return (
@@ -16,6 +14,16 @@ const LoginButton = () => {
                 <p style={{ fontSize: '1.2rem', marginBottom: '30px', color: '#ccc' }}>
                     Discover the soundtrack of your city.
                 </p>
+                {error && (
+                    <p style={{ fontSize: '0.9rem', marginBottom: '20px', color: '#e22134' }}>
+                        {error}
+                    </p>
+                )}
+                {notice && (
+                    <p style={{ fontSize: '0.9rem', marginBottom: '20px', color: 'var(--spotify-green)' }}>
+                        {notice}
+                    </p>
+                )}
                 <button
                     onClick={handleLogin}
                     className="toggle-btn"
@@ -1,164 +1,372 @@
-﻿import React, { useState, useEffect, useMemo } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
-import L from 'leaflet';
+﻿import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { MapContainer, TileLayer, useMap } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import axios from 'axios';
-import useSWR from 'swr';
-
-// Automatically use '/api' in production, or localhost in development
-const BACKEND_URL = import.meta.env.PROD 
-  ? '/api' // Production uses relative path
-  : 'http://127.0.0.1:5000'; // Development uses absolute path
-// --- FETCHERS ---
-const fetcherGet = (url) => axios.get(url, { withCredentials: true }).then((res) => res.data);
-const fetcherPost = ([url, lat, lon, rad]) =>
-    axios.post(url, { latitude: lat, longitude: lon, radius_km: rad }, { withCredentials: true }).then((res) => res.data);
-
-// --- 1. OPTIMIZED MARKER COMPONENT ---
-const UserMarker = React.memo(({ user, isMe }) => {
-    const glassIcon = useMemo(() => {
-        const imgUrl = user.album_art_url || 'https://cdn-icons-png.flaticon.com/512/3209/3209995.png';
-        return L.divIcon({
-            className: 'custom-pin',
-            html: `<div class="pin-outer"><div class="pin-inner"><img src="${imgUrl}" alt="Music" /></div></div>`,
-            iconSize: [50, 50],
-            iconAnchor: [25, 25],
-            popupAnchor: [0, -30]
-        });
-    }, [user.album_art_url]);
+import useSWR, { useSWRConfig } from 'swr';
+import UserMarker from './UserMarker';
+import ClusterLayer from './ClusterLayer';
+import DensityLayer from './DensityLayer';
+import FilterPanel from './FilterPanel';
+import FriendsPanel from './FriendsPanel';
+import GhostModePanel from './GhostModePanel';
+import ChartsPanel from './ChartsPanel';
+import HistoryPanel from './HistoryPanel';
+import HistoryLayer from './HistoryLayer';
+import VenueLayer from './VenueLayer';
+import VenuePanel from './VenuePanel';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+import usePositionTracking from '../hooks/usePositionTracking';
+import {
+    api, disableTasteMatching, enableTasteMatching, findUsersInBounds, getNowPlaying, loginUrl, notifyError,
+    updateLocation,
+} from '../api/client';
+import { copyLink, mapLinkUrl, readMapLink, writeMapLink } from '../mapUrl';
 
-    return (
-        <Marker position={[user.latitude, user.longitude]} icon={glassIcon}>
-            <Popup>
-                <div style={{ textAlign: 'center', minWidth: '160px' }}>
-                    {/* Header */}
-                    <div style={{
-                        fontSize: '0.7rem',
-                        letterSpacing: '1px',
-                        marginBottom: '8px',
-                        color: '#888',
-                        borderBottom: '1px solid rgba(255,255,255,0.1)',
-                        paddingBottom: '5px'
-                    }}>
-                        {isMe ? 'YOU ARE LISTENING TO' : user.user_name?.toUpperCase()}
-                    </div>
+// Privacy levels accepted by /me/update-location (published position is snapped to this grid)
+const LOCATION_PRECISION_OPTIONS = [
+    { value: 'exact', label: 'Exact' },
+    { value: '100m', label: '~100 m' },
+    { value: '1km', label: '~1 km' },
+    { value: 'neighbourhood', label: 'Neighbourhood' },
+];
 
-                    {/* Album Art Link */}
-                    <a href={user.track_url} target="_blank" rel="noopener noreferrer">
-                        <img src={user.album_art_url} className="popup-art" alt="Art" />
-                    </a>
+// Who sees you on the map (PATCH /me visibility)
+const VISIBILITY_OPTIONS = [
+    { value: 'public', label: 'Everyone' },
+    { value: 'friends', label: 'Friends only' },
+    { value: 'hidden', label: 'Nobody' },
+];
 
-                    {/* Track Info */}
-                    <div style={{ fontSize: '1rem', fontWeight: 'bold', marginBottom: '2px' }}>
-                        {user.track_name}
-                    </div>
+// Hide nearby users whose last track is older than this (sent as max_idle_minutes; 0 = show everyone)
+const IDLE_FILTER_OPTIONS = [
+    { value: 0, label: 'Anytime' },
+    { value: 5, label: 'Last 5 min' },
+    { value: 30, label: 'Last 30 min' },
+    { value: 120, label: 'Last 2 hours' },
+];
 
-                    {/* ARTIST NAME LINK */}
-                    <div style={{ fontSize: '0.9rem' }}>
-                        <a
-                            href={user.artist_url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="artist-link"
-                        >
-                            {user.artist}
-                        </a>
-                    </div>
+// Beyond this radius (geohash precision 3 and coarser) the map asks for per-cell counts instead of pins
+const DENSITY_RADIUS_KM = 80;
 
-                    {/* Follow Button */}
-                    {!isMe && (
-                        <a
-                            href={user.spotify_url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="follow-btn"
-                        >
-                            Follow on Spotify
-                        </a>
-                    )}
-                </div>
-            </Popup>
-        </Marker>
-    );
-});
+// Nearby polling: steady interval without push; a slow safety resync while /live is connected
+const NEARBY_POLL_MS = 10000;
+const NEARBY_RESYNC_MS = 60000;
+
+// The API rejects radius searches larger than this
+const MAX_RADIUS_KM = 500;
+
+// Map zoom without a shared link; the embeddable widget covers at most the public snapshot radius
+const DEFAULT_ZOOM = 15;
+// Venue dots only show from this zoom in, where they don't bury the pins
+const VENUE_MIN_ZOOM = 14;
+
+// Taste profiles are re-read from Spotify once they are this old; "Best matches" rings and
+// lists this many pins in view, from this score up
+const TASTE_REFRESH_MS = 7 * 24 * 60 * 60 * 1000;
+const TASTE_HIGHLIGHT_COUNT = 5;
+const MIN_HIGHLIGHT_SCORE = 50;
+const WIDGET_MAX_RADIUS_KM = 25;
+const COPIED_LABEL_MS = 2000;
 
 // --- HELPER TO CALCULATE RADIUS ---
 const getMapRadius = (map) => {
     const bounds = map.getBounds();
     const center = bounds.getCenter();
     const northEast = bounds.getNorthEast();
-    return center.distanceTo(northEast) / 1000;
+    return Math.min(center.distanceTo(northEast) / 1000, MAX_RADIUS_KM);
+};
+
+// Visible rectangle as sent to /users/in-bounds (longitudes may pass ±180 when the map wraps)
+const getMapBounds = (map) => {
+    const bounds = map.getBounds();
+    return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+};
+
+// Accounts connected before taste matching have to grant the top artists permission first
+const reportTasteError = (error, fallback) => {
+    if (error.response?.data?.reconsent) {
+        if (window.confirm('Taste matching needs a new Spotify permission. Log in again to grant it?')) {
+            window.location.href = loginUrl();
+        }
+        return;
+    }
+    notifyError(error, fallback);
 };
 
 // --- MAP EVENTS HANDLER ---
+// Center/radius still drive the circle-based endpoints (density, charts, history, live)
 function MapEventHandler({ setViewState }) {
     const map = useMap();
 
     useEffect(() => {
-        setViewState({ lat: map.getCenter().lat, lng: map.getCenter().lng, radius: getMapRadius(map) });
-
-        const onMove = () => {
+        const update = () => {
             setViewState({
                 lat: map.getCenter().lat,
                 lng: map.getCenter().lng,
-                radius: getMapRadius(map)
+                radius: getMapRadius(map),
+                bounds: getMapBounds(map),
+                zoom: map.getZoom(),
             });
         };
-        map.on('moveend', onMove);
-        return () => map.off('moveend', onMove);
+        update();
+        map.on('moveend', update);
+        return () => map.off('moveend', update);
     }, [map, setViewState]);
 
     return null;
 }
 
-const MapComponent = () => {
-    const [userLocation, setUserLocation] = useState(null);
+const MapComponent = ({ user, onLogout, onDeleteAccount }) => {
+    // A shared link opens on its own view, filters and pin instead of the viewer's position
+    const [link] = useState(readMapLink);
+    const { location: userLocation, pushIntervalMs } = usePositionTracking();
     const [viewState, setViewState] = useState(null);
-    const [sharingEnabled, setSharingEnabled] = useState(true);
+    // Start from the settings saved on the server (GET /me)
+    const [sharingEnabled, setSharingEnabled] = useState(user.location_sharing_enabled);
+    const [locationPrecision, setLocationPrecision] = useState(user.location_precision);
+    const [visibility, setVisibility] = useState(user.visibility);
+    const [ghostSettings, setGhostSettings] = useState({
+        exclusion_zones: user.exclusion_zones, ghost_schedules: user.ghost_schedules,
+    });
+    const [ghosted, setGhosted] = useState(null); // 'zone' | 'schedule' while the server withholds our position
+    const [maxIdleMinutes, setMaxIdleMinutes] = useState(
+        IDLE_FILTER_OPTIONS.some((opt) => opt.value === link.maxIdleMinutes) ? link.maxIdleMinutes : 0
+    );
     const [darkMode, setDarkMode] = useState(true);
+    const [heatmapMode, setHeatmapMode] = useState(false);
+    const [filters, setFilters] = useState(link.filters);
+    const [focusedPin, setFocusedPin] = useState(link.pin);
+    const [selectedVenue, setSelectedVenue] = useState(link.venue);
+    const [checkIn, setCheckIn] = useState(user.check_in);
+    const [tasteMatching, setTasteMatching] = useState(user.taste_matching);
+    const [tasteBusy, setTasteBusy] = useState(false);
+    const [bestMatches, setBestMatches] = useState(false);
+    const [copied, setCopied] = useState(null); // 'view' | 'embed' after copying a link
+    const [replay, setReplay] = useState(null); // { events, time } while the music trail is open
+    const [playlist, setPlaylist] = useState({ saving: false, url: null });
 
     useEffect(() => { document.body.className = darkMode ? 'dark-mode' : 'light-mode'; }, [darkMode]);
 
+    // The address bar always holds a link to what is on screen
+    const currentLink = useMemo(() => viewState && {
+        center: { lat: viewState.lat, lng: viewState.lng },
+        zoom: viewState.zoom,
+        filters,
+        maxIdleMinutes,
+        pin: focusedPin,
+        venue: selectedVenue,
+    }, [viewState, filters, maxIdleMinutes, focusedPin, selectedVenue]);
+    useEffect(() => { if (currentLink) writeMapLink(currentLink); }, [currentLink]);
+
+    const showCopied = (what) => {
+        setCopied(what);
+        setTimeout(() => setCopied(null), COPIED_LABEL_MS);
+    };
+
+    const copyViewLink = async () => {
+        if (await copyLink(mapLinkUrl({ ...currentLink, pin: null, venue: null }))) showCopied('view');
+    };
+
+    // Script tag for the "now playing here" widget centred on the current view
+    const copyEmbedCode = async () => {
+        const radius = Math.min(viewState.radius, WIDGET_MAX_RADIUS_KM).toFixed(2);
+        const code = `<script src="${window.location.origin}/embed.js" data-lat="${viewState.lat.toFixed(5)}" `
+            + `data-lng="${viewState.lng.toFixed(5)}" data-radius="${radius}" async></script>`;
+        if (await copyLink(code)) showCopied('embed');
+    };
+
+    // Publish the latest fix on a timer rather than on every fix. Browsers throttle timers in
+    // background tabs, so while the page is hidden a new fix is published as it arrives (at most
+    // once per interval), and the latest goes out as soon as the tab is visible again. Once the
+    // browser freezes the page, no fixes arrive until it's back.
+    const locationRef = useRef(userLocation);
+    const pushLocationRef = useRef(null);
+    const lastPushRef = useRef(0);
+    useEffect(() => { locationRef.current = userLocation; }, [userLocation]);
+    const located = userLocation !== null;
+
+    useEffect(() => {
+        if (!located) return undefined;
+        const pushLocation = async () => {
+            lastPushRef.current = Date.now();
+            try {
+                const result = await updateLocation(locationRef.current, { sharing: sharingEnabled, precision: locationPrecision });
+                setGhosted(result.ghosted || null);
+                // Moving away from the venue (or hiding) ends the check-in on the server
+                setCheckIn(result.check_in || null);
+            } catch (e) {
+                // Next interval tick retries
+                notifyError(e, 'Could not update your location.');
+            }
+        };
+        const pushWhenVisible = () => {
+            if (document.visibilityState === 'visible') pushLocation();
+        };
+        pushLocationRef.current = pushLocation;
+        pushLocation();
+        const interval = setInterval(pushLocation, pushIntervalMs);
+        document.addEventListener('visibilitychange', pushWhenVisible);
+        return () => {
+            pushLocationRef.current = null;
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', pushWhenVisible);
+        };
+    }, [located, sharingEnabled, locationPrecision, ghostSettings, pushIntervalMs]); // New ghost settings apply right away
+
     useEffect(() => {
-        if (navigator.geolocation) {
-            navigator.geolocation.getCurrentPosition(
-                (position) => setUserLocation({ lat: position.coords.latitude, lng: position.coords.longitude }),
-                () => setUserLocation({ lat: 40.7128, lng: -74.0060 }),
-                { enableHighAccuracy: true }
-            );
+        if (document.visibilityState !== 'hidden' || Date.now() - lastPushRef.current < pushIntervalMs) return;
+        pushLocationRef.current?.();
+    }, [userLocation, pushIntervalMs]);
+
+    const changeVisibility = async (value) => {
+        const previous = visibility;
+        setVisibility(value);
+        try {
+            await api.patch('/me', { visibility: value });
+        } catch (e) {
+            setVisibility(previous);
+            notifyError(e, 'Could not change who sees you.');
+        }
+    };
+
+    const { mutate } = useSWRConfig();
+    const handleAddFriend = useCallback(async (id) => {
+        try {
+            await api.post('/friends/requests', { user_id: id });
+            mutate('/friends');
+        } catch (e) {
+            notifyError(e, 'Could not send the friend request, please try again.');
+        }
+    }, [mutate]);
+
+    // Today's most played tracks in the visible area become a private playlist in the user's account
+    const saveAreaPlaylist = async () => {
+        if (!viewState) return;
+        setPlaylist({ saving: true, url: null });
+        try {
+            const res = await api.post('/playlists/area', {
+                ...viewState.bounds,
+                window: 'today',
+                utc_offset_minutes: -new Date().getTimezoneOffset(),
+            });
+            setPlaylist({ saving: false, url: res.data.url });
+        } catch (e) {
+            setPlaylist({ saving: false, url: null });
+            // Accounts connected before playlist export have to grant the new permission first
+            if (e.response?.data?.reconsent) {
+                if (window.confirm('Saving playlists needs a new Spotify permission. Log in again to grant it?')) {
+                    window.location.href = loginUrl();
+                }
+                return;
+            }
+            notifyError(e, 'Could not create the playlist, please try again.');
         }
-    }, []);
+    };
 
+    // Keep an opted-in taste profile current; a failed refresh leaves the old one in use
     useEffect(() => {
-        if (userLocation) {
-            const pushLocation = async () => {
-                const formData = new URLSearchParams();
-                formData.append('lat', userLocation.lat);
-                formData.append('lon', userLocation.lng);
-                formData.append('sharing', sharingEnabled ? 'on' : 'off');
-                try {
-                    await axios.post(`${BACKEND_URL}/me/update-location`, formData.toString(), {
-                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, withCredentials: true
-                    });
-                } catch (e) { }
-            };
-            pushLocation();
-            const interval = setInterval(pushLocation, 10000);
-            return () => clearInterval(interval);
+        if (user.taste_matching && Date.now() - user.taste_updated_at > TASTE_REFRESH_MS) {
+            enableTasteMatching().catch((e) => reportTasteError(e, 'Could not refresh your taste profile.'));
         }
-    }, [userLocation, sharingEnabled]);
+    }, [user.taste_matching, user.taste_updated_at]);
 
-    const { data: myTrack } = useSWR(`${BACKEND_URL}/now-playing`, fetcherGet, {
+    const { data: myTrack } = useSWR('/now-playing', getNowPlaying, {
         refreshInterval: 5000, keepPreviousData: true
     });
 
-    const { data: nearbyUsers } = useSWR(
-        (viewState) ? [`${BACKEND_URL}/users/nearby`, viewState.lat, viewState.lng, viewState.radius] : null,
-        fetcherPost,
+    // Individual pins when zoomed in; aggregated cells for the heatmap and very large radii
+    const useDensity = viewState && (heatmapMode || viewState.radius > DENSITY_RADIUS_KM);
+
+    // Pins cover exactly the visible rectangle; density cells the circle around it.
+    // SWR hashes the bodies into the cache keys.
+    const searchBody = useMemo(() => viewState && {
+        latitude: viewState.lat,
+        longitude: viewState.lng,
+        radius_km: viewState.radius,
+        max_idle_minutes: maxIdleMinutes,
+        ...filters,
+    }, [viewState, maxIdleMinutes, filters]);
+    const boundsBody = useMemo(() => viewState && {
+        ...viewState.bounds,
+        max_idle_minutes: maxIdleMinutes,
+        ...filters,
+        // Crowded views return the closest matches rather than the pins nearest the center
+        ...(bestMatches && { sort: 'taste' }),
+    }, [viewState, maxIdleMinutes, filters, bestMatches]);
+
+    // Live push (pins mode only); polling continues as the fallback
+    const [liveConnected, setLiveConnected] = useState(false);
+
+    const { data: nearbyUsers, mutate: mutateNearby } = useSWR(
+        (boundsBody && !useDensity) ? ['/users/in-bounds', boundsBody] : null,
+        ([, body]) => findUsersInBounds(body),
+        { refreshInterval: liveConnected ? NEARBY_RESYNC_MS : NEARBY_POLL_MS, keepPreviousData: true }
+    );
+
+    const handleLiveEvent = useCallback((type, data) => {
+        // Filters are applied server-side: let the server decide whether a new/changed pin matches
+        const filtered = maxIdleMinutes > 0 || Object.keys(filters).length > 0 || bestMatches;
+        if (filtered && type !== 'leave') {
+            mutateNearby();
+            return;
+        }
+        mutateNearby((current = []) => {
+            const previous = current.find((pin) => pin.id === data.id);
+            const others = current.filter((pin) => pin.id !== data.id);
+            // Live payloads don't know the viewer's friends or taste; keep both from the last fetch
+            return type === 'leave'
+                ? others
+                : [...others, { ...data, is_friend: previous?.is_friend, taste_match: previous?.taste_match ?? null }];
+        }, { revalidate: false });
+    }, [mutateNearby, maxIdleMinutes, filters, bestMatches]);
+
+    // Closest taste matches among the pins in view, best first
+    const topMatches = useMemo(() => (bestMatches && nearbyUsers
+        ? nearbyUsers
+            .filter((pin) => pin.taste_match && pin.taste_match.score >= MIN_HIGHLIGHT_SCORE)
+            .sort((a, b) => b.taste_match.score - a.taste_match.score)
+            .slice(0, TASTE_HIGHLIGHT_COUNT)
+        : []), [bestMatches, nearbyUsers]);
+    const highlightIds = useMemo(() => new Set(topMatches.map((pin) => pin.id)), [topMatches]);
+
+    const { connected } = useLiveUpdates(viewState, handleLiveEvent, !useDensity);
+    useEffect(() => { setLiveConnected(connected); }, [connected]);
+
+    const changeTasteMatching = async (enabled) => {
+        setTasteBusy(true);
+        try {
+            if (enabled) {
+                await enableTasteMatching();
+            } else {
+                await disableTasteMatching();
+                setBestMatches(false);
+            }
+            setTasteMatching(enabled);
+            mutateNearby();
+        } catch (e) {
+            reportTasteError(e, 'Could not change taste matching, please try again.');
+        } finally {
+            setTasteBusy(false);
+        }
+    };
+
+    const { data: densityCells } = useSWR(
+        (searchBody && useDensity) ? ['/users/density', searchBody] : null,
         { refreshInterval: 10000, keepPreviousData: true }
     );
 
-    if (!userLocation) return <div className="login-container"><h1>Locating...</h1></div>;
+    const venuesKey = viewState && !useDensity && viewState.zoom >= VENUE_MIN_ZOOM
+        ? `/venues?${new URLSearchParams({ latitude: viewState.lat, longitude: viewState.lng, radius_km: viewState.radius })}`
+        : null;
+    const { data: venues } = useSWR(venuesKey, { refreshInterval: 30000, keepPreviousData: true });
+
+    // Checking in or out moves our pin, so refresh the pins with it
+    const handleCheckIn = (value) => {
+        setCheckIn(value);
+        mutateNearby();
+    };
+
+    const mapCenter = link.center || userLocation;
+    if (!mapCenter) return <div className="login-container"><h1>Locating...</h1></div>;
 
     const tileUrl = darkMode
         ? "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
@@ -171,6 +379,10 @@ const MapComponent = () => {
             <div className="glass-panel">
                 <h2 style={{ borderBottom: '1px solid var(--glass-border)', paddingBottom: '10px' }}>
                     SpotiMap <span style={{ color: 'var(--spotify-green)' }}>Live</span>
+                    <span
+                        className={`live-dot${connected ? ' connected' : ''}`}
+                        title={connected ? 'Live updates connected' : 'Refreshing every few seconds'}
+                    />
                 </h2>
                 <div className="controls">
                     <div className="switch-container">
@@ -180,6 +392,51 @@ const MapComponent = () => {
                             <span className="slider"></span>
                         </label>
                     </div>
+                    <div className="switch-container">
+                        <span>Location Precision</span>
+                        <select
+                            className="glass-select"
+                            value={locationPrecision}
+                            disabled={!sharingEnabled}
+                            onChange={(e) => setLocationPrecision(e.target.value)}
+                        >
+                            {LOCATION_PRECISION_OPTIONS.map((opt) => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="switch-container">
+                        <span>Visible to</span>
+                        <select
+                            className="glass-select"
+                            value={visibility}
+                            disabled={!sharingEnabled}
+                            onChange={(e) => changeVisibility(e.target.value)}
+                        >
+                            {VISIBILITY_OPTIONS.map((opt) => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="switch-container">
+                        <span>Listening</span>
+                        <select
+                            className="glass-select"
+                            value={maxIdleMinutes}
+                            onChange={(e) => setMaxIdleMinutes(Number(e.target.value))}
+                        >
+                            {IDLE_FILTER_OPTIONS.map((opt) => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="switch-container">
+                        <span>Heatmap</span>
+                        <label className="switch">
+                            <input type="checkbox" checked={heatmapMode} onChange={(e) => setHeatmapMode(e.target.checked)} />
+                            <span className="slider"></span>
+                        </label>
+                    </div>
                     <div className="switch-container">
                         <span>{darkMode ? 'Dark Mode 🌙' : 'Light Mode ☀️'}</span>
                         <label className="switch">
@@ -187,16 +444,112 @@ const MapComponent = () => {
                             <span className="slider"></span>
                         </label>
                     </div>
+                    <div className="switch-container">
+                        <span>Sound of this area</span>
+                        <span>
+                            {playlist.url && (
+                                <>
+                                    <a href={playlist.url} target="_blank" rel="noopener noreferrer" className="artist-link">Open</a>
+                                    {' · '}
+                                </>
+                            )}
+                            <button className="link-btn" disabled={!viewState || playlist.saving} onClick={saveAreaPlaylist}>
+                                {playlist.saving ? 'Saving...' : 'Save as playlist'}
+                            </button>
+                        </span>
+                    </div>
+                    <div className="switch-container">
+                        <span>Taste matching</span>
+                        <label className="switch">
+                            <input
+                                type="checkbox"
+                                checked={tasteMatching}
+                                disabled={tasteBusy}
+                                onChange={(e) => changeTasteMatching(e.target.checked)}
+                            />
+                            <span className="slider"></span>
+                        </label>
+                    </div>
+                    {tasteMatching && (
+                        <div className="switch-container">
+                            <span>Best matches</span>
+                            <label className="switch">
+                                <input type="checkbox" checked={bestMatches} onChange={(e) => setBestMatches(e.target.checked)} />
+                                <span className="slider"></span>
+                            </label>
+                        </div>
+                    )}
+                    {bestMatches && (
+                        topMatches.length === 0
+                            ? <div className="chart-empty">No close matches in view yet</div>
+                            : (
+                                <ul className="match-list">
+                                    {topMatches.map((pin) => (
+                                        <li key={pin.id}>
+                                            <button className="link-btn" onClick={() => setFocusedPin(pin.id)}>{pin.user_name}</button>
+                                            <span className="chart-count">{pin.taste_match.score}%</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )
+                    )}
+                    {checkIn && (
+                        <div className="switch-container">
+                            <span>Checked in</span>
+                            <button className="link-btn" onClick={() => setSelectedVenue(checkIn.id)}>{checkIn.name}</button>
+                        </div>
+                    )}
+                    <div className="switch-container">
+                        <span>Share</span>
+                        <span>
+                            <button className="link-btn" disabled={!viewState} onClick={copyViewLink}>
+                                {copied === 'view' ? 'Link copied' : 'Copy link'}
+                            </button>
+                            {' · '}
+                            <button className="link-btn" disabled={!viewState} onClick={copyEmbedCode}>
+                                {copied === 'embed' ? 'Code copied' : 'Embed'}
+                            </button>
+                        </span>
+                    </div>
+                    <FilterPanel initialFilters={link.filters} onChange={setFilters} />
+                    <FriendsPanel />
+                    <GhostModePanel
+                        settings={ghostSettings}
+                        currentLocation={userLocation}
+                        ghosted={sharingEnabled && ghosted}
+                        onSaved={(profile) => setGhostSettings({
+                            exclusion_zones: profile.exclusion_zones, ghost_schedules: profile.ghost_schedules,
+                        })}
+                    />
+                    <div className="account-row">
+                        <span className="account-name">{user.user_name || user.id}</span>
+                        <button className="link-btn" onClick={onLogout}>Log out</button>
+                        <button className="link-btn danger" onClick={onDeleteAccount}>Delete account</button>
+                    </div>
                 </div>
             </div>
 
+            <ChartsPanel viewState={viewState} />
+            <HistoryPanel viewState={viewState} onReplay={setReplay} />
+            {selectedVenue && (
+                <VenuePanel
+                    key={selectedVenue}
+                    venueId={selectedVenue}
+                    currentCheckIn={checkIn}
+                    userLocation={userLocation}
+                    onCheckIn={handleCheckIn}
+                    onClose={() => setSelectedVenue(null)}
+                />
+            )}
+
             {/* Map */}
-            <MapContainer center={userLocation} zoom={15} zoomControl={false} style={{ height: '100%', width: '100%', background: darkMode ? '#000' : '#ddd' }}>
-                <TileLayer attribution='© CARTO' url={tileUrl} />
+            <MapContainer center={mapCenter} zoom={link.zoom || DEFAULT_ZOOM} zoomControl={false} style={{ height: '100%', width: '100%', background: darkMode ? '#000' : '#ddd' }}>
+                {/* CORS tile requests, so the service worker can keep recently viewed tiles for offline use */}
+                <TileLayer attribution='© CARTO' url={tileUrl} crossOrigin />
                 <MapEventHandler setViewState={setViewState} />
 
                 {/* MY PIN */}
-                {myTrack && myTrack.is_playing && (
+                {userLocation && myTrack && myTrack.is_playing && (
                     <UserMarker
                         user={{
                             latitude: userLocation.lat,
@@ -211,10 +564,24 @@ const MapComponent = () => {
                     />
                 )}
 
-                {/* NEARBY USERS */}
-                {nearbyUsers && nearbyUsers.map((user) => (
-                    <UserMarker key={user.id} user={user} isMe={false} />
-                ))}
+                {!replay && venuesKey && (
+                    <VenueLayer venues={venues} selectedId={selectedVenue} onSelect={setSelectedVenue} />
+                )}
+
+                {/* NEARBY USERS: trail replay, density heatmap, or pins clustered where they overlap */}
+                {replay
+                    ? <HistoryLayer events={replay.events} time={replay.time} />
+                    : heatmapMode
+                        ? <DensityLayer cells={densityCells} />
+                        : <ClusterLayer
+                            users={useDensity ? null : nearbyUsers}
+                            cells={useDensity ? densityCells : null}
+                            onAddFriend={handleAddFriend}
+                            focusedId={focusedPin}
+                            onUnfocus={() => setFocusedPin(null)}
+                            onSelectVenue={setSelectedVenue}
+                            highlightIds={highlightIds}
+                        />}
 
             </MapContainer>
         </div>
@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from 'react';
+import useSWR from 'swr';
+import { getAreaSnapshot } from '../api/client';
+import { mapLinkUrl } from '../mapUrl';
+
+const WIDGET_WINDOWS = {
+    now: 'Playing now',
+    hour: 'Last hour',
+    today: 'Today',
+};
+const DEFAULT_RADIUS_KM = 1;
+const DEFAULT_LIMIT = 5;
+// What GET /public/snapshot accepts; embeds asking for more get the most it allows, not an error
+const MIN_RADIUS_KM = 0.01;
+const MAX_RADIUS_KM = 25;
+const MAX_LIMIT = 10;
+// Matches the snapshot's cache lifetime, so each poll sees fresh data
+const REFRESH_MS = 30000;
+const VENUE_LINK_ZOOM = 16;
+
+// Widget options from widget.html's query string (public/embed.js copies them from data-* attributes)
+const readOptions = () => {
+    const params = new URLSearchParams(window.location.search);
+    const number = (name, fallback) => {
+        const value = Number(params.get(name));
+        return params.has(name) && Number.isFinite(value) ? value : fallback;
+    };
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const chartWindow = params.get('window');
+    return {
+        latitude: number('lat', null),
+        longitude: number('lng', null),
+        radiusKm: clamp(number('radius', DEFAULT_RADIUS_KM), MIN_RADIUS_KM, MAX_RADIUS_KM),
+        limit: clamp(Math.round(number('limit', DEFAULT_LIMIT)), 1, MAX_LIMIT),
+        chartWindow: WIDGET_WINDOWS[chartWindow] ? chartWindow : 'now',
+        title: params.get('title') || 'Now playing nearby',
+        theme: params.get('theme') === 'light' ? 'light' : 'dark',
+    };
+};
+
+/**
+ * Read-only "now playing here" card for a fixed location, e.g. a venue's website: the area's
+ * top tracks from GET /public/snapshot, refreshed every REFRESH_MS. Needs no login.
+ */
+const NowPlayingWidget = () => {
+    const [options] = useState(readOptions);
+    const hasLocation = options.latitude !== null && options.longitude !== null;
+
+    const params = useMemo(() => ({
+        latitude: options.latitude,
+        longitude: options.longitude,
+        radius_km: options.radiusKm,
+        window: options.chartWindow,
+        limit: options.limit,
+        utc_offset_minutes: -new Date().getTimezoneOffset(),
+    }), [options]);
+
+    const { data, error } = useSWR(
+        hasLocation ? ['/public/snapshot', params] : null,
+        ([, query]) => getAreaSnapshot(query),
+        { refreshInterval: REFRESH_MS, keepPreviousData: true }
+    );
+
+    const mapLink = hasLocation && mapLinkUrl({
+        center: { lat: options.latitude, lng: options.longitude }, zoom: VENUE_LINK_ZOOM,
+    });
+
+    let body;
+    if (!hasLocation) {
+        body = <p className="widget-empty">This widget needs data-lat and data-lng.</p>;
+    } else if (error && !data) {
+        body = <p className="widget-empty">{error.response?.data?.error || 'Could not load what is playing here.'}</p>;
+    } else if (!data) {
+        body = <p className="widget-empty">Loading...</p>;
+    } else if (data.tracks.length === 0) {
+        body = (
+            <p className="widget-empty">
+                {data.listeners === 0 ? 'Nobody is sharing their music here yet.' : 'A few people are listening here, check back soon.'}
+            </p>
+        );
+    } else {
+        body = (
+            <ol className="widget-tracks">
+                {data.tracks.map((track) => (
+                    <li key={track.track_url}>
+                        {track.album_art_url && <img src={track.album_art_url} alt="" />}
+                        <a href={track.track_url} target="_blank" rel="noopener noreferrer">
+                            <span className="widget-track">{track.track_name}</span>
+                            <span className="widget-artist">{track.artist}</span>
+                        </a>
+                        <span className="widget-count" title="Listeners">{track.listeners}</span>
+                    </li>
+                ))}
+            </ol>
+        );
+    }
+
+    return (
+        <div className={`widget ${options.theme}`}>
+            <header>
+                <h1>{options.title}</h1>
+                <span>
+                    {WIDGET_WINDOWS[options.chartWindow]}
+                    {data ? ` · ${data.listeners} listening` : ''}
+                </span>
+            </header>
+            {body}
+            <footer>
+                {mapLink
+                    ? <a href={mapLink} target="_blank" rel="noopener noreferrer">Open the map on SpotiMap</a>
+                    : 'SpotiMap'}
+            </footer>
+        </div>
+    );
+};
+
+export default NowPlayingWidget;
@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Marker, Popup } from 'react-leaflet';
+import L from 'leaflet';
+import { copyLink, mapLinkUrl } from '../mapUrl';
+
+// Zoom a shared pin link opens at
+const PIN_LINK_ZOOM = 17;
+
+// "3 min ago" style label for a millisecond timestamp
+const formatTimeAgo = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours} h ago` : `${Math.floor(hours / 24)} d ago`;
+};
+
+// --- OPTIMIZED MARKER COMPONENT ---
+// `highlighted` rings the pin as one of the viewer's closest taste matches in view;
+// `anonymous` pins (history replay) have no id, so they get no friend or share actions
+const UserMarker = React.memo(({ user, isMe, onAddFriend, focused, onUnfocus, highlighted, anonymous }) => {
+    const markerRef = useRef(null);
+    const [copied, setCopied] = useState(false);
+
+    // Shared pin links open this pin's popup; closing it drops the pin from the URL
+    useEffect(() => {
+        if (focused && markerRef.current) markerRef.current.openPopup();
+    }, [focused]);
+
+    const shareLink = async () => {
+        const url = mapLinkUrl({ center: { lat: user.latitude, lng: user.longitude }, zoom: PIN_LINK_ZOOM, pin: user.id });
+        setCopied(await copyLink(url));
+    };
+
+    const glassIcon = useMemo(() => {
+        const imgUrl = user.album_art_url || 'https://cdn-icons-png.flaticon.com/512/3209/3209995.png';
+        return L.divIcon({
+            className: 'custom-pin',
+            html: `<div class="pin-outer${highlighted ? ' match' : ''}"><div class="pin-inner"><img src="${imgUrl}" alt="Music" /></div></div>`,
+            iconSize: [50, 50],
+            iconAnchor: [25, 25],
+            popupAnchor: [0, -30]
+        });
+    }, [user.album_art_url, highlighted]);
+
+    return (
+        <Marker
+            ref={markerRef}
+            position={[user.latitude, user.longitude]}
+            icon={glassIcon}
+            eventHandlers={{
+                popupclose: () => {
+                    setCopied(false);
+                    if (focused && onUnfocus) onUnfocus();
+                },
+            }}
+        >
+            <Popup>
+                <div style={{ textAlign: 'center', minWidth: '160px' }}>
+                    {/* Header */}
+                    <div style={{
+                        fontSize: '0.7rem',
+                        letterSpacing: '1px',
+                        marginBottom: '8px',
+                        color: '#888',
+                        borderBottom: '1px solid rgba(255,255,255,0.1)',
+                        paddingBottom: '5px'
+                    }}>
+                        {isMe ? 'YOU ARE LISTENING TO' : user.user_name?.toUpperCase()}
+                        {user.is_friend && <span className="friend-badge">FRIEND</span>}
+                        {user.simulated && <span className="friend-badge">SIMULATED</span>}
+                    </div>
+
+                    {/* Album Art Link */}
+                    {user.album_art_url && (
+                        <a href={user.track_url} target="_blank" rel="noopener noreferrer">
+                            <img src={user.album_art_url} className="popup-art" alt="Art" />
+                        </a>
+                    )}
+
+                    {/* Track Info */}
+                    <div style={{ fontSize: '1rem', fontWeight: 'bold', marginBottom: '2px' }}>
+                        {user.track_name || 'Nothing played yet'}
+                    </div>
+
+                    {/* ARTIST NAME LINK */}
+                    <div style={{ fontSize: '0.9rem' }}>
+                        <a
+                            href={user.artist_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="artist-link"
+                        >
+                            {user.artist}
+                        </a>
+                    </div>
+
+                    {user.venue && <div className="venue-badge">at {user.venue.name}</div>}
+
+                    {/* Taste compatibility (both sides opted in) */}
+                    {user.taste_match && (
+                        <div className="taste-badge">
+                            {user.taste_match.score}% match
+                            {user.taste_match.shared_artists.length > 0 && (
+                                <div className="taste-shared">You both like {user.taste_match.shared_artists.join(', ')}</div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Staleness (nearby users only: the server reports when this track was last seen playing) */}
+                    {!isMe && user.last_played_at && !user.is_playing && (
+                        <div style={{ fontSize: '0.75rem', color: '#888', marginTop: '4px' }}>
+                            Last played {formatTimeAgo(user.last_played_at)}
+                        </div>
+                    )}
+
+                    {/* Follow Button (simulated listeners have no Spotify profile) */}
+                    {!isMe && user.spotify_url && (
+                        <a
+                            href={user.spotify_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="follow-btn"
+                        >
+                            Follow on Spotify
+                        </a>
+                    )}
+
+                    {/* Friend request and link to this pin */}
+                    {!isMe && !anonymous && (
+                        <div style={{ marginTop: '6px' }}>
+                            {onAddFriend && !user.is_friend && !user.simulated && (
+                                <>
+                                    <button className="link-btn" onClick={() => onAddFriend(user.id)}>Add friend</button>
+                                    {' · '}
+                                </>
+                            )}
+                            <button className="link-btn" onClick={shareLink}>{copied ? 'Link copied' : 'Copy link'}</button>
+                        </div>
+                    )}
+                </div>
+            </Popup>
+        </Marker>
+    );
+});
+
+export default UserMarker;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { CircleMarker, Tooltip } from 'react-leaflet';
+
+/**
+ * Venues from GET /venues as small dots, filled green where someone is checked in.
+ * Clicking one opens its page (onSelect(id)).
+ */
+const VenueLayer = ({ venues, selectedId, onSelect }) => {
+    if (!venues || venues.length === 0) return null;
+
+    return venues.map((venue) => (
+        <CircleMarker
+            key={venue.id}
+            center={[venue.latitude, venue.longitude]}
+            radius={venue.id === selectedId ? 9 : 6}
+            pathOptions={{
+                color: '#1DB954',
+                weight: 2,
+                fillColor: venue.checked_in > 0 ? '#1DB954' : '#888',
+                fillOpacity: 0.7,
+            }}
+            eventHandlers={{ click: () => onSelect(venue.id) }}
+        >
+            <Tooltip direction="top" offset={[0, -6]}>
+                <strong>{venue.name}</strong>
+                {venue.checked_in > 0 && <div>{venue.checked_in} checked in</div>}
+            </Tooltip>
+        </CircleMarker>
+    ));
+};
+
+export default VenueLayer;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import useSWR from 'swr';
+import { ChartList } from './ChartsPanel';
+import { checkIn, checkOut, errorMessage } from '../api/client';
+
+const VENUE_CHARTS = [
+    { value: 'live', label: 'Playing now' },
+    { value: 'history', label: 'This week' },
+];
+
+/**
+ * A venue's page (GET /venues/:id): who is checked in, its top tracks now and over the past
+ * week, and checking in or out. Check-ins use the device's own position, not the rounded one
+ * the map publishes, since the server only accepts them from people at the venue.
+ */
+const VenuePanel = ({ venueId, currentCheckIn, userLocation, onCheckIn, onClose }) => {
+    const [chart, setChart] = useState('live');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const { data: venue, mutate } = useSWR(`/venues/${encodeURIComponent(venueId)}`, {
+        refreshInterval: 30000, keepPreviousData: true,
+    });
+
+    const checkedInHere = currentCheckIn?.id === venueId;
+
+    const toggleCheckIn = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            if (checkedInHere) {
+                await checkOut();
+                onCheckIn(null);
+            } else {
+                onCheckIn(await checkIn(venueId, userLocation));
+            }
+            mutate();
+        } catch (e) {
+            setError(errorMessage(e));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const charts = venue?.[chart];
+
+    return (
+        <div className="glass-panel venue-panel">
+            <div className="venue-heading">
+                <div>
+                    <h3>{venue?.name || 'Loading...'}</h3>
+                    {venue && (
+                        <span className="chart-sub">
+                            {venue.category} · {venue.checked_in} checked in
+                        </span>
+                    )}
+                </div>
+                <button className="link-btn" onClick={onClose} aria-label="Close venue">✕</button>
+            </div>
+            {venue && (
+                <>
+                    <button
+                        className="follow-btn venue-check-in"
+                        disabled={busy || (!checkedInHere && !userLocation)}
+                        onClick={toggleCheckIn}
+                    >
+                        {checkedInHere ? 'Check out' : 'Check in here'}
+                    </button>
+                    {error && <div className="friend-error">{error}</div>}
+                    <div className="chart-tabs">
+                        {VENUE_CHARTS.map((opt) => (
+                            <button
+                                key={opt.value}
+                                className={`chart-tab${chart === opt.value ? ' active' : ''}`}
+                                onClick={() => setChart(opt.value)}
+                            >
+                                {opt.label}
+                            </button>
+                        ))}
+                    </div>
+                    <ChartList
+                        title={`Tracks · ${charts.listeners} listener${charts.listeners === 1 ? '' : 's'}`}
+                        entries={charts.tracks}
+                        renderLabel={(t) => (
+                            <a href={t.track_url} target="_blank" rel="noopener noreferrer" className="artist-link">
+                                {t.track_name} <span className="chart-sub">· {t.artist}</span>
+                            </a>
+                        )}
+                    />
+                    <ChartList title="Artists" entries={charts.artists} renderLabel={(a) => a.artist} />
+                </>
+            )}
+        </div>
+    );
+};
+
+export default VenuePanel;
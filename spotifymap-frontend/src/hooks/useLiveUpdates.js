@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from 'react';
+import { BACKEND_URL } from '../api/client';
+
+// Give up on push after this many failed connection attempts without a 'ready' (e.g. serverless
+// deployments that can't hold the stream open); the caller keeps polling instead
+const MAX_FAILED_CONNECTS = 3;
+const LIVE_EVENT_TYPES = ['add', 'move', 'track', 'leave'];
+
+/**
+ * Subscribes to GET /live for the current viewport over Server-Sent Events and calls
+ * onEvent(type, data) for add/move/track/leave. Reconnects whenever the viewport changes.
+ * Returns { connected } so callers can relax polling while push is working.
+ */
+const useLiveUpdates = (viewState, onEvent, enabled = true) => {
+    const [connected, setConnected] = useState(false);
+    const [unavailable, setUnavailable] = useState(false);
+    const onEventRef = useRef(onEvent);
+    const failedConnects = useRef(0);
+
+    useEffect(() => { onEventRef.current = onEvent; }, [onEvent]);
+
+    useEffect(() => {
+        if (!enabled || unavailable || !viewState || typeof EventSource === 'undefined') return undefined;
+
+        const params = new URLSearchParams({
+            latitude: viewState.lat,
+            longitude: viewState.lng,
+            radius_km: viewState.radius,
+        });
+        const source = new EventSource(`${BACKEND_URL}/live?${params}`, { withCredentials: true });
+
+        source.addEventListener('ready', () => {
+            failedConnects.current = 0;
+            setConnected(true);
+        });
+        source.onerror = () => {
+            setConnected(false);
+            failedConnects.current += 1;
+            if (failedConnects.current >= MAX_FAILED_CONNECTS) {
+                source.close();
+                setUnavailable(true);
+            }
+        };
+        LIVE_EVENT_TYPES.forEach((type) => {
+            source.addEventListener(type, (e) => onEventRef.current(type, JSON.parse(e.data)));
+        });
+
+        return () => {
+            source.close();
+            setConnected(false);
+        };
+    }, [viewState, enabled, unavailable]);
+
+    return { connected };
+};
+
+export default useLiveUpdates;
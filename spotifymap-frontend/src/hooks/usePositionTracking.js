@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+
+// Where the map opens when the browser can't or won't say where the user is
+const FALLBACK_LOCATION = { lat: 40.7128, lng: -74.0060 };
+// Fixes closer than this to the current one are GPS jitter, not movement
+const MIN_MOVE_M = 10;
+// How often the position is published; a low, discharging battery stretches it and gives up
+// high-accuracy (GPS) fixes
+const PUSH_INTERVAL_MS = 10000;
+const LOW_BATTERY_PUSH_INTERVAL_MS = 60000;
+const LOW_BATTERY_LEVEL = 0.2;
+
+const METERS_PER_DEGREE = 111320;
+
+// Good enough at the distances MIN_MOVE_M compares
+const distanceMeters = (a, b) => Math.hypot(
+    (b.lat - a.lat) * METERS_PER_DEGREE,
+    (b.lng - a.lng) * METERS_PER_DEGREE * Math.cos((a.lat * Math.PI) / 180),
+);
+
+/** Whether the device is running down a low battery (always false without the Battery Status API) */
+const useLowBattery = () => {
+    const [lowBattery, setLowBattery] = useState(false);
+
+    useEffect(() => {
+        if (!navigator.getBattery) return undefined;
+        let battery = null;
+        let cancelled = false;
+        const update = () => setLowBattery(!battery.charging && battery.level <= LOW_BATTERY_LEVEL);
+
+        navigator.getBattery().then((result) => {
+            if (cancelled) return;
+            battery = result;
+            update();
+            battery.addEventListener('levelchange', update);
+            battery.addEventListener('chargingchange', update);
+        }, () => {
+            // Blocked by a permissions policy: track as if on mains power
+        });
+        return () => {
+            cancelled = true;
+            if (!battery) return;
+            battery.removeEventListener('levelchange', update);
+            battery.removeEventListener('chargingchange', update);
+        };
+    }, []);
+
+    return lowBattery;
+};
+
+/**
+ * Follows the device's position with watchPosition. Returns { location, pushIntervalMs }:
+ * location is null until the first fix (or the fallback, when geolocation is unavailable or
+ * refused) and only changes when the user actually moves; pushIntervalMs is how often to
+ * publish it, longer while the battery is low.
+ */
+const usePositionTracking = () => {
+    const lowBattery = useLowBattery();
+    const [location, setLocation] = useState(() => (navigator.geolocation ? null : FALLBACK_LOCATION));
+
+    useEffect(() => {
+        if (!navigator.geolocation) return undefined;
+        const watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                const fix = { lat: position.coords.latitude, lng: position.coords.longitude };
+                setLocation((current) => (current && distanceMeters(current, fix) < MIN_MOVE_M ? current : fix));
+            },
+            // Refused or no fix: keep the last known position, if there is one
+            () => setLocation((current) => current || FALLBACK_LOCATION),
+            {
+                enableHighAccuracy: !lowBattery,
+                // On a low battery a recent cached fix is as good as waking the radio for a new one
+                maximumAge: lowBattery ? LOW_BATTERY_PUSH_INTERVAL_MS : 0,
+            },
+        );
+        return () => navigator.geolocation.clearWatch(watchId);
+    }, [lowBattery]);
+
+    return { location, pushIntervalMs: lowBattery ? LOW_BATTERY_PUSH_INTERVAL_MS : PUSH_INTERVAL_MS };
+};
+
+export default usePositionTracking;
@@ -0,0 +1,85 @@
+// Shareable map links: the view (center, zoom), the filters, an optional focused pin and an open
+// venue page live in the query string, e.g. /?lat=51.51360&lng=-0.13650&zoom=15&artist=aphex&pin=abc123
+// Other query parameters (login_error, ...) are left alone.
+
+const TEXT_FILTERS = ['artist', 'track', 'genre'];
+const FLAG_FILTERS = ['playing_only', 'friends_only'];
+const VIEW_PARAMS = ['lat', 'lng', 'zoom', 'idle', 'pin', 'venue', ...TEXT_FILTERS, ...FLAG_FILTERS];
+const COORD_DECIMALS = 5; // ~1 m
+
+const numberParam = (params, name, min, max) => {
+    const value = Number(params.get(name));
+    return params.has(name) && Number.isFinite(value) && value >= min && value <= max ? value : null;
+};
+
+/**
+ * Reads a shared view from the URL: { center: { lat, lng } | null, zoom | null, filters,
+ * maxIdleMinutes, pin, venue }. Anything missing or malformed is left at its default.
+ */
+export const readMapLink = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    const lat = numberParam(params, 'lat', -90, 90);
+    const lng = numberParam(params, 'lng', -180, 180);
+
+    const filters = {};
+    TEXT_FILTERS.forEach((name) => {
+        const value = params.get(name)?.trim();
+        if (value) filters[name] = value;
+    });
+    FLAG_FILTERS.forEach((name) => {
+        if (params.get(name) === 'true') filters[name] = true;
+    });
+
+    return {
+        center: lat !== null && lng !== null ? { lat, lng } : null,
+        zoom: numberParam(params, 'zoom', 1, 19),
+        filters,
+        maxIdleMinutes: numberParam(params, 'idle', 0, 7 * 24 * 60) || 0,
+        pin: params.get('pin') || null,
+        venue: params.get('venue') || null,
+    };
+};
+
+/** Query string for a view: { center, zoom, filters, maxIdleMinutes, pin, venue } (all optional) */
+const linkParams = ({ center, zoom, filters = {}, maxIdleMinutes, pin, venue }, search = '') => {
+    const params = new URLSearchParams(search);
+    VIEW_PARAMS.forEach((name) => params.delete(name));
+    if (center) {
+        params.set('lat', center.lat.toFixed(COORD_DECIMALS));
+        params.set('lng', center.lng.toFixed(COORD_DECIMALS));
+    }
+    if (zoom) params.set('zoom', String(zoom));
+    Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.set(name, String(value));
+    });
+    if (maxIdleMinutes) params.set('idle', String(maxIdleMinutes));
+    if (pin) params.set('pin', pin);
+    if (venue) params.set('venue', venue);
+    return params.toString();
+};
+
+/** Keeps the address bar in step with the map without adding history entries */
+export const writeMapLink = (view) => {
+    const query = linkParams(view, window.location.search);
+    const next = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (next !== window.location.pathname + window.location.search + window.location.hash) {
+        window.history.replaceState(window.history.state, '', next);
+    }
+};
+
+/** Absolute link to a view, for copying */
+export const mapLinkUrl = (view) => {
+    const query = linkParams(view);
+    return `${window.location.origin}/${query ? `?${query}` : ''}`;
+};
+
+/** Copies a link, falling back to a prompt the user can copy from where the clipboard API is unavailable */
+export const copyLink = async (url) => {
+    try {
+        await navigator.clipboard.writeText(url);
+        return true;
+    } catch {
+        window.prompt('Copy this link:', url);
+        return false;
+    }
+};
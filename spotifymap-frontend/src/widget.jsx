@@ -0,0 +1,11 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import './widget.css'
+import NowPlayingWidget from './components/NowPlayingWidget.jsx'
+
+// Embeddable "now playing here" page (widget.html), loaded in an iframe by public/embed.js
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <NowPlayingWidget />
+  </StrictMode>,
+)
@@ -1,9 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 // https://vitejs.dev/config/
 export default defineConfig({
     plugins: [react()],
+    build: {
+        rollupOptions: {
+            // The map app, plus the embeddable widget page (see public/embed.js)
+            input: {
+                main: fileURLToPath(new URL('./index.html', import.meta.url)),
+                widget: fileURLToPath(new URL('./widget.html', import.meta.url)),
+            },
+        },
+    },
     server: {
         host: '127.0.0.1',
         port: 5173,
@@ -0,0 +1,157 @@
+// test/auth.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, decryptToken } = require('./helpers/harness');
+
+describe('auth and session routes', () => {
+    let h;
+    before(async () => { h = await startHarness(); });
+    after(() => h.close());
+
+    it('/login redirects to the Spotify authorize page', async () => {
+        const res = await h.request('/login');
+        assert.equal(res.status, 302);
+        const location = new URL(res.headers.get('location'));
+        assert.equal(location.origin + location.pathname, `${h.spotify.url}/authorize`);
+        assert.equal(location.searchParams.get('client_id'), 'client-id');
+        assert.equal(location.searchParams.get('response_type'), 'code');
+        assert.ok(location.searchParams.get('state'));
+        // PKCE is off unless SPOTIFY_USE_PKCE=true
+        assert.equal(location.searchParams.get('code_challenge'), null);
+        assert.match(res.headers.get('set-cookie'), /^spotify_auth=s%3A.*HttpOnly.*SameSite=Lax/);
+    });
+
+    it('/callback exchanges the code, stores tokens and sets a signed session cookie', async () => {
+        const cookie = await h.login('alice', { display_name: 'Alice' });
+        assert.match(cookie, /^spotify_id=s%3Aalice\./);
+
+        const user = await h.users.getUser('alice');
+        assert.equal(user.user_name, 'Alice');
+        // Tokens are encrypted at rest
+        assert.match(user.spotify_access_token, /^enc:v1:/);
+        assert.doesNotMatch(user.spotify_refresh_token, /refresh-alice/);
+        assert.match(decryptToken(user.spotify_access_token), /^access-alice-/);
+        assert.equal(decryptToken(user.spotify_refresh_token), 'refresh-alice');
+        assert.ok(user.expires_at > Date.now());
+        assert.equal(user.location_sharing_enabled, true);
+
+        const tokenCall = h.spotify.calls.token.find(call => call.code === 'code-alice');
+        assert.equal(tokenCall.grant_type, 'authorization_code');
+    });
+
+    it('/callback redirects back to the frontend', async () => {
+        h.spotify.addUser('bob');
+        const res = await (await h.startLogin()).callback({ code: 'code-bob' });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), 'http://frontend.test');
+    });
+
+    it('/callback lands on the redirect target given to /login, but only within the frontend', async () => {
+        h.spotify.addUser('dora');
+        const deepLink = await (await h.startLogin('?redirect=%2F%3Fuser%3Dbob')).callback({ code: 'code-dora' });
+        assert.equal(deepLink.headers.get('location'), 'http://frontend.test/?user=bob');
+
+        for (const redirect of ['https://evil.test', '//evil.test', '/\\evil.test']) {
+            const login = await h.startLogin(`?redirect=${encodeURIComponent(redirect)}`);
+            const res = await login.callback({ code: 'code-dora' });
+            assert.equal(res.headers.get('location'), 'http://frontend.test', redirect);
+        }
+    });
+
+    it('/callback rejects logins this browser did not start', async () => {
+        h.spotify.addUser('mallory');
+        const login = await h.startLogin();
+        const cases = [
+            h.request(`/callback?code=code-mallory&state=${login.state}`), // no login cookie
+            h.request('/callback?code=code-mallory', { cookie: login.cookie }), // no state
+            login.callback({ state: `${login.state}x` }), // tampered
+            login.callback({ state: (await h.startLogin()).state }), // another login's state
+        ];
+        for (const res of await Promise.all(cases)) {
+            assert.equal(res.status, 302);
+            assert.equal(res.headers.get('location'), 'http://frontend.test/?login_error=invalid_state');
+            assert.ok(!res.headers.getSetCookie().some(cookie => cookie.startsWith('spotify_id=')));
+        }
+        assert.ok(!h.spotify.calls.token.some(call => call.code === 'code-mallory'));
+    });
+
+    it('/callback sends users who cancel on Spotify back with a friendly error', async () => {
+        const res = await (await h.startLogin()).callback({ error: 'access_denied' });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), 'http://frontend.test/?login_error=access_denied');
+        // The login cookie is single use
+        assert.match(res.headers.get('set-cookie'), /^spotify_auth=[^;]*;.*Expires=Thu, 01 Jan 1970/);
+    });
+
+    it('/callback reports a missing or bad code as a failed login', async () => {
+        for (const query of [{}, { code: 'code-unknown' }]) {
+            const res = await (await h.startLogin()).callback(query);
+            assert.equal(res.status, 302);
+            assert.equal(res.headers.get('location'), 'http://frontend.test/?login_error=failed');
+            assert.ok(!res.headers.getSetCookie().some(cookie => cookie.startsWith('spotify_id=')));
+        }
+    });
+
+    it('protected routes require a validly signed cookie', async () => {
+        assert.equal((await h.request('/me')).status, 401);
+        assert.equal((await h.request('/me', { cookie: 'spotify_id=alice' })).status, 401);
+        assert.equal((await h.request('/me', { cookie: 'spotify_id=s%3Aalice.forged' })).status, 401);
+        const nearby = await h.request('/users/nearby', { method: 'POST', body: { latitude: 0, longitude: 0 } });
+        assert.equal(nearby.status, 401);
+        assert.deepEqual(nearby.body, { error: 'Authentication required' });
+    });
+
+    it('/me returns the profile and sharing settings', async () => {
+        const cookie = await h.login('carol', { display_name: 'Carol' });
+        const res = await h.request('/me', { cookie });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {
+            id: 'carol',
+            user_name: 'Carol',
+            profile_image_url: null,
+            spotify_url: 'https://open.spotify.com/user/carol',
+            location_sharing_enabled: true,
+            location_precision: '100m',
+            visibility: 'public',
+            exclusion_zones: [],
+            ghost_schedules: [],
+            timezone: null,
+            check_in: null,
+            taste_matching: false,
+            taste_updated_at: null,
+        });
+    });
+
+    it('/logout clears the session cookie', async () => {
+        const res = await h.request('/logout', { method: 'POST' });
+        assert.equal(res.status, 204);
+        assert.match(res.headers.get('set-cookie'), /^spotify_id=[^;]*;.*Expires=Thu, 01 Jan 1970/);
+    });
+
+    it('DELETE /me wipes the user document and ends the session', async () => {
+        const cookie = await h.login('dave');
+        const res = await h.request('/me', { method: 'DELETE', cookie });
+        assert.equal(res.status, 204);
+        assert.equal(await h.users.getUser('dave'), null);
+        // A leftover cookie no longer resolves to an account
+        assert.equal((await h.request('/me', { cookie })).status, 401);
+    });
+
+    it('does not let a leftover cookie recreate a deleted account through any write', async () => {
+        const cookie = await h.login('erin');
+        await h.request('/me', { method: 'DELETE', cookie });
+        const writes = [
+            () => h.moveTo(cookie, 51.5, -0.12),
+            () => h.request('/me', { method: 'PATCH', cookie, body: { visibility: 'friends' } }),
+            () => h.request('/now-playing', { cookie }),
+            () => h.request('/me/check-in', { method: 'DELETE', cookie }),
+        ];
+        for (const write of writes) {
+            const res = await write();
+            assert.equal(res.status, 401);
+            assert.match(res.headers.get('set-cookie'), /^spotify_id=[^;]*;.*Expires=Thu, 01 Jan 1970/);
+        }
+        assert.equal(await h.users.getUser('erin'), null);
+    });
+});
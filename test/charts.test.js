@@ -0,0 +1,90 @@
+// test/charts.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ngeohash = require('ngeohash');
+const { startHarness } = require('./helpers/harness');
+
+const CENTER = { latitude: 51.5136, longitude: -0.1365 }; // Soho, London
+const MINUTE = 60 * 1000;
+
+const TRACKS = {
+    windowlicker: { track_name: 'Windowlicker', artist: 'Aphex Twin', track_url: 'windowlicker', genres: ['idm', 'electronic'] },
+    xtal: { track_name: 'Xtal', artist: 'Aphex Twin', track_url: 'xtal', genres: ['idm', 'ambient'] },
+    teardrop: { track_name: 'Teardrop', artist: 'Massive Attack', track_url: 'teardrop', genres: ['trip hop'] },
+};
+
+describe('POST /charts/area', () => {
+    let h;
+    let cookie;
+
+    // User fields for a listener whose last-known track is `track`
+    const listening = (track, { playing = true, minutesAgo = 0 } = {}) => ({
+        last_track: track, is_playing: playing, last_played_at: Date.now() - minutesAgo * MINUTE,
+    });
+    const NEARBY = CENTER.latitude + 0.001;
+
+    const charts = (body) => h.request('/charts/area', { method: 'POST', cookie, body: { ...CENTER, radius_km: 2, ...body } });
+
+    before(async () => {
+        h = await startHarness();
+        cookie = await h.login('charts-viewer');
+        await h.placeUser('l1', NEARBY, CENTER.longitude, listening(TRACKS.windowlicker));
+        await h.placeUser('l2', NEARBY, CENTER.longitude, listening(TRACKS.windowlicker));
+        await h.placeUser('l3', NEARBY, CENTER.longitude, listening(TRACKS.xtal));
+        await h.placeUser('l4', NEARBY, CENTER.longitude, listening(TRACKS.teardrop, { playing: false, minutesAgo: 30 }));
+        await h.placeUser('l5', NEARBY, CENTER.longitude, listening(TRACKS.teardrop, { playing: false, minutesAgo: 3 * 24 * 60 }));
+        await h.placeUser('far', CENTER.latitude + 1, CENTER.longitude, listening(TRACKS.teardrop));
+    });
+    after(() => h.close());
+
+    it('ranks tracks, artists and genres by listeners currently playing', async () => {
+        const res = await charts({ window: 'now' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.window, 'now');
+        assert.equal(res.body.listeners, 3);
+        assert.deepEqual(res.body.tracks.map(t => [t.track_name, t.listeners]), [['Windowlicker', 2], ['Xtal', 1]]);
+        assert.deepEqual(res.body.artists.map(a => [a.artist, a.listeners]), [['Aphex Twin', 3]]);
+        assert.deepEqual(res.body.genres[0], { genre: 'idm', listeners: 3 });
+    });
+
+    it('includes recently paused listeners in wider windows', async () => {
+        const hour = await charts({ window: 'hour' });
+        assert.equal(hour.body.listeners, 4);
+        assert.deepEqual(hour.body.artists.map(a => [a.artist, a.listeners]), [['Aphex Twin', 3], ['Massive Attack', 1]]);
+    });
+
+    it('counts earlier plays from the listening history in wider windows', async () => {
+        const played = (userId, track, minutesAgo) => {
+            const timestamp = Date.now() - minutesAgo * MINUTE;
+            return h.users.addHistoryEvent({
+                user_id: userId, latitude: CENTER.latitude, longitude: CENTER.longitude,
+                geohash: ngeohash.encode(CENTER.latitude, CENTER.longitude, 9),
+                timestamp, expire_at: timestamp + 7 * 24 * 60 * MINUTE, ...TRACKS[track],
+            });
+        };
+        await played('l1', 'teardrop', 30); // still here, playing something else now
+        await played('gone', 'teardrop', 20); // has since left the area
+        await played('gone', 'teardrop', 10);
+        await played('earlier', 'xtal', 3 * 60);
+
+        const hour = await charts({ window: 'hour' });
+        assert.equal(hour.body.listeners, 5);
+        assert.deepEqual(hour.body.tracks.map(t => [t.track_name, t.listeners]), [['Teardrop', 3], ['Windowlicker', 2], ['Xtal', 1]]);
+
+        const now = await charts({ window: 'now' });
+        assert.equal(now.body.listeners, 3);
+        assert.ok(!now.body.tracks.some(t => t.track_name === 'Teardrop'));
+    });
+
+    it('limits list sizes', async () => {
+        const res = await charts({ window: 'hour', limit: 1 });
+        assert.equal(res.body.tracks.length, 1);
+        assert.equal(res.body.genres.length, 1);
+    });
+
+    it('rejects unknown windows', async () => {
+        const res = await charts({ window: 'forever' });
+        assert.equal(res.status, 400);
+    });
+});
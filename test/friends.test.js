@@ -0,0 +1,137 @@
+// test/friends.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+
+const CENTER = { latitude: 51.5074, longitude: -0.1278 }; // London
+
+describe('friends and visibility tiers', () => {
+    let h;
+    let ann;
+    let ben;
+    let cat;
+
+    const nearby = (cookie, body = {}) => h.request('/users/nearby', {
+        method: 'POST', cookie, body: { ...CENTER, radius_km: 2, ...body },
+    });
+    const ids = (res) => res.body.map(user => user.id).sort();
+
+    before(async () => {
+        h = await startHarness();
+        ann = await h.login('ann', { display_name: 'Ann' });
+        ben = await h.login('ben', { display_name: 'Ben' });
+        cat = await h.login('cat', { display_name: 'Cat' });
+    });
+    after(() => h.close());
+
+    describe('friend requests', () => {
+        it('rejects self, unknown and missing targets', async () => {
+            const send = (body) => h.request('/friends/requests', { method: 'POST', cookie: ann, body });
+            assert.equal((await send({})).status, 400);
+            assert.equal((await send({ user_id: 'ann' })).status, 400);
+            assert.equal((await send({ user_id: 'nobody' })).status, 404);
+        });
+
+        it('sends, lists and accepts a request', async () => {
+            const sent = await h.request('/friends/requests', { method: 'POST', cookie: ann, body: { user_id: 'ben' } });
+            assert.equal(sent.status, 201);
+            assert.deepEqual(sent.body, { status: 'pending' });
+
+            const annView = await h.request('/friends', { cookie: ann });
+            assert.deepEqual(annView.body.outgoing.map(u => u.id), ['ben']);
+            const benView = await h.request('/friends', { cookie: ben });
+            assert.deepEqual(benView.body.incoming.map(u => u.user_name), ['Ann']);
+
+            // Only the addressee can accept
+            assert.equal((await h.request('/friends/requests/ben/accept', { method: 'POST', cookie: ann })).status, 404);
+            const accepted = await h.request('/friends/requests/ann/accept', { method: 'POST', cookie: ben });
+            assert.equal(accepted.status, 200);
+
+            const after = await h.request('/friends', { cookie: ann });
+            assert.deepEqual(after.body, {
+                friends: [{ id: 'ben', user_name: 'Ben', profile_image_url: null, spotify_url: 'https://open.spotify.com/user/ben' }],
+                incoming: [],
+                outgoing: [],
+            });
+        });
+
+        it('accepts automatically when both users request each other', async () => {
+            await h.request('/friends/requests', { method: 'POST', cookie: cat, body: { user_id: 'ben' } });
+            const res = await h.request('/friends/requests', { method: 'POST', cookie: ben, body: { user_id: 'cat' } });
+            assert.deepEqual(res.body, { status: 'accepted' });
+            assert.deepEqual((await h.request('/friends', { cookie: cat })).body.friends.map(u => u.id), ['ben']);
+        });
+
+        it('removes friendships and declines requests', async () => {
+            await h.request('/friends/requests', { method: 'POST', cookie: cat, body: { user_id: 'ann' } });
+            assert.equal((await h.request('/friends/cat', { method: 'DELETE', cookie: ann })).status, 204);
+            assert.deepEqual((await h.request('/friends', { cookie: cat })).body.outgoing, []);
+            assert.equal((await h.request('/friends/cat', { method: 'DELETE', cookie: ann })).status, 404);
+        });
+    });
+
+    describe('visibility', () => {
+        before(async () => {
+            await h.placeUser('ann', CENTER.latitude + 0.001, CENTER.longitude);
+            await h.placeUser('ben', CENTER.latitude + 0.002, CENTER.longitude);
+            await h.placeUser('cat', CENTER.latitude + 0.003, CENTER.longitude);
+        });
+
+        it('validates and stores the visibility level', async () => {
+            const bad = await h.request('/me', { method: 'PATCH', cookie: ann, body: { visibility: 'secret' } });
+            assert.equal(bad.status, 400);
+
+            const res = await h.request('/me', { method: 'PATCH', cookie: ann, body: { visibility: 'friends' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.visibility, 'friends');
+            assert.equal((await h.users.getUser('ann')).visibility, 'friends');
+        });
+
+        it('shows friends-only users to friends and hides them from everyone else', async () => {
+            // ann is friends-only and friends with ben, not with cat
+            assert.ok(ids(await nearby(ben)).includes('ann'));
+            assert.ok(!ids(await nearby(cat)).includes('ann'));
+        });
+
+        it('marks friends in results and supports the friends_only filter', async () => {
+            const res = await nearby(ben);
+            assert.equal(res.body.find(u => u.id === 'ann').is_friend, true);
+            assert.equal(res.body.find(u => u.id === 'cat').is_friend, true);
+            assert.deepEqual(ids(await nearby(ann, { friends_only: true })), ['ben']);
+        });
+
+        it('hides hidden users from everyone, friends included', async () => {
+            await h.request('/me', { method: 'PATCH', cookie: ben, body: { visibility: 'hidden' } });
+            assert.ok(!ids(await nearby(ann)).includes('ben'));
+            assert.ok(!ids(await nearby(cat)).includes('ben'));
+            await h.request('/me', { method: 'PATCH', cookie: ben, body: { visibility: 'public' } });
+            assert.ok(ids(await nearby(cat)).includes('ben'));
+        });
+
+        it('sends live events only to the allowed audience', async () => {
+            const catStream = await h.openLive({ ...CENTER, radius_km: 2 }, cat);
+            const benStream = await h.openLive({ ...CENTER, radius_km: 2 }, ben);
+            await catStream.next('ready');
+            await benStream.next('ready');
+
+            await h.moveTo(ann, CENTER.latitude + 0.004, CENTER.longitude);
+            assert.equal((await benStream.next('move')).id, 'ann');
+
+            // A public user's move is delivered to cat after anything about ann would have been
+            await h.moveTo(ben, CENTER.latitude + 0.005, CENTER.longitude);
+            assert.equal((await catStream.next('move')).id, 'ben');
+            assert.ok(!catStream.events.some(e => e.type !== 'leave' && e.data.id === 'ann'));
+
+            catStream.close();
+            benStream.close();
+        });
+
+        it('deleting an account removes its friendships', async () => {
+            const dan = await h.login('dan');
+            await h.request('/friends/requests', { method: 'POST', cookie: dan, body: { user_id: 'cat' } });
+            await h.request('/me', { method: 'DELETE', cookie: dan });
+            assert.deepEqual((await h.request('/friends', { cookie: cat })).body.incoming, []);
+        });
+    });
+});
@@ -0,0 +1,168 @@
+// test/geo.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ngeohash = require('ngeohash');
+const {
+    haversine, geohashPrecisionForRadius, circleBounds, normalizeBounds, boxContains, splitBoxAtAntimeridian, coveringCells, coveringCellsForCircle,
+    fuzzLocation,
+} = require('../api/_lib/geo');
+
+describe('haversine', () => {
+    it('is zero for identical points', () => {
+        assert.equal(haversine(40.7128, -74.006, 40.7128, -74.006), 0);
+    });
+
+    it('matches known city distances', () => {
+        // New York -> London is ~5570 km
+        assert.ok(Math.abs(haversine(40.7128, -74.006, 51.5074, -0.1278) - 5570) < 10);
+        // One degree of latitude is ~111.2 km
+        assert.ok(Math.abs(haversine(0, 0, 1, 0) - 111.19) < 0.1);
+    });
+
+    it('is symmetric', () => {
+        assert.equal(haversine(10, 20, -30, 40), haversine(-30, 40, 10, 20));
+    });
+});
+
+describe('geohashPrecisionForRadius', () => {
+    it('follows the precision ladder at each boundary', () => {
+        assert.equal(geohashPrecisionForRadius(1), 6);
+        assert.equal(geohashPrecisionForRadius(2.5), 6);
+        assert.equal(geohashPrecisionForRadius(2.6), 5);
+        assert.equal(geohashPrecisionForRadius(20), 5);
+        assert.equal(geohashPrecisionForRadius(80), 4);
+        assert.equal(geohashPrecisionForRadius(600), 3);
+        assert.equal(geohashPrecisionForRadius(601), 2);
+    });
+});
+
+describe('fuzzLocation', () => {
+    it('returns exact coordinates unchanged', () => {
+        assert.deepEqual(fuzzLocation(40.7128, -74.006, 'exact'), { latitude: 40.7128, longitude: -74.006 });
+    });
+
+    it('snaps nearby points in the same cell to the same published position', () => {
+        const a = fuzzLocation(40.71281, -74.00601, 'neighbourhood');
+        const b = fuzzLocation(40.71301, -74.00621, 'neighbourhood');
+        assert.deepEqual(a, b);
+        const cell = ngeohash.decode_bbox(ngeohash.encode(40.71281, -74.00601, 5));
+        assert.ok(a.latitude >= cell[0] && a.latitude <= cell[2]);
+        assert.ok(a.longitude >= cell[1] && a.longitude <= cell[3]);
+    });
+
+    it('moves coarser levels further from the true position', () => {
+        const distance = level => {
+            const { latitude, longitude } = fuzzLocation(40.7, -74.0, level);
+            return haversine(40.7, -74.0, latitude, longitude);
+        };
+        assert.ok(distance('100m') < 0.2);
+        assert.ok(distance('1km') < 1.5);
+        assert.ok(distance('neighbourhood') < 5);
+    });
+});
+
+describe('coveringCells', () => {
+    /** Deterministic points spread over a circle */
+    const pointsInCircle = (lat, lon, radiusKm) => {
+        const points = [];
+        for (let ring = 1; ring <= 10; ring++) {
+            for (let step = 0; step < 36; step++) {
+                const angle = (step / 36) * 2 * Math.PI;
+                const km = (ring / 10) * radiusKm * 0.999;
+                points.push([
+                    lat + (km * Math.cos(angle)) / 111.32,
+                    lon + (km * Math.sin(angle)) / (111.32 * Math.cos(lat * (Math.PI / 180))),
+                ]);
+            }
+        }
+        return points;
+    };
+    const covered = (cells, [lat, lon]) => {
+        const hash = ngeohash.encode(lat, ((lon + 540) % 360) - 180, 9);
+        return cells.some(cell => hash.startsWith(cell));
+    };
+
+    for (const radiusKm of [0.3, 2, 5, 25, 150, 800]) {
+        it(`covers a ${radiusKm} km circle within the query budget`, () => {
+            const { cells } = coveringCellsForCircle(40.758, -73.9855, radiusKm, { maxCells: 16 });
+            assert.ok(cells.length > 0 && cells.length <= 16, `${cells.length} cells`);
+            for (const point of pointsInCircle(40.758, -73.9855, radiusKm)) {
+                assert.ok(covered(cells, point), `${point} uncovered`);
+            }
+        });
+    }
+
+    it('covers circle edges that the 9-cell precision ladder missed', () => {
+        // 20 km falls on precision 5 (~5 km cells), so the old center + neighbours spanned ~7 km
+        const center = ngeohash.encode(40.758, -73.9855, geohashPrecisionForRadius(20));
+        const ladder = [center, ...ngeohash.neighbors(center)];
+        const { cells } = coveringCellsForCircle(40.758, -73.9855, 20, { maxCells: 16 });
+        const points = pointsInCircle(40.758, -73.9855, 20);
+        assert.ok(points.some(point => !covered(ladder, point)));
+        assert.ok(points.every(point => covered(cells, point)));
+    });
+
+    it('does not return overlapping cells', () => {
+        const { cells } = coveringCellsForCircle(51.5, -0.12, 3);
+        for (const a of cells) {
+            for (const b of cells) assert.ok(a === b || !a.startsWith(b), `${a} inside ${b}`);
+        }
+    });
+
+    it('wraps around the antimeridian', () => {
+        const { cells } = coveringCellsForCircle(-17.7, 179.99, 5);
+        for (const point of pointsInCircle(-17.7, 179.99, 5)) assert.ok(covered(cells, point));
+        const box = circleBounds(-17.7, 179.99, 5);
+        assert.ok(box.maxLon > 180);
+        assert.equal(splitBoxAtAntimeridian(box).length, 2);
+    });
+
+    it('spans every longitude for circles reaching a pole', () => {
+        assert.deepEqual(circleBounds(89.99, 10, 5), { minLat: 89.99 - 5 / 111.32, minLon: -180, maxLat: 90, maxLon: 180 });
+    });
+
+    it('covers a plain bounding box', () => {
+        const box = { minLat: 40.7, minLon: -74.02, maxLat: 40.8, maxLon: -73.93 };
+        const { cells } = coveringCells(box, { maxCells: 8 });
+        assert.ok(cells.length <= 8);
+        for (const point of [[40.7, -74.02], [40.8, -73.93], [40.75, -73.97], [40.7, -73.93]]) {
+            assert.ok(covered(cells, point));
+        }
+    });
+});
+
+describe('normalizeBounds', () => {
+    it('passes ordinary rectangles through', () => {
+        assert.deepEqual(normalizeBounds({ south: 40, west: -74, north: 41, east: -73 }), { minLat: 40, minLon: -74, maxLat: 41, maxLon: -73 });
+        assert.deepEqual(normalizeBounds({ south: '40', west: '-74', north: '41', east: '-73' }), { minLat: 40, minLon: -74, maxLat: 41, maxLon: -73 });
+    });
+
+    it('accepts both wrapped and unwrapped antimeridian crossings', () => {
+        const expected = { minLat: -18, minLon: 179, maxLat: -17, maxLon: 181 };
+        assert.deepEqual(normalizeBounds({ south: -18, west: 179, north: -17, east: -179 }), expected);
+        assert.deepEqual(normalizeBounds({ south: -18, west: 179, north: -17, east: 181 }), expected);
+        assert.deepEqual(normalizeBounds({ south: -18, west: -181, north: -17, east: -179 }), expected);
+    });
+
+    it('treats 360 degrees or more as the whole globe', () => {
+        assert.deepEqual(normalizeBounds({ south: -60, west: -200, north: 60, east: 300 }), { minLat: -60, minLon: -180, maxLat: 60, maxLon: 180 });
+    });
+
+    it('rejects missing, out-of-range and inverted latitudes', () => {
+        assert.equal(normalizeBounds({}), null);
+        assert.equal(normalizeBounds({ south: 10, west: 0, north: 5, east: 1 }), null);
+        assert.equal(normalizeBounds({ south: -95, west: 0, north: 5, east: 1 }), null);
+        assert.equal(normalizeBounds({ south: 0, west: 'x', north: 5, east: 1 }), null);
+    });
+});
+
+describe('boxContains', () => {
+    it('compares longitudes modulo 360', () => {
+        const box = { minLat: -18, minLon: 179, maxLat: -17, maxLon: 181 };
+        assert.equal(boxContains(box, -17.5, 179.5), true);
+        assert.equal(boxContains(box, -17.5, -179.5), true);
+        assert.equal(boxContains(box, -17.5, -178), false);
+        assert.equal(boxContains(box, -16, 179.5), false);
+    });
+});
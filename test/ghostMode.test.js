@@ -0,0 +1,173 @@
+// test/ghostMode.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExclusionZones, parseGhostSchedules, isQuietTime, ghostReason } = require('../api/_lib/ghostMode');
+const ngeohash = require('ngeohash');
+const { startHarness } = require('./helpers/harness');
+
+// 2024-01-15 was a Monday
+const MONDAY_2330_UTC = Date.UTC(2024, 0, 15, 23, 30);
+const TUESDAY_0630_UTC = Date.UTC(2024, 0, 16, 6, 30);
+const TUESDAY_1200_UTC = Date.UTC(2024, 0, 16, 12, 0);
+
+const HOME = { label: 'Home', latitude: 52.52, longitude: 13.405, radius_m: 200 }; // Berlin
+
+describe('ghost mode settings', () => {
+    it('validates exclusion zones', () => {
+        assert.deepEqual(parseExclusionZones([HOME]), { zones: [HOME] });
+        assert.equal(parseExclusionZones([{ ...HOME, label: '' }]).zones[0].label, 'Private place');
+        assert.ok(parseExclusionZones('home').error);
+        assert.ok(parseExclusionZones([{ ...HOME, latitude: 95 }]).error);
+        assert.ok(parseExclusionZones([{ ...HOME, radius_m: 10 }]).error);
+        assert.ok(parseExclusionZones([{ ...HOME, radius_m: 50000 }]).error);
+    });
+
+    it('validates schedules and defaults to every day', () => {
+        assert.deepEqual(parseGhostSchedules([{ start: '22:00', end: '07:00' }]).schedules[0].days, [0, 1, 2, 3, 4, 5, 6]);
+        assert.ok(parseGhostSchedules([{ start: '25:00', end: '07:00' }]).error);
+        assert.ok(parseGhostSchedules([{ start: '07:00', end: '07:00' }]).error);
+        assert.ok(parseGhostSchedules([{ start: '07:00', end: '09:00', days: [7] }]).error);
+    });
+});
+
+describe('isQuietTime', () => {
+    const weeknights = [{ days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' }];
+
+    it('handles windows that run past midnight', () => {
+        assert.equal(isQuietTime(weeknights, 'UTC', MONDAY_2330_UTC), true);
+        // Tuesday early morning belongs to Monday night's window
+        assert.equal(isQuietTime(weeknights, 'UTC', TUESDAY_0630_UTC), true);
+        assert.equal(isQuietTime(weeknights, 'UTC', TUESDAY_1200_UTC), false);
+    });
+
+    it('evaluates the window in the user\'s timezone', () => {
+        // 12:00 UTC is 21:00 in Tokyo and 13:00 in Berlin
+        const evenings = [{ days: [2], start: '20:00', end: '23:00' }];
+        assert.equal(isQuietTime(evenings, 'Asia/Tokyo', TUESDAY_1200_UTC), true);
+        assert.equal(isQuietTime(evenings, 'Europe/Berlin', TUESDAY_1200_UTC), false);
+    });
+
+    it('only matches the listed days', () => {
+        const sundays = [{ days: [0], start: '00:00', end: '23:59' }];
+        assert.equal(isQuietTime(sundays, 'UTC', TUESDAY_1200_UTC), false);
+    });
+});
+
+describe('ghostReason', () => {
+    it('reports zones before schedules', () => {
+        const user = { exclusion_zones: [HOME], ghost_schedules: [{ days: [2], start: '11:00', end: '13:00' }], timezone: 'UTC' };
+        assert.equal(ghostReason(user, 52.5205, 13.405, TUESDAY_1200_UTC), 'zone');
+        assert.equal(ghostReason(user, 52.6, 13.405, TUESDAY_1200_UTC), 'schedule');
+        assert.equal(ghostReason(user, 52.6, 13.405, MONDAY_2330_UTC), null);
+    });
+});
+
+describe('ghost mode enforcement', () => {
+    let h;
+    let viewer;
+    let ghost;
+
+    const CENTER = { latitude: HOME.latitude, longitude: HOME.longitude };
+    const nearbyIds = async () => (await h.request('/users/nearby', {
+        method: 'POST', cookie: viewer, body: { ...CENTER, radius_km: 2 },
+    })).body.map(user => user.id);
+    // 'HH:MM' in UTC, offset from now
+    const hhmm = (offsetMs) => new Date(Date.now() + offsetMs).toISOString().slice(11, 16);
+
+    before(async () => {
+        h = await startHarness();
+        viewer = await h.login('ghost-viewer');
+        ghost = await h.login('ghost');
+    });
+    after(() => h.close());
+
+    it('rejects invalid settings', async () => {
+        const patch = (body) => h.request('/me', { method: 'PATCH', cookie: ghost, body });
+        assert.equal((await patch({ exclusion_zones: [{ ...HOME, radius_m: 1 }] })).status, 400);
+        assert.equal((await patch({ ghost_schedules: [{ start: 'noon', end: '13:00' }] })).status, 400);
+        assert.equal((await patch({ timezone: 'Mars/Olympus_Mons' })).status, 400);
+    });
+
+    it('does not publish positions inside an exclusion zone', async () => {
+        const saved = await h.request('/me', { method: 'PATCH', cookie: ghost, body: { exclusion_zones: [HOME] } });
+        assert.equal(saved.status, 200);
+        assert.deepEqual(saved.body.exclusion_zones, [HOME]);
+
+        const inside = await h.moveTo(ghost, HOME.latitude + 0.001, HOME.longitude);
+        assert.equal(inside.body.ghosted, 'zone');
+        assert.equal((await h.users.getUser('ghost')).geohash, undefined);
+        assert.ok(!(await nearbyIds()).includes('ghost'));
+
+        const outside = await h.moveTo(ghost, HOME.latitude + 0.005, HOME.longitude);
+        assert.equal(outside.body.ghosted, undefined);
+        assert.ok((await nearbyIds()).includes('ghost'));
+    });
+
+    it('takes down the published position when a new zone covers it', async () => {
+        const office = { label: 'Work', latitude: HOME.latitude + 0.005, longitude: HOME.longitude, radius_m: 100 };
+        await h.request('/me', { method: 'PATCH', cookie: ghost, body: { exclusion_zones: [HOME, office] } });
+        assert.equal((await h.users.getUser('ghost')).geohash, undefined);
+        assert.ok(!(await nearbyIds()).includes('ghost'));
+    });
+
+    it('hides users and ignores location updates during quiet hours', async () => {
+        const lat = HOME.latitude + 0.003;
+        await h.placeUser('ghost', lat, HOME.longitude, { exclusion_zones: [] });
+        assert.ok((await nearbyIds()).includes('ghost'));
+
+        // A window from an hour ago to an hour from now (UTC), every day
+        await h.request('/me', {
+            method: 'PATCH', cookie: ghost, body: {
+                ghost_schedules: [{ start: hhmm(-3600 * 1000), end: hhmm(3600 * 1000) }], timezone: 'UTC',
+            },
+        });
+        assert.ok(!(await nearbyIds()).includes('ghost'));
+        assert.equal((await h.moveTo(ghost, lat, HOME.longitude)).body.ghosted, 'schedule');
+    });
+
+    it('tells live viewers when quiet hours start', async () => {
+        const stream = await h.openLive({ latitude: HOME.latitude, longitude: HOME.longitude, radius_km: 2 }, viewer);
+        await stream.next('ready');
+
+        // Saved earlier, published before the window began; nothing but the sweep notices it start
+        const lat = HOME.latitude + 0.004;
+        await h.placeUser('night-owl', lat, HOME.longitude, {
+            timezone: 'UTC', ghost_schedules: [{ days: [0, 1, 2, 3, 4, 5, 6], start: hhmm(-60 * 1000), end: hhmm(3600 * 1000) }],
+        });
+        assert.equal(await h.app.locals.sweepQuietHours(), 1);
+        assert.deepEqual(await stream.next('leave'), { id: 'night-owl' });
+        assert.equal((await h.users.getUser('night-owl')).geohash, undefined);
+        assert.equal(await h.app.locals.sweepQuietHours(), 0);
+        stream.close();
+    });
+
+    it('hides users whose quiet hours started after they published, without a sweep', async () => {
+        await h.placeUser('early-sleeper', HOME.latitude + 0.002, HOME.longitude, {
+            timezone: 'UTC', ghost_schedules: [{ days: [0, 1, 2, 3, 4, 5, 6], start: hhmm(-60 * 1000), end: hhmm(3600 * 1000) }],
+        });
+        assert.ok((await h.users.getUser('early-sleeper')).geohash);
+        assert.ok(!(await nearbyIds()).includes('early-sleeper'));
+    });
+
+    it('reads a bounded number of watched cells per sweep, taking turns', async (t) => {
+        // 20 precision-7 cells in a row, more than one sweep reads; the sleeper is in the last one
+        const cells = Array.from({ length: 20 }, (_, i) => ngeohash.encode(HOME.latitude - 0.05, HOME.longitude + i * 0.002, 7));
+        const stream = await h.openLive({ cells: cells.join(',') }, viewer);
+        await stream.next('ready');
+
+        const { latitude, longitude } = ngeohash.decode(cells[19]);
+        await h.placeUser('late-sleeper', latitude, longitude, {
+            timezone: 'UTC', ghost_schedules: [{ days: [0, 1, 2, 3, 4, 5, 6], start: hhmm(-60 * 1000), end: hhmm(3600 * 1000) }],
+        });
+        const reads = t.mock.method(h.users, 'findByGeohashPrefix');
+        const first = await h.app.locals.sweepQuietHours();
+        assert.equal(reads.mock.callCount(), 16);
+        assert.ok(reads.mock.calls.every(call => call.arguments[1].limit > 0));
+
+        // Whichever cells the first sweep skipped, the next one reads
+        assert.equal(first + await h.app.locals.sweepQuietHours(), 1);
+        assert.deepEqual(await stream.next('leave'), { id: 'late-sleeper' });
+        stream.close();
+    });
+});
@@ -0,0 +1,179 @@
+// test/helpers/harness.js
+// Boots api/api.js against the in-memory user store and the Spotify stub
+
+const ngeohash = require('ngeohash');
+const { startSpotifyStub } = require('./spotifyStub');
+const { createTokenCipher } = require('../../api/_lib/tokenCrypto');
+
+const TEST_TOKEN_KEY = 'a'.repeat(64);
+/** Reads tokens the API stored encrypted */
+const { decrypt: decryptToken } = createTokenCipher(TEST_TOKEN_KEY);
+
+/**
+ * Polls `check` until it returns something truthy, for writes the API makes after it has
+ * responded (last-known track, history). Fails after `timeoutMs`.
+ */
+const waitFor = async (check, { timeoutMs = 2000, intervalMs = 10 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('waitFor: condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+};
+
+/**
+ * Starts the stub and the API on random ports. api.js reads its configuration at load
+ * time, so the environment is set before it is required (once per test file/process).
+ */
+const startHarness = async () => {
+    const spotify = await startSpotifyStub();
+    Object.assign(process.env, {
+        USER_STORE: 'memory',
+        FLASK_SECRET_KEY: 'test-secret',
+        TOKEN_ENCRYPTION_KEY: TEST_TOKEN_KEY,
+        FRONTEND_URL: 'http://frontend.test',
+        SPOTIPY_CLIENT_ID: 'client-id',
+        SPOTIPY_CLIENT_SECRET: 'client-secret',
+        SPOTIPY_REDIRECT_URI: 'http://127.0.0.1:5000/callback',
+        SPOTIFY_ACCOUNTS_URL: spotify.url,
+        SPOTIFY_API_URL: `${spotify.url}/v1`,
+    });
+    const app = require('../../api/api');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    /** fetch wrapper: JSON bodies by default, `form` for urlencoded, `cookie` for the session */
+    const request = async (path, { method = 'GET', body, form, cookie } = {}) => {
+        const headers = {};
+        let payload;
+        if (cookie) headers.cookie = cookie;
+        if (form) {
+            headers['content-type'] = 'application/x-www-form-urlencoded';
+            payload = new URLSearchParams(form).toString();
+        } else if (body !== undefined) {
+            headers['content-type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+        const response = await fetch(url + path, { method, headers, body: payload, redirect: 'manual' });
+        const text = await response.text();
+        let json;
+        try { json = text ? JSON.parse(text) : undefined; } catch { json = undefined; }
+        return { status: response.status, headers: response.headers, body: json, text };
+    };
+
+    /**
+     * Starts a login like a browser would: GET /login, keeping the signed `state` Spotify would
+     * send back and the login cookie. `callback(query)` then completes it with extra query params.
+     */
+    const startLogin = async (loginQuery = '') => {
+        const response = await request(`/login${loginQuery}`);
+        const authorizeUrl = new URL(response.headers.get('location'));
+        const authCookie = response.headers.get('set-cookie').split(';')[0];
+        return {
+            authorizeUrl,
+            state: authorizeUrl.searchParams.get('state'),
+            cookie: authCookie,
+            callback(query) {
+                const params = new URLSearchParams({ state: this.state, ...query });
+                return request(`/callback?${params}`, { cookie: authCookie });
+            },
+        };
+    };
+
+    /** Logs a user in through the real /login + /callback flow and returns their session cookie */
+    const login = async (spotifyId, profile) => {
+        spotify.addUser(spotifyId, profile);
+        const response = await (await startLogin()).callback({ code: `code-${spotifyId}` });
+        const session = response.headers.getSetCookie().find(cookie => cookie.startsWith('spotify_id='));
+        if (!session) throw new Error(`login(${spotifyId}) failed with status ${response.status}`);
+        return session.split(';')[0];
+    };
+
+    /**
+     * Opens a /live event stream. `events` collects every parsed { type, data } message;
+     * next(type) resolves with the oldest not-yet-taken message of that type.
+     */
+    const openLive = async (query, cookie) => {
+        const controller = new AbortController();
+        const response = await fetch(`${url}/live?${new URLSearchParams(query)}`, {
+            headers: { cookie }, signal: controller.signal,
+        });
+        const events = [];
+        const pending = [];   // messages not yet taken by next()
+        const waiters = [];   // next() calls waiting for a message
+
+        const dispatch = (event) => {
+            events.push(event);
+            const index = waiters.findIndex(w => w.type === event.type);
+            if (index !== -1) waiters.splice(index, 1)[0].resolve(event.data);
+            else pending.push(event);
+        };
+
+        (async () => {
+            const decoder = new TextDecoder();
+            let buffer = '';
+            try {
+                for await (const chunk of response.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+                    let end;
+                    while ((end = buffer.indexOf('\n\n')) !== -1) {
+                        const block = buffer.slice(0, end);
+                        buffer = buffer.slice(end + 2);
+                        const type = /^event: (.*)$/m.exec(block);
+                        const data = /^data: (.*)$/m.exec(block);
+                        if (type && data) dispatch({ type: type[1], data: JSON.parse(data[1]) });
+                    }
+                }
+            } catch {
+                // Aborted by close()
+            }
+        })();
+
+        return {
+            status: response.status,
+            events,
+            next(type) {
+                const index = pending.findIndex(e => e.type === type);
+                if (index !== -1) return Promise.resolve(pending.splice(index, 1)[0].data);
+                return new Promise(resolve => waiters.push({ type, resolve }));
+            },
+            close() {
+                controller.abort();
+            },
+        };
+    };
+
+    /** Seeds a user sharing an exact position straight into the store; `fields` are merged in */
+    const placeUser = (id, latitude, longitude, fields = {}) => app.locals.users.updateUser(id, {
+        latitude, longitude, geohash: ngeohash.encode(latitude, longitude, 9), location_sharing_enabled: true, ...fields,
+    });
+
+    /** Posts a location update for the session like the app does, exact unless `extra` says otherwise */
+    const moveTo = (cookie, latitude, longitude, extra = {}) => request('/me/update-location', {
+        method: 'POST', cookie, form: { lat: latitude, lon: longitude, precision: 'exact', ...extra },
+    });
+
+    return {
+        url,
+        app,
+        users: app.locals.users,
+        spotify,
+        request,
+        startLogin,
+        login,
+        openLive,
+        placeUser,
+        moveTo,
+        async close() {
+            server.closeAllConnections();
+            await new Promise(done => server.close(done));
+            await spotify.close();
+        },
+    };
+};
+
+module.exports = { startHarness, decryptToken, waitFor };
@@ -0,0 +1,165 @@
+// test/helpers/spotifyStub.js
+// Local stand-in for accounts.spotify.com and api.spotify.com/v1
+
+const express = require('express');
+
+// What a fresh login grants; setScope() simulates users who consented to an older SCOPE
+const FULL_SCOPE = 'user-read-currently-playing user-read-private playlist-modify-private user-top-read';
+
+/** Stub artist ids are derived from names so tests can refer to artists by name */
+const artistId = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+/**
+ * Starts a stub Spotify server on a random port.
+ * Tests register accounts with addUser() and control playback with setPlaying();
+ * `calls` records what the API asked for so caching/refresh behaviour can be asserted.
+ */
+const startSpotifyStub = () => new Promise((resolve) => {
+    const profiles = new Map();       // spotify id -> profile
+    const playing = new Map();        // spotify id -> currently-playing payload (absent = 204)
+    const accessTokens = new Map();   // access token -> spotify id
+    const revoked = new Set();        // refresh tokens that fail with invalid_grant
+    const genres = new Map();         // artist id -> genres
+    const scopes = new Map();         // spotify id -> granted scope (default FULL_SCOPE)
+    const tokenScopes = new Map();    // access token -> scope it was issued with
+    const playlists = [];             // { id, owner, name, public, description, uris }
+    const topItems = new Map();       // spotify id -> { artists, tracks } as /me/top returns them
+    const calls = { token: [], currentlyPlaying: 0, artists: 0 };
+    let tokenCounter = 0;
+
+    const issueTokens = (spotifyId) => {
+        const accessToken = `access-${spotifyId}-${++tokenCounter}`;
+        const scope = scopes.get(spotifyId) ?? FULL_SCOPE;
+        accessTokens.set(accessToken, spotifyId);
+        tokenScopes.set(accessToken, scope);
+        return { access_token: accessToken, refresh_token: `refresh-${spotifyId}`, token_type: 'Bearer', expires_in: 3600, scope };
+    };
+
+    const bearerUser = (req) => accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+
+    const bearerScope = (req) => (tokenScopes.get((req.get('authorization') || '').replace(/^Bearer /, '')) || '').split(' ');
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+
+    app.post('/api/token', (req, res) => {
+        calls.token.push(req.body);
+        if (req.body.grant_type === 'authorization_code') {
+            // Codes are "code-<spotify id>" for registered users
+            const spotifyId = req.body.code.replace(/^code-/, '');
+            if (!profiles.has(spotifyId)) return res.status(400).json({ error: 'invalid_grant' });
+            return res.json(issueTokens(spotifyId));
+        }
+        if (req.body.grant_type === 'refresh_token') {
+            const spotifyId = req.body.refresh_token.replace(/^refresh-/, '');
+            if (revoked.has(req.body.refresh_token) || !profiles.has(spotifyId)) {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
+            const { refresh_token, ...tokens } = issueTokens(spotifyId); // Spotify omits it unless rotated
+            return res.json(tokens);
+        }
+        res.status(400).json({ error: 'unsupported_grant_type' });
+    });
+
+    app.get('/v1/me', (req, res) => {
+        const spotifyId = bearerUser(req);
+        if (!spotifyId) return res.status(401).json({ error: { status: 401, message: 'Invalid access token' } });
+        res.json(profiles.get(spotifyId));
+    });
+
+    app.get('/v1/me/player/currently-playing', (req, res) => {
+        calls.currentlyPlaying++;
+        const spotifyId = bearerUser(req);
+        if (!spotifyId) return res.status(401).json({ error: { status: 401, message: 'Invalid access token' } });
+        if (!playing.has(spotifyId)) return res.status(204).end();
+        res.json(playing.get(spotifyId));
+    });
+
+    app.get('/v1/me/top/:type', (req, res) => {
+        const spotifyId = bearerUser(req);
+        if (!spotifyId) return res.status(401).json({ error: { status: 401, message: 'Invalid access token' } });
+        if (!bearerScope(req).includes('user-top-read')) {
+            return res.status(403).json({ error: { status: 403, message: 'Insufficient client scope' } });
+        }
+        const items = (topItems.get(spotifyId) || {})[req.params.type] || [];
+        res.json({ items: items.slice(0, Number(req.query.limit) || 20) });
+    });
+
+    app.get('/v1/artists', (req, res) => {
+        calls.artists++;
+        if (!bearerUser(req)) return res.status(401).json({ error: { status: 401, message: 'Invalid access token' } });
+        const ids = String(req.query.ids || '').split(',').filter(Boolean);
+        res.json({ artists: ids.map(id => ({ id, name: id, genres: genres.get(id) || [] })) });
+    });
+
+    app.post('/v1/users/:id/playlists', (req, res) => {
+        const spotifyId = bearerUser(req);
+        if (!spotifyId) return res.status(401).json({ error: { status: 401, message: 'Invalid access token' } });
+        if (spotifyId !== req.params.id || !bearerScope(req).includes('playlist-modify-private')) {
+            return res.status(403).json({ error: { status: 403, message: 'Insufficient client scope' } });
+        }
+        const id = `playlist-${playlists.length + 1}`;
+        playlists.push({ id, owner: spotifyId, name: req.body.name, public: req.body.public, description: req.body.description, uris: [] });
+        res.status(201).json({ id, external_urls: { spotify: `https://open.spotify.com/playlist/${id}` } });
+    });
+
+    app.post('/v1/playlists/:id/tracks', (req, res) => {
+        const playlist = playlists.find(p => p.id === req.params.id);
+        if (!playlist || playlist.owner !== bearerUser(req)) return res.status(403).json({ error: { status: 403, message: 'Forbidden' } });
+        playlist.uris.push(...req.body.uris);
+        res.status(201).json({ snapshot_id: `snapshot-${playlist.uris.length}` });
+    });
+
+    const server = app.listen(0, '127.0.0.1', () => {
+        resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            calls,
+            playlists,
+            addUser(spotifyId, profile = {}) {
+                profiles.set(spotifyId, { id: spotifyId, display_name: spotifyId, images: [], ...profile });
+            },
+            /** Sets what the user is playing; pass null to stop playback (204) */
+            setPlaying(spotifyId, track, { isPlaying = true } = {}) {
+                if (!track) return playing.delete(spotifyId);
+                playing.set(spotifyId, {
+                    is_playing: isPlaying,
+                    currently_playing_type: 'track',
+                    item: {
+                        name: track.name,
+                        external_urls: { spotify: `https://open.spotify.com/track/${track.id}` },
+                        album: { images: [{ url: `https://i.scdn.co/image/${track.id}` }] },
+                        artists: [{
+                            id: artistId(track.artist),
+                            name: track.artist,
+                            external_urls: { spotify: `https://open.spotify.com/artist/${track.artist}` },
+                        }],
+                    },
+                });
+            },
+            setArtistGenres(artistName, artistGenres) {
+                genres.set(artistId(artistName), artistGenres);
+            },
+            /** Top artists ({ name, genres }) and tracks ({ id, name }) for /me/top, most listened first */
+            setTopItems(spotifyId, { artists = [], tracks = [] }) {
+                topItems.set(spotifyId, {
+                    artists: artists.map(artist => ({ id: artistId(artist.name), name: artist.name, genres: artist.genres || [] })),
+                    tracks: tracks.map(track => ({ id: track.id, name: track.name })),
+                });
+            },
+            /** Scope granted by the user's next token exchange/refresh */
+            setScope(spotifyId, scope) {
+                scopes.set(spotifyId, scope);
+            },
+            revoke(spotifyId) {
+                revoked.add(`refresh-${spotifyId}`);
+            },
+            close() {
+                server.closeAllConnections();
+                return new Promise(done => server.close(done));
+            },
+        });
+    });
+});
+
+module.exports = { startSpotifyStub };
@@ -0,0 +1,82 @@
+// test/history.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, waitFor } = require('./helpers/harness');
+
+const CENTER = { latitude: 52.52, longitude: 13.405 }; // Berlin
+const HOUR = 60 * 60 * 1000;
+
+describe('listening history', () => {
+    let h;
+    let viewer;
+
+    const play = async (spotifyId, cookie, track) => {
+        h.spotify.setPlaying(spotifyId, track);
+        await h.request('/now-playing', { cookie });
+        // The last-track and history writes follow the response
+        await waitFor(async () => (await h.users.getUser(spotifyId)).last_track?.track_name === track.name);
+    };
+    const history = (body) => h.request('/history', { method: 'POST', cookie: viewer, body: { ...CENTER, radius_km: 2, ...body } });
+
+    before(async () => {
+        h = await startHarness();
+        viewer = await h.login('history-viewer');
+    });
+    after(() => h.close());
+
+    it('records track starts and moves of sharing users as an anonymised trail', async () => {
+        const cookie = await h.login('history-walker');
+        await h.moveTo(cookie, CENTER.latitude, CENTER.longitude);
+        await play('history-walker', cookie, { id: 'b1', name: 'Heroes', artist: 'David Bowie' });
+        await h.moveTo(cookie, CENTER.latitude + 0.002, CENTER.longitude);
+
+        const res = await history({});
+        assert.equal(res.status, 200);
+        const trail = res.body.events;
+        assert.equal(trail.length, 2);
+        assert.deepEqual(trail.map(e => e.latitude), [CENTER.latitude, CENTER.latitude + 0.002]);
+        assert.ok(trail.every(e => e.track_name === 'Heroes' && e.listener === 'listener-1'));
+        assert.ok(trail[0].timestamp <= trail[1].timestamp);
+        assert.ok(!JSON.stringify(res.body).includes('history-walker'));
+    });
+
+    it('records nothing while location sharing is off', async () => {
+        const cookie = await h.login('history-hidden');
+        await h.moveTo(cookie, CENTER.latitude, CENTER.longitude, { sharing: 'off' });
+        await play('history-hidden', cookie, { id: 'b2', name: 'Low', artist: 'David Bowie' });
+        const res = await history({});
+        assert.ok(!res.body.events.some(e => e.track_name === 'Low'));
+    });
+
+    it('filters by time range and area', async () => {
+        const now = Date.now();
+        assert.equal((await history({ from: now - 3 * HOUR, to: now - 2 * HOUR })).body.events.length, 0);
+        assert.equal((await history({ latitude: 48.8566, longitude: 2.3522 })).body.events.length, 0);
+        const iso = await history({ from: new Date(now - HOUR).toISOString(), to: new Date(now + 1000).toISOString() });
+        assert.equal(iso.body.events.length, 2);
+    });
+
+    it('validates the time range', async () => {
+        const now = Date.now();
+        assert.equal((await history({ from: 'yesterday-ish' })).status, 400);
+        assert.equal((await history({ from: now, to: now - HOUR })).status, 400);
+        assert.equal((await history({ from: now - 8 * 24 * HOUR, to: now })).status, 400);
+    });
+
+    it('drops expired events and deletes history with the account', async () => {
+        await h.users.addHistoryEvent({
+            user_id: 'ghost', geohash: 'u33dc0', latitude: CENTER.latitude, longitude: CENTER.longitude,
+            timestamp: Date.now() - 1000, expire_at: Date.now() - 1, track_name: 'Expired',
+        });
+        assert.ok(!(await history({})).body.events.some(e => e.track_name === 'Expired'));
+
+        const cookie = await h.login('history-leaver');
+        await h.moveTo(cookie, CENTER.latitude - 0.001, CENTER.longitude);
+        await play('history-leaver', cookie, { id: 'b3', name: 'Changes', artist: 'David Bowie' });
+        assert.ok((await history({})).body.events.some(e => e.track_name === 'Changes'));
+
+        await h.request('/me', { method: 'DELETE', cookie });
+        assert.ok(!(await history({})).body.events.some(e => e.track_name === 'Changes'));
+    });
+});
@@ -0,0 +1,71 @@
+// test/live.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+
+const CENTER = { latitude: 37.7749, longitude: -122.4194 }; // San Francisco
+
+describe('GET /live', () => {
+    let h;
+    let viewer;
+    before(async () => {
+        h = await startHarness();
+        viewer = await h.login('live-viewer');
+    });
+    after(() => h.close());
+
+    it('requires a session and a valid subscription', async () => {
+        assert.equal((await h.request('/live?cells=9q8yy')).status, 401);
+        assert.equal((await h.request('/live', { cookie: viewer })).status, 400);
+        assert.equal((await h.request('/live?cells=9q8yy,NOT-A-HASH', { cookie: viewer })).status, 400);
+    });
+
+    it('streams add, move, track and leave events for the viewport cells', async () => {
+        const stream = await h.openLive({ ...CENTER, radius_km: 2 }, viewer);
+        assert.equal(stream.status, 200);
+        const ready = await stream.next('ready');
+        assert.ok(ready.cells.length > 0 && ready.cells.length <= 16);
+
+        const walker = await h.login('live-walker');
+        await h.moveTo(walker, CENTER.latitude + 0.001, CENTER.longitude);
+        const added = await stream.next('add');
+        assert.equal(added.id, 'live-walker');
+        assert.equal(added.latitude, CENTER.latitude + 0.001);
+
+        await h.moveTo(walker, CENTER.latitude + 0.002, CENTER.longitude);
+        assert.equal((await stream.next('move')).latitude, CENTER.latitude + 0.002);
+
+        h.spotify.setPlaying('live-walker', { id: 'sf1', name: 'Dreams', artist: 'Fleetwood Mac' });
+        await h.request('/now-playing', { cookie: walker });
+        const track = await stream.next('track');
+        assert.equal(track.track_name, 'Dreams');
+
+        await h.moveTo(walker, CENTER.latitude, CENTER.longitude, { sharing: 'off' });
+        assert.deepEqual(await stream.next('leave'), { id: 'live-walker' });
+
+        stream.close();
+    });
+
+    it('publishes nothing for repeated identical positions', async () => {
+        const stream = await h.openLive({ ...CENTER, radius_km: 2 }, viewer);
+        await stream.next('ready');
+        const sitter = await h.login('live-sitter');
+        await h.moveTo(sitter, CENTER.latitude - 0.001, CENTER.longitude);
+        await stream.next('add');
+        await h.moveTo(sitter, CENTER.latitude - 0.001, CENTER.longitude);
+        await h.moveTo(sitter, CENTER.latitude - 0.001, CENTER.longitude);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(stream.events.map(e => e.type), ['ready', 'add']);
+        stream.close();
+    });
+
+    it('unsubscribes when the client disconnects', async () => {
+        const stream = await h.openLive({ cells: '9q8yy' }, viewer);
+        await stream.next('ready');
+        const open = h.app.locals.live.size();
+        stream.close();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(h.app.locals.live.size(), open - 1);
+    });
+});
@@ -0,0 +1,62 @@
+// test/liveHub.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLiveHub } = require('../api/_lib/liveHub');
+
+/** Subscribes a recorder and returns the list it appends [type, id] pairs to */
+const record = (hub, cells, viewerId = 'viewer') => {
+    const received = [];
+    hub.subscribe({ cells, viewerId, send: (type, user) => received.push([type, user.id]) });
+    return received;
+};
+
+describe('createLiveHub', () => {
+    it('delivers to subscribers whose cell is a prefix of the user geohash', () => {
+        const hub = createLiveHub();
+        const coarse = record(hub, ['dr5']);
+        const fine = record(hub, ['dr5ru']);
+        const elsewhere = record(hub, ['gcpv']);
+
+        hub.publishLocation({ id: 'u1' }, null, 'dr5ru7abc');
+        assert.deepEqual(coarse, [['add', 'u1']]);
+        assert.deepEqual(fine, [['add', 'u1']]);
+        assert.deepEqual(elsewhere, []);
+    });
+
+    it('turns cross-cell moves into add / move / leave per subscriber', () => {
+        const hub = createLiveHub();
+        const oldCell = record(hub, ['dr5ru']);
+        const newCell = record(hub, ['dr5rv']);
+        const both = record(hub, ['dr5r']);
+
+        hub.publishLocation({ id: 'u1' }, 'dr5ru0000', 'dr5rv0000');
+        assert.deepEqual(oldCell, [['leave', 'u1']]);
+        assert.deepEqual(newCell, [['add', 'u1']]);
+        assert.deepEqual(both, [['move', 'u1']]);
+    });
+
+    it('publishes track changes and skips events about the subscriber themselves', () => {
+        const hub = createLiveHub();
+        const other = record(hub, ['dr5'], 'viewer');
+        const self = record(hub, ['dr5'], 'u1');
+
+        hub.publishTrack({ id: 'u1' }, 'dr5ru0000');
+        assert.deepEqual(other, [['track', 'u1']]);
+        assert.deepEqual(self, []);
+    });
+
+    it('stops delivering after unsubscribe', () => {
+        const hub = createLiveHub();
+        const received = [];
+        const unsubscribe = hub.subscribe({ cells: ['dr5', 'dr5ru'], viewerId: 'v', send: (type) => received.push(type) });
+        assert.equal(hub.size(), 1);
+        assert.deepEqual(hub.watchedCells(), ['dr5', 'dr5ru']);
+
+        unsubscribe();
+        hub.publishTrack({ id: 'u1' }, 'dr5ru0000');
+        assert.deepEqual(received, []);
+        assert.equal(hub.size(), 0);
+        assert.deepEqual(hub.watchedCells(), []);
+    });
+});
@@ -0,0 +1,267 @@
+// test/nearby.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ngeohash = require('ngeohash');
+const { haversine } = require('../api/_lib/geo');
+const { startHarness } = require('./helpers/harness');
+
+// Times Square; 0.009 degrees of latitude is ~1 km.
+const CENTER = { latitude: 40.758, longitude: -73.9855 };
+const ELSEWHERE = { lat: '48.8584', lon: '2.2945' }; // Location-update tests stay out of the nearby fixtures
+
+describe('location updates and nearby search', () => {
+    let h;
+    let viewer;
+
+    const nearby = (body) => h.request('/users/nearby', { method: 'POST', cookie: viewer, body: { ...CENTER, ...body } });
+    const ids = (res) => res.body.map(user => user.id).sort();
+
+    before(async () => {
+        h = await startHarness();
+        viewer = await h.login('viewer');
+    });
+    after(() => h.close());
+
+    describe('POST /me/update-location', () => {
+        it('stores a geohash and snapped position from form data', async () => {
+            const cookie = await h.login('walker');
+            const res = await h.request('/me/update-location', {
+                method: 'POST', cookie, form: { ...ELSEWHERE, sharing: 'on', precision: '1km' },
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.precision, '1km');
+
+            const user = await h.users.getUser('walker');
+            assert.equal(user.geohash.length, 9);
+            assert.ok(user.geohash.startsWith(ngeohash.encode(48.8584, 2.2945, 6)));
+            assert.notEqual(user.latitude, 48.8584);
+            assert.equal(user.location_precision, '1km');
+        });
+
+        it('keeps the saved precision when the client omits it', async () => {
+            const cookie = await h.login('keeper');
+            await h.request('/me/update-location', { method: 'POST', cookie, form: { lat: 1, lon: 1, precision: 'exact' } });
+            const res = await h.request('/me/update-location', { method: 'POST', cookie, form: { lat: 1.005, lon: 1.005 } });
+            assert.equal(res.body.precision, 'exact');
+            assert.equal((await h.users.getUser('keeper')).latitude, 1.005);
+        });
+
+        it('forgets the position when sharing is switched off', async () => {
+            const cookie = await h.login('hider');
+            await h.request('/me/update-location', { method: 'POST', cookie, form: { lat: 1, lon: 1 } });
+            const res = await h.request('/me/update-location', { method: 'POST', cookie, form: { lat: 1, lon: 1, sharing: 'off' } });
+            assert.deepEqual(res.body, { sharing: false });
+
+            const user = await h.users.getUser('hider');
+            assert.equal(user.location_sharing_enabled, false);
+            assert.equal(user.geohash, undefined);
+            assert.equal(user.latitude, undefined);
+        });
+
+        it('rejects invalid coordinates and precision levels', async () => {
+            const cookie = await h.login('invalid');
+            for (const form of [{ lat: 91, lon: 0 }, { lat: 0, lon: 'east' }, { lon: 0 }, { lat: 0, lon: 0, precision: 'toString' }]) {
+                const res = await h.request('/me/update-location', { method: 'POST', cookie, form });
+                assert.equal(res.status, 400, JSON.stringify(form));
+                assert.ok(res.body.error);
+            }
+        });
+    });
+
+    describe('POST /users/nearby', () => {
+        before(async () => {
+            await h.placeUser('near', CENTER.latitude + 0.003, CENTER.longitude);        // ~330 m
+            await h.placeUser('mid', CENTER.latitude + 0.018, CENTER.longitude);         // ~2 km
+            await h.placeUser('far', CENTER.latitude + 0.15, CENTER.longitude);          // ~17 km
+            await h.placeUser('private', CENTER.latitude + 0.001, CENTER.longitude, { location_sharing_enabled: false });
+            await h.placeUser('viewer', CENTER.latitude, CENTER.longitude);
+        });
+
+        it('filters by radius using haversine distance', async () => {
+            assert.deepEqual(ids(await nearby({ radius_km: 1 })), ['near']);
+            assert.deepEqual(ids(await nearby({ radius_km: 5 })), ['mid', 'near']);
+            assert.deepEqual(ids(await nearby({ radius_km: 50 })), ['far', 'mid', 'near']);
+        });
+
+        it('excludes the viewer and users who are not sharing', async () => {
+            const res = await nearby({ radius_km: 1 });
+            assert.ok(!ids(res).includes('viewer'));
+            assert.ok(!ids(res).includes('private'));
+        });
+
+        it('defaults the radius to 5 km', async () => {
+            assert.deepEqual(ids(await nearby({})), ['mid', 'near']);
+        });
+
+        it('finds users anywhere in the circle, not only near the center cell', async () => {
+            // 20 km searches used to scan the 9 precision-5 cells (~5 km) around the center only
+            assert.deepEqual(ids(await nearby({ radius_km: 20 })), ['far', 'mid', 'near']);
+        });
+
+        it('returns pins nearest first, a page at a time', async () => {
+            const first = await nearby({ radius_km: 50, limit: 2 });
+            assert.deepEqual(first.body.map(user => user.id), ['near', 'mid']);
+            const cursor = first.headers.get('x-next-cursor');
+            assert.ok(cursor);
+
+            const second = await nearby({ radius_km: 50, limit: 2, cursor });
+            assert.deepEqual(second.body.map(user => user.id), ['far']);
+            assert.equal(second.headers.get('x-next-cursor'), null);
+        });
+
+        it('rejects bad page parameters', async () => {
+            assert.equal((await nearby({ limit: 0 })).status, 400);
+            assert.equal((await nearby({ limit: 10000 })).status, 400);
+            assert.equal((await nearby({ cursor: 'not-a-cursor' })).status, 400);
+        });
+
+        it('returns the last-known track and staleness of real users', async () => {
+            const playedAt = Date.now() - 5 * 60 * 1000;
+            await h.placeUser('listener', CENTER.latitude - 0.005, CENTER.longitude, {
+                user_name: 'Listener',
+                is_playing: false,
+                last_played_at: playedAt,
+                last_track: { track_name: 'So What', artist: 'Miles Davis', artist_url: 'a', album_art_url: 'b', track_url: 'c' },
+            });
+            const listener = (await nearby({ radius_km: 2 })).body.find(user => user.id === 'listener');
+            assert.equal(listener.track_name, 'So What');
+            assert.equal(listener.artist, 'Miles Davis');
+            assert.equal(listener.user_name, 'Listener');
+            assert.equal(listener.is_playing, false);
+            assert.equal(listener.last_played_at, playedAt);
+
+            // Idle filter hides users whose last track is older than max_idle_minutes
+            assert.ok(!ids(await nearby({ radius_km: 2, max_idle_minutes: 1 })).includes('listener'));
+            assert.ok(ids(await nearby({ radius_km: 2, max_idle_minutes: 10 })).includes('listener'));
+        });
+
+        it('aggregates users into geohash cells for the density layer', async () => {
+            const cluster = { latitude: CENTER.latitude - 0.0004, longitude: CENTER.longitude + 0.0004 };
+            const track = { track_name: 'Naima', album_art_url: 'art-naima', track_url: 'naima' };
+            await h.placeUser('dense_1', cluster.latitude, cluster.longitude, { last_track: track, is_playing: true });
+            await h.placeUser('dense_2', cluster.latitude + 0.0001, cluster.longitude, { last_track: track, is_playing: true });
+            await h.placeUser('dense_3', cluster.latitude, cluster.longitude + 0.0001, {
+                last_track: { track_name: 'Alabama', album_art_url: 'art-alabama', track_url: 'alabama' }, is_playing: false,
+            });
+
+            const res = await h.request('/users/density', {
+                method: 'POST', cookie: viewer, body: { ...CENTER, radius_km: 1, cell_precision: 7 },
+            });
+            assert.equal(res.status, 200);
+            const cell = res.body.find(c => c.geohash === ngeohash.encode(cluster.latitude, cluster.longitude, 7));
+            assert.equal(cell.count, 3);
+            assert.equal(cell.playing_count, 2);
+            assert.equal(cell.top_track_name, 'Naima');
+            assert.equal(cell.top_album_art_url, 'art-naima');
+            assert.equal(cell.bounds.length, 2);
+            // Aggregates never expose who is in the cell
+            assert.ok(!JSON.stringify(res.body).includes('dense_'));
+
+            const total = res.body.reduce((sum, c) => sum + c.count, 0);
+            assert.equal(total, (await nearby({ radius_km: 1 })).body.length);
+        });
+
+        it('filters by artist, track, genre and playing state', async () => {
+            const lat = CENTER.latitude + 0.001;
+            await h.placeUser('jazz_playing', lat, CENTER.longitude, {
+                is_playing: true, last_played_at: Date.now(),
+                last_track: { track_name: 'Take the A Train', artist: 'Duke Ellington', genres: ['big band', 'jazz'] },
+            });
+            await h.placeUser('jazz_paused', lat, CENTER.longitude, {
+                is_playing: false, last_played_at: Date.now(),
+                last_track: { track_name: 'Round Midnight', artist: 'Thelonious Monk', genres: ['bebop', 'jazz piano'] },
+            });
+            await h.placeUser('rock_playing', lat, CENTER.longitude, {
+                is_playing: true, last_played_at: Date.now(),
+                last_track: { track_name: 'Paranoid', artist: 'Black Sabbath', genres: ['hard rock'] },
+            });
+            const filtered = async (filters) => ids(await nearby({ radius_km: 1, ...filters }))
+                .filter(id => ['jazz_playing', 'jazz_paused', 'rock_playing'].includes(id));
+
+            assert.deepEqual(await filtered({ genre: 'JAZZ' }), ['jazz_paused', 'jazz_playing']);
+            assert.deepEqual(await filtered({ genre: 'jazz', playing_only: true }), ['jazz_playing']);
+            assert.deepEqual(await filtered({ artist: 'monk' }), ['jazz_paused']);
+            assert.deepEqual(await filtered({ track: 'paranoid' }), ['rock_playing']);
+            assert.deepEqual(await filtered({ artist: 'nobody' }), []);
+            assert.deepEqual(await filtered({ artist: '  ' }), ['jazz_paused', 'jazz_playing', 'rock_playing']);
+        });
+
+        it('reports store failures as 500', async (t) => {
+            t.mock.method(h.users, 'findByGeohashPrefix', async () => { throw new Error('store down'); });
+            t.mock.method(console, 'error', () => {});
+            const res = await nearby({ radius_km: 2 });
+            assert.equal(res.status, 500);
+            assert.deepEqual(res.body, { error: 'Failed to query database.' });
+        });
+    });
+
+    describe('POST /users/in-bounds', () => {
+        const inBounds = (body) => h.request('/users/in-bounds', { method: 'POST', cookie: viewer, body });
+
+        it('returns exactly the users inside the rectangle', async () => {
+            // A wide, short strip: 'near' (+0.003) is inside, 'mid' (+0.018) is north of it
+            const strip = { south: CENTER.latitude - 0.005, north: CENTER.latitude + 0.005, west: CENTER.longitude - 0.2, east: CENTER.longitude + 0.2 };
+            const res = await inBounds(strip);
+            assert.equal(res.status, 200);
+            assert.ok(ids(res).includes('near'));
+            assert.ok(!ids(res).includes('mid'));
+            assert.ok(!ids(res).includes('viewer'));
+
+            const tall = { south: CENTER.latitude - 0.01, north: CENTER.latitude + 0.2, west: CENTER.longitude - 0.001, east: CENTER.longitude + 0.001 };
+            const tallIds = ids(await inBounds(tall));
+            assert.ok(['far', 'mid', 'near'].every(id => tallIds.includes(id)));
+        });
+
+        it('handles rectangles crossing the antimeridian', async () => {
+            await h.placeUser('fiji_east', -17.7, 179.99);
+            await h.placeUser('fiji_west', -17.7, -179.99);
+            const wrapped = ids(await inBounds({ south: -18, north: -17.4, west: 179.9, east: -179.9 }));
+            const unwrapped = ids(await inBounds({ south: -18, north: -17.4, west: 179.9, east: 180.1 }));
+            assert.deepEqual(wrapped, ['fiji_east', 'fiji_west']);
+            assert.deepEqual(unwrapped, ['fiji_east', 'fiji_west']);
+        });
+
+        it('applies the nearby filters and paging', async () => {
+            const around = { south: CENTER.latitude - 0.2, north: CENTER.latitude + 0.2, west: CENTER.longitude - 0.2, east: CENTER.longitude + 0.2 };
+            const res = await inBounds({ ...around, limit: 1 });
+            assert.equal(res.body.length, 1);
+            assert.ok(res.headers.get('x-next-cursor'));
+            assert.deepEqual((await inBounds({ ...around, artist: 'nobody' })).body, []);
+        });
+
+        it('rejects missing or inverted bounds', async () => {
+            assert.equal((await inBounds({})).status, 400);
+            assert.equal((await inBounds({ south: 10, north: 5, west: 0, east: 1 })).status, 400);
+            assert.equal((await inBounds({ south: -91, north: 5, west: 0, east: 1 })).status, 400);
+        });
+    });
+
+    describe('dense areas', () => {
+        // A precision-6 cell (~1.2 x 0.6 km) in Berlin holding more users than one query reads
+        const { latitude: cellLat, longitude: cellLon } = ngeohash.decode(ngeohash.encode(52.52, 13.405, 6));
+        const crowd = [];
+
+        before(async () => {
+            for (let row = 0; row < 40; row++) {
+                for (let col = 0; col < 30; col++) {
+                    const latitude = cellLat - 0.002 + row * 0.0001;
+                    const longitude = cellLon - 0.004 + col * 0.00025;
+                    crowd.push({ id: `crowd-${row}-${col}`, latitude, longitude, distance: haversine(cellLat, cellLon, latitude, longitude) });
+                }
+            }
+            // Farthest first, so a capped read of the cell would keep the wrong end of the crowd
+            crowd.sort((a, b) => b.distance - a.distance);
+            for (const { id, latitude, longitude } of crowd) await h.placeUser(id, latitude, longitude);
+        });
+
+        it('returns the true nearest page from a cell holding more than 1000 users', async () => {
+            const res = await h.request('/users/nearby', {
+                method: 'POST', cookie: viewer, body: { latitude: cellLat, longitude: cellLon, radius_km: 2, limit: 200 },
+            });
+            assert.equal(res.status, 200);
+            const nearest = [...crowd].sort((a, b) => a.distance - b.distance || (a.id < b.id ? -1 : 1)).slice(0, 200);
+            assert.deepEqual(res.body.map(user => user.id).sort(), nearest.map(user => user.id).sort());
+        });
+    });
+});
@@ -0,0 +1,99 @@
+// test/nowPlaying.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, decryptToken, waitFor } = require('./helpers/harness');
+
+describe('GET /now-playing', () => {
+    let h;
+    before(async () => { h = await startHarness(); });
+    after(() => h.close());
+
+    it('returns the formatted current track and persists it as the last-known track', async () => {
+        const cookie = await h.login('np-track');
+        h.spotify.setPlaying('np-track', { id: 't1', name: 'Take Five', artist: 'Dave Brubeck' });
+
+        const res = await h.request('/now-playing', { cookie });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, {
+            is_playing: true,
+            track_name: 'Take Five',
+            artist: 'Dave Brubeck',
+            artist_url: 'https://open.spotify.com/artist/Dave Brubeck',
+            album_art_url: 'https://i.scdn.co/image/t1',
+            track_url: 'https://open.spotify.com/track/t1',
+        });
+
+        // The write is fire-and-forget (after a genre lookup)
+        const user = await waitFor(async () => {
+            const stored = await h.users.getUser('np-track');
+            return stored.last_track && stored;
+        });
+        assert.equal(user.last_track.track_name, 'Take Five');
+        assert.equal(user.is_playing, true);
+        assert.ok(user.last_played_at <= Date.now());
+    });
+
+    it('stores artist genres with the last-known track, looking each artist up once', async () => {
+        h.spotify.setArtistGenres('Ella Fitzgerald', ['vocal jazz', 'swing']);
+        const first = await h.login('np-genre-1');
+        const second = await h.login('np-genre-2');
+        h.spotify.setPlaying('np-genre-1', { id: 't3', name: 'Summertime', artist: 'Ella Fitzgerald' });
+        h.spotify.setPlaying('np-genre-2', { id: 't4', name: 'Misty', artist: 'Ella Fitzgerald' });
+
+        const before = h.spotify.calls.artists;
+        const lastTrackOf = async (id) => (await h.users.getUser(id)).last_track;
+        await h.request('/now-playing', { cookie: first });
+        await waitFor(() => lastTrackOf('np-genre-1'));
+        await h.request('/now-playing', { cookie: second });
+        await waitFor(() => lastTrackOf('np-genre-2'));
+
+        assert.deepEqual((await h.users.getUser('np-genre-1')).last_track.genres, ['vocal jazz', 'swing']);
+        assert.deepEqual((await h.users.getUser('np-genre-2')).last_track.genres, ['vocal jazz', 'swing']);
+        assert.equal(h.spotify.calls.artists - before, 1);
+    });
+
+    it('reports is_playing false when Spotify returns 204', async () => {
+        const cookie = await h.login('np-idle');
+        const res = await h.request('/now-playing', { cookie });
+        assert.deepEqual(res.body, { is_playing: false });
+    });
+
+    it('serves repeat polls from the cache', async () => {
+        const cookie = await h.login('np-cache');
+        h.spotify.setPlaying('np-cache', { id: 't2', name: 'Naima', artist: 'John Coltrane' });
+        const before = h.spotify.calls.currentlyPlaying;
+        await Promise.all([h.request('/now-playing', { cookie }), h.request('/now-playing', { cookie })]);
+        await h.request('/now-playing', { cookie });
+        assert.equal(h.spotify.calls.currentlyPlaying - before, 1);
+    });
+
+    it('refreshes an expired access token and stores the new one', async () => {
+        const cookie = await h.login('np-expired');
+        await h.users.updateUser('np-expired', { expires_at: Date.now() - 1000 });
+        const stale = (await h.users.getUser('np-expired')).spotify_access_token;
+
+        const res = await h.request('/now-playing', { cookie });
+        assert.equal(res.status, 200);
+
+        const refreshCall = h.spotify.calls.token.find(call => call.refresh_token === 'refresh-np-expired');
+        assert.equal(refreshCall.grant_type, 'refresh_token');
+        const user = await h.users.getUser('np-expired');
+        assert.notEqual(user.spotify_access_token, stale);
+        assert.ok(user.expires_at > Date.now());
+        assert.equal(decryptToken(user.spotify_refresh_token), 'refresh-np-expired'); // kept when not rotated
+    });
+
+    it('answers 401 when the refresh token has been revoked', async () => {
+        const cookie = await h.login('np-revoked');
+        await h.users.updateUser('np-revoked', { expires_at: 0 });
+        h.spotify.revoke('np-revoked');
+
+        const res = await h.request('/now-playing', { cookie });
+        assert.equal(res.status, 401);
+    });
+
+    it('requires a session', async () => {
+        assert.equal((await h.request('/now-playing')).status, 401);
+    });
+});
@@ -0,0 +1,92 @@
+// test/oauth.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signState, verifyState, createPkcePair, safeRedirectPath } = require('../api/_lib/oauth');
+const { createTokenCipher } = require('../api/_lib/tokenCrypto');
+const { startHarness } = require('./helpers/harness');
+
+describe('signState / verifyState', () => {
+    it('round-trips the payload', () => {
+        const state = signState({ nonce: 'n1', redirect: '/?user=bob' }, 'secret');
+        assert.deepEqual({ ...verifyState(state, 'secret'), exp: undefined }, { nonce: 'n1', redirect: '/?user=bob', exp: undefined });
+    });
+
+    it('rejects tampered, foreign and expired states', () => {
+        const state = signState({ nonce: 'n1' }, 'secret', 0);
+        const [data, signature] = state.split('.');
+        const forged = Buffer.from(JSON.stringify({ nonce: 'n2', exp: Infinity })).toString('base64url');
+        assert.equal(verifyState(`${forged}.${signature}`, 'secret', 0), null);
+        assert.equal(verifyState(`${data}.${signature}`, 'other-secret', 0), null);
+        assert.equal(verifyState(state, 'secret', 11 * 60 * 1000), null);
+        assert.equal(verifyState('garbage', 'secret'), null);
+        assert.equal(verifyState(undefined, 'secret'), null);
+    });
+});
+
+describe('safeRedirectPath', () => {
+    it('keeps same-origin paths only', () => {
+        assert.equal(safeRedirectPath('/?user=bob'), '/?user=bob');
+        for (const value of ['https://evil.test', '//evil.test', '/\\evil.test', 'relative', undefined, `/${'a'.repeat(600)}`]) {
+            assert.equal(safeRedirectPath(value), '', String(value));
+        }
+    });
+});
+
+describe('createTokenCipher', () => {
+    const cipher = createTokenCipher(crypto.randomBytes(32).toString('base64'));
+
+    it('encrypts with a fresh IV each time and decrypts back', () => {
+        const first = cipher.encrypt('refresh-token');
+        assert.match(first, /^enc:v1:/);
+        assert.notEqual(cipher.encrypt('refresh-token'), first);
+        assert.equal(cipher.decrypt(first), 'refresh-token');
+    });
+
+    it('reads plaintext stored before encryption was enabled', () => {
+        assert.equal(cipher.decrypt('legacy-token'), 'legacy-token');
+        assert.equal(cipher.decrypt(undefined), undefined);
+    });
+
+    it('detects tampering and wrong keys', () => {
+        const stored = cipher.encrypt('refresh-token');
+        assert.throws(() => cipher.decrypt(stored.slice(0, -2) + (stored.endsWith('A') ? 'BB' : 'AA')));
+        assert.throws(() => createTokenCipher('b'.repeat(64)).decrypt(stored));
+        assert.throws(() => createTokenCipher(null).decrypt(stored), /TOKEN_ENCRYPTION_KEY/);
+    });
+
+    it('stores tokens as given without a key, and rejects malformed keys', () => {
+        assert.equal(createTokenCipher(undefined).encrypt('token'), 'token');
+        assert.throws(() => createTokenCipher('too-short'), /32 bytes/);
+    });
+});
+
+describe('createPkcePair', () => {
+    it('derives the S256 challenge from the verifier', () => {
+        const { verifier, challenge } = createPkcePair();
+        assert.match(verifier, /^[A-Za-z0-9_-]{43}$/);
+        assert.equal(challenge, crypto.createHash('sha256').update(verifier).digest('base64url'));
+    });
+});
+
+describe('login with PKCE', () => {
+    let h;
+    before(async () => {
+        process.env.SPOTIFY_USE_PKCE = 'true';
+        h = await startHarness();
+    });
+    after(() => h.close());
+
+    it('sends a challenge to /authorize and the matching verifier with the code', async () => {
+        h.spotify.addUser('pkce');
+        const login = await h.startLogin();
+        assert.equal(login.authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+        const challenge = login.authorizeUrl.searchParams.get('code_challenge');
+
+        const res = await login.callback({ code: 'code-pkce' });
+        assert.equal(res.headers.get('location'), 'http://frontend.test');
+        const tokenCall = h.spotify.calls.token.find(call => call.code === 'code-pkce');
+        assert.equal(crypto.createHash('sha256').update(tokenCall.code_verifier).digest('base64url'), challenge);
+    });
+});
@@ -0,0 +1,103 @@
+// test/offlineQueue.test.js
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const NETWORK_ERROR = Object.assign(new Error('Network Error'), { network: true });
+const REQUEST = { method: 'POST', url: '/api/me/update-location', body: 'lat=1&lon=2', contentType: 'application/x-www-form-urlencoded' };
+
+/** Lets settled sends run their callbacks */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createOfflineQueue', () => {
+    let createOfflineQueue;
+    let offline;
+    let outbox;
+
+    before(async () => {
+        ({ createOfflineQueue } = await import('../spotifymap-frontend/src/api/offlineQueue.js'));
+    });
+
+    /** A queue whose connection and outbox the test controls; the outbox logs ['hold'|'clear', key] */
+    const createQueue = () => {
+        offline = false;
+        outbox = [];
+        return createOfflineQueue({
+            isOffline: () => offline,
+            isNetworkError: error => error.network === true,
+            outbox: { hold: key => outbox.push(['hold', key]), clear: key => outbox.push(['clear', key]) },
+        });
+    };
+
+    it('sends straight away while online', async () => {
+        const queue = createQueue();
+        assert.equal(await queue.sendWhenOnline('location', async () => 'sent', REQUEST), 'sent');
+        assert.deepEqual(outbox, []);
+    });
+
+    it('holds updates while offline and sends only the newest of each kind when back', async () => {
+        const queue = createQueue();
+        offline = true;
+        const sent = [];
+        const first = queue.sendWhenOnline('location', async () => sent.push('first') && 'first');
+        const second = queue.sendWhenOnline('location', async () => sent.push('second') && 'second');
+        const other = queue.sendWhenOnline('now-playing', async () => sent.push('playing') && 'playing');
+        await settle();
+        assert.deepEqual(sent, []);
+
+        offline = false;
+        queue.flush();
+        assert.deepEqual(await Promise.all([first, second, other]), ['second', 'second', 'playing']);
+        assert.deepEqual(sent, ['second', 'playing']);
+    });
+
+    it('holds an update whose send failed because the connection dropped', async () => {
+        const queue = createQueue();
+        let attempts = 0;
+        const result = queue.sendWhenOnline('location', async () => {
+            attempts++;
+            if (attempts === 1) {
+                offline = true;
+                throw NETWORK_ERROR;
+            }
+            return 'sent';
+        });
+        await settle();
+        assert.equal(attempts, 1);
+
+        offline = false;
+        queue.flush();
+        assert.equal(await result, 'sent');
+    });
+
+    it('fails like any request when the server is unreachable while online', async () => {
+        const queue = createQueue();
+        await assert.rejects(queue.sendWhenOnline('location', async () => { throw NETWORK_ERROR; }, REQUEST), NETWORK_ERROR);
+        assert.deepEqual(outbox, []);
+    });
+
+    it('keeps held updates with a request in the outbox until they are sent', async () => {
+        const queue = createQueue();
+        offline = true;
+        const location = queue.sendWhenOnline('location', async () => 'sent', REQUEST);
+        const playing = queue.sendWhenOnline('now-playing', async () => 'playing');
+        await settle();
+        assert.deepEqual(outbox, [['hold', 'location']]);
+
+        offline = false;
+        queue.flush();
+        await Promise.all([location, playing]);
+        assert.deepEqual(outbox, [['hold', 'location'], ['clear', 'location']]);
+    });
+
+    it('clears the outbox when the server turns a held update down', async () => {
+        const queue = createQueue();
+        offline = true;
+        const result = queue.sendWhenOnline('location', async () => { throw new Error('Request failed with status code 422'); }, REQUEST);
+
+        offline = false;
+        queue.flush();
+        await assert.rejects(result, /422/);
+        assert.deepEqual(outbox, [['hold', 'location'], ['clear', 'location']]);
+    });
+});
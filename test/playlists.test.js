@@ -0,0 +1,120 @@
+// test/playlists.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ngeohash = require('ngeohash');
+const { startHarness } = require('./helpers/harness');
+
+const CENTER = { latitude: 52.5076, longitude: 13.4416 }; // Kreuzberg, Berlin
+const BOUNDS = { south: 52.49, west: 13.42, north: 52.52, east: 13.46 };
+const MINUTE = 60 * 1000;
+const OLD_SCOPE = 'user-read-currently-playing user-read-private';
+
+const track = (id, track_name, artist) => ({ track_name, artist, track_url: `https://open.spotify.com/track/${id}`, genres: [] });
+const TRACKS = {
+    sonne: track('sonne', 'Sonne', 'Rammstein'),
+    dreams: track('dreams', 'Dreams', 'Fleetwood Mac'),
+    heroes: track('heroes', 'Heroes', 'David Bowie'),
+};
+
+describe('POST /playlists/area', () => {
+    let h;
+    let cookie;
+
+    // User fields for a listener whose last-known track is `lastTrack`
+    const listening = (lastTrack, { playing = true, minutesAgo = 0 } = {}) => ({
+        last_track: lastTrack, is_playing: playing, last_played_at: Date.now() - minutesAgo * MINUTE,
+    });
+    const NEARBY = CENTER.latitude + 0.001;
+
+    const exportArea = (body, as = cookie) => h.request('/playlists/area', { method: 'POST', cookie: as, body: { ...BOUNDS, ...body } });
+
+    before(async () => {
+        h = await startHarness();
+        cookie = await h.login('curator');
+        await h.placeUser('p1', NEARBY, CENTER.longitude, listening(TRACKS.sonne));
+        await h.placeUser('p2', NEARBY, CENTER.longitude, listening(TRACKS.sonne));
+        await h.placeUser('p3', NEARBY, CENTER.longitude, listening(TRACKS.dreams, { playing: false, minutesAgo: 20 }));
+        await h.placeUser('outside', CENTER.latitude + 1, CENTER.longitude, listening(TRACKS.heroes));
+        await h.placeUser('hidden', NEARBY, CENTER.longitude, { ...listening(TRACKS.heroes), visibility: 'hidden' });
+        await h.placeUser('sim', NEARBY, CENTER.longitude, {
+            ...listening({ ...TRACKS.heroes, track_url: 'https://open.spotify.com/search/Heroes' }), simulated: true,
+        });
+        // p1 played Heroes earlier; the history adds it to past windows
+        const latitude = CENTER.latitude + 0.002;
+        await h.users.addHistoryEvent({
+            user_id: 'p1', latitude, longitude: CENTER.longitude, geohash: ngeohash.encode(latitude, CENTER.longitude, 9),
+            timestamp: Date.now() - 30 * MINUTE, expire_at: Date.now() + 24 * 60 * MINUTE, ...TRACKS.heroes,
+        });
+    });
+    after(() => h.close());
+
+    it('requests the playlist scope at login and stores the granted scope', async () => {
+        const location = new URL((await h.request('/login')).headers.get('location'));
+        assert.ok(location.searchParams.get('scope').split(' ').includes('playlist-modify-private'));
+        assert.match((await h.users.getUser('curator')).spotify_scope, /playlist-modify-private/);
+    });
+
+    it('creates a private playlist of the area\'s tracks, most listeners first', async () => {
+        const res = await exportArea({ window: 'hour', name: 'Kreuzberg tonight' });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.name, 'Kreuzberg tonight');
+        assert.equal(res.body.listeners, 3);
+        assert.deepEqual(res.body.tracks.map(t => [t.uri, t.listeners]), [
+            ['spotify:track:sonne', 2], ['spotify:track:dreams', 1], ['spotify:track:heroes', 1],
+        ]);
+
+        const playlist = h.spotify.playlists.find(p => p.id === res.body.id);
+        assert.equal(playlist.owner, 'curator');
+        assert.equal(playlist.public, false);
+        assert.equal(playlist.name, 'Kreuzberg tonight');
+        assert.deepEqual(playlist.uris, ['spotify:track:sonne', 'spotify:track:dreams', 'spotify:track:heroes']);
+        assert.equal(res.body.url, `https://open.spotify.com/playlist/${res.body.id}`);
+    });
+
+    it('only uses what is playing right now for the "now" window', async () => {
+        const res = await exportArea({ window: 'now', limit: 1 });
+        assert.equal(res.status, 201);
+        assert.match(res.body.name, /^Sound of the neighbourhood/);
+        assert.deepEqual(res.body.tracks.map(t => t.uri), ['spotify:track:sonne']);
+    });
+
+    it('asks users who consented before playlists existed to log in again', async () => {
+        h.spotify.setScope('veteran', OLD_SCOPE);
+        const veteran = await h.login('veteran');
+        const res = await exportArea({}, veteran);
+        assert.equal(res.status, 403);
+        assert.equal(res.body.reconsent, true);
+
+        // A grant stored before scopes were recorded counts as the old one too
+        await h.users.updateUser('veteran', { spotify_scope: null });
+        assert.equal((await exportArea({}, veteran)).status, 403);
+
+        h.spotify.setScope('veteran', undefined);
+        await h.login('veteran');
+        assert.equal((await exportArea({}, veteran)).status, 201);
+    });
+
+    it('asks for consent again when Spotify rejects the grant\'s scope', async () => {
+        h.spotify.setScope('stale', OLD_SCOPE);
+        const stale = await h.login('stale');
+        await h.users.updateUser('stale', { spotify_scope: 'user-read-private playlist-modify-private' });
+        const res = await exportArea({}, stale);
+        assert.equal(res.status, 403);
+        assert.equal(res.body.reconsent, true);
+    });
+
+    it('returns 404 for an area where nothing was played', async () => {
+        const res = await exportArea({ south: 10, west: 10, north: 10.1, east: 10.1 });
+        assert.equal(res.status, 404);
+    });
+
+    it('validates bounds, window, limit and name', async () => {
+        assert.equal((await exportArea({ north: undefined })).status, 400);
+        assert.equal((await exportArea({ window: 'forever' })).status, 400);
+        assert.equal((await exportArea({ limit: 101 })).status, 400);
+        assert.equal((await exportArea({ name: '   ' })).status, 400);
+        assert.equal((await exportArea({ name: 'x'.repeat(101) })).status, 400);
+        assert.equal((await h.request('/playlists/area', { method: 'POST', body: BOUNDS })).status, 401);
+    });
+});
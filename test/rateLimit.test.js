@@ -0,0 +1,73 @@
+// test/rateLimit.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRateLimitStore, rateLimit } = require('../api/_lib/rateLimit');
+const { startHarness } = require('./helpers/harness');
+
+const MINUTE = 60 * 1000;
+
+/** Runs a middleware against a fake request; resolves with 'next' or the response it sent */
+const run = (middleware, req) => new Promise((resolve) => {
+    const res = {
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); },
+    };
+    middleware(req, res, () => resolve('next'));
+});
+
+describe('createMemoryRateLimitStore', () => {
+    it('counts hits per key within fixed windows', async () => {
+        let now = 10 * MINUTE + 5000;
+        const store = createMemoryRateLimitStore({ now: () => now });
+        assert.deepEqual(await store.hit('a', MINUTE), { count: 1, resetAt: 11 * MINUTE });
+        assert.equal((await store.hit('a', MINUTE)).count, 2);
+        assert.equal((await store.hit('b', MINUTE)).count, 1);
+
+        now = 11 * MINUTE;
+        assert.deepEqual(await store.hit('a', MINUTE), { count: 1, resetAt: 12 * MINUTE });
+    });
+});
+
+describe('rateLimit', () => {
+    it('allows `limit` requests per key, then answers 429 with Retry-After', async () => {
+        const limiter = rateLimit({ store: createMemoryRateLimitStore(), name: 't', limit: 2, windowMs: MINUTE, keyFor: req => req.ip });
+        assert.equal(await run(limiter, { ip: '1.1.1.1' }), 'next');
+        assert.equal(await run(limiter, { ip: '1.1.1.1' }), 'next');
+        const blocked = await run(limiter, { ip: '1.1.1.1' });
+        assert.equal(blocked.status, 429);
+        assert.ok(Number(blocked.headers['Retry-After']) >= 1);
+        assert.equal(await run(limiter, { ip: '2.2.2.2' }), 'next');
+    });
+
+    it('skips requests without a key and fails open when the store errors', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const failing = { hit: async () => { throw new Error('store down'); } };
+        const limiter = rateLimit({ store: failing, name: 't', limit: 0, windowMs: MINUTE, keyFor: req => req.user });
+        assert.equal(await run(limiter, {}), 'next');
+        assert.equal(await run(limiter, { user: 'alice' }), 'next');
+    });
+});
+
+describe('API rate limits', () => {
+    let h;
+    before(async () => { h = await startHarness(); });
+    after(() => h.close());
+
+    it('limits friend requests per user per hour', async () => {
+        const cookie = await h.login('spammer');
+        const statuses = [];
+        for (let i = 0; i < 31; i++) {
+            const res = await h.request('/friends/requests', { method: 'POST', cookie, body: { user_id: `stranger-${i}` } });
+            statuses.push(res.status);
+        }
+        // Unknown users are 404s, but every attempt counts
+        assert.deepEqual([...new Set(statuses.slice(0, 30))], [404]);
+        assert.equal(statuses[30], 429);
+
+        const other = await h.login('polite');
+        assert.equal((await h.request('/friends/requests', { method: 'POST', cookie: other, body: { user_id: 'stranger-0' } })).status, 404);
+    });
+});
@@ -0,0 +1,112 @@
+// test/simulation.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation, runSimulation, clearSimulation } = require('../api/_lib/simulation');
+const { CITIES } = require('../api/_lib/simulationCatalog');
+const { haversine } = require('../api/_lib/geo');
+const { startHarness } = require('./helpers/harness');
+
+const T0 = Date.UTC(2024, 5, 1, 20, 0);
+const MINUTE = 60 * 1000;
+
+describe('createSimulation', () => {
+    it('is deterministic for a seed', () => {
+        const a = createSimulation({ city: 'london', count: 20, seed: 7 });
+        const b = createSimulation({ city: 'london', count: 20, seed: 7 });
+        assert.deepEqual(a.documents(T0), b.documents(T0));
+        assert.deepEqual(a.step(T0 + 5 * MINUTE), b.step(T0 + 5 * MINUTE));
+        assert.notDeepEqual(createSimulation({ city: 'london', count: 20, seed: 8 }).documents(T0), a.documents(T0));
+    });
+
+    it('writes the same fields a real sharing user has', () => {
+        const [[id, doc]] = createSimulation({ count: 1 }).documents(T0);
+        assert.equal(id, 'sim-0');
+        assert.equal(doc.simulated, true);
+        assert.equal(doc.location_sharing_enabled, true);
+        assert.equal(doc.geohash.length, 9);
+        assert.equal(doc.is_playing, true);
+        assert.equal(doc.last_played_at, T0);
+        assert.ok(doc.last_track.track_name && doc.last_track.artist && doc.last_track.genres.length > 0);
+        assert.match(doc.last_track.track_url, /^https:\/\/open\.spotify\.com\/search\//);
+    });
+
+    it('places listeners around the city hotspots', () => {
+        const docs = createSimulation({ city: 'tokyo', count: 50 }).documents(T0);
+        for (const [, doc] of docs) {
+            const nearest = Math.min(...CITIES.tokyo.hotspots.map(([lat, lon]) => haversine(lat, lon, doc.latitude, doc.longitude)));
+            assert.ok(nearest < 15, `${nearest} km from any hotspot`);
+        }
+    });
+
+    it('changes songs over time and keeps wanderers near home', () => {
+        const simulation = createSimulation({ count: 50, seed: 3 });
+        const start = new Map(simulation.documents(T0));
+        let trackChanges = 0;
+        let moves = 0;
+        for (let minute = 1; minute <= 120; minute++) {
+            for (const [id, changes] of simulation.step(T0 + minute * MINUTE)) {
+                if (changes.last_track && changes.last_track.track_url !== start.get(id).last_track.track_url) trackChanges++;
+                if (changes.geohash) {
+                    moves++;
+                    const home = start.get(id);
+                    assert.ok(haversine(home.latitude, home.longitude, changes.latitude, changes.longitude) < 5);
+                }
+            }
+        }
+        assert.ok(trackChanges > 50, `${trackChanges} track changes`);
+        assert.ok(moves > 0);
+    });
+
+    it('rejects unknown cities', () => {
+        assert.throws(() => createSimulation({ city: 'atlantis' }), /Unknown simulation city/);
+    });
+});
+
+describe('simulated listeners in the API', () => {
+    let h;
+    let viewer;
+    let stop;
+    const simulation = createSimulation({ city: 'sf', count: 30, seed: 11 });
+    const [lat, lon] = CITIES.sf.hotspots[0];
+
+    before(async () => {
+        h = await startHarness();
+        viewer = await h.login('sim-viewer');
+        stop = await runSimulation({ store: h.users, simulation, intervalMs: 60 * 60 * 1000 });
+    });
+    after(async () => {
+        await stop();
+        await h.close();
+    });
+
+    it('serves them through the same nearby path as real users', async () => {
+        const res = await h.request('/users/nearby', {
+            method: 'POST', cookie: viewer, body: { latitude: lat, longitude: lon, radius_km: 30, limit: 500 },
+        });
+        const pins = res.body.filter(pin => pin.id.startsWith('sim-'));
+        assert.equal(pins.length, 30);
+        for (const pin of pins) {
+            assert.equal(pin.simulated, true);
+            assert.equal(pin.spotify_url, null);
+            assert.ok(pin.track_name);
+        }
+    });
+
+    it('honours the idle filter like any other listener', async () => {
+        const res = await h.request('/users/nearby', {
+            method: 'POST', cookie: viewer, body: { latitude: lat, longitude: lon, radius_km: 30, max_idle_minutes: 5 },
+        });
+        assert.equal(res.body.filter(pin => pin.id.startsWith('sim-')).length, 30);
+    });
+
+    it('cannot be befriended', async () => {
+        const res = await h.request('/friends/requests', { method: 'POST', cookie: viewer, body: { user_id: 'sim-0' } });
+        assert.equal(res.status, 404);
+    });
+
+    it('can be cleared', async () => {
+        await clearSimulation(h.users, simulation);
+        assert.equal(await h.users.getUser('sim-0'), null);
+    });
+});
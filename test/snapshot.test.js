@@ -0,0 +1,78 @@
+// test/snapshot.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ngeohash = require('ngeohash');
+const { startHarness } = require('./helpers/harness');
+
+const VENUE = { latitude: 53.4808, longitude: -2.2426 }; // Manchester
+
+const TRACKS = {
+    blueMonday: { track_name: 'Blue Monday', artist: 'New Order', track_url: 'https://open.spotify.com/track/bluemonday', genres: ['synthpop'] },
+    loveWillTear: { track_name: 'Love Will Tear Us Apart', artist: 'Joy Division', track_url: 'https://open.spotify.com/track/lwtua', genres: ['post-punk'] },
+};
+
+describe('GET /public/snapshot', () => {
+    let h;
+
+    // User fields for a listener playing `track` right now
+    const playing = (track) => ({ last_track: track, is_playing: true, last_played_at: Date.now() });
+    const NEARBY = VENUE.latitude + 0.001;
+
+    const snapshot = (query = '') => h.request(`/public/snapshot?latitude=${VENUE.latitude}&longitude=${VENUE.longitude}${query}`);
+
+    before(async () => {
+        h = await startHarness();
+        await h.placeUser('fan-1', NEARBY, VENUE.longitude, playing(TRACKS.blueMonday));
+        await h.placeUser('fan-2', NEARBY, VENUE.longitude, playing(TRACKS.blueMonday));
+        await h.placeUser('fan-3', NEARBY, VENUE.longitude, playing(TRACKS.loveWillTear));
+        await h.placeUser('friends-only', NEARBY, VENUE.longitude, { ...playing(TRACKS.loveWillTear), visibility: 'friends' });
+        await h.placeUser('hidden', NEARBY, VENUE.longitude, { ...playing(TRACKS.loveWillTear), visibility: 'hidden' });
+        await h.placeUser('across-town', VENUE.latitude + 0.2, VENUE.longitude, playing(TRACKS.loveWillTear));
+    });
+    after(() => h.close());
+
+    it('returns the area charts without a login, counting public listeners only', async () => {
+        const res = await snapshot();
+        assert.equal(res.status, 200);
+        assert.equal(res.body.listeners, 3);
+        assert.equal(res.body.window, 'now');
+        assert.deepEqual(res.body.tracks.map(t => [t.track_name, t.listeners]), [['Blue Monday', 2], ['Love Will Tear Us Apart', 1]]);
+        assert.match(res.headers.get('cache-control'), /public, max-age=\d+/);
+    });
+
+    it('never exposes who is listening or where', async () => {
+        const res = await snapshot();
+        for (const id of ['fan-1', 'fan-2', 'fan-3']) assert.ok(!res.text.includes(id), id);
+        assert.ok(!res.text.includes(String(VENUE.latitude + 0.001)));
+    });
+
+    it('counts earlier plays from the listening history in wider windows, like /charts/area', async () => {
+        for (const userId of ['left-early', 'left-later']) {
+            const timestamp = Date.now() - 20 * 60 * 1000;
+            await h.users.addHistoryEvent({
+                user_id: userId, latitude: NEARBY, longitude: VENUE.longitude, geohash: ngeohash.encode(NEARBY, VENUE.longitude, 9),
+                timestamp, expire_at: timestamp + 24 * 60 * 60 * 1000, ...TRACKS.loveWillTear,
+            });
+        }
+
+        const hour = await snapshot('&window=hour');
+        assert.equal(hour.body.listeners, 5);
+        assert.deepEqual(hour.body.tracks.map(t => [t.track_name, t.listeners]), [['Love Will Tear Us Apart', 3], ['Blue Monday', 2]]);
+        assert.ok(!hour.text.includes('left-early'));
+        assert.equal((await snapshot()).body.listeners, 3);
+    });
+
+    it('withholds the lists while too few people are listening to stay anonymous', async () => {
+        const res = await h.request('/public/snapshot?latitude=53.6808&longitude=-2.2426&radius_km=0.3');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.listeners, 1);
+        assert.deepEqual([res.body.tracks, res.body.artists, res.body.genres], [[], [], []]);
+    });
+
+    it('only covers small areas', async () => {
+        const res = await snapshot('&radius_km=100');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'radius_km must be a number between 0.01 and 25');
+    });
+});
@@ -0,0 +1,133 @@
+// test/taste.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+const { buildTasteProfile, compareTaste } = require('../api/_lib/taste');
+
+const CENTER = { latitude: 59.3293, longitude: 18.0686 }; // Stockholm
+
+// Ids as the Spotify stub derives them from names
+const artist = (name, genres = []) => ({ id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-'), name, genres });
+const track = id => ({ id, name: id });
+
+const ROBYN = artist('Robyn', ['swedish pop', 'dance pop']);
+const LYKKE_LI = artist('Lykke Li', ['swedish pop', 'indie pop']);
+const FEVER_RAY = artist('Fever Ray', ['electronica']);
+const SLAYER = artist('Slayer', ['thrash metal']);
+
+describe('taste profiles', () => {
+    it('keeps artists and tracks in rank order and ranks genres across artists', () => {
+        const taste = buildTasteProfile([ROBYN, LYKKE_LI, FEVER_RAY], [track('t1'), track('t2')], 1000);
+        assert.deepEqual(taste, {
+            artists: [{ id: 'robyn', name: 'Robyn' }, { id: 'lykke-li', name: 'Lykke Li' }, { id: 'fever-ray', name: 'Fever Ray' }],
+            tracks: ['t1', 't2'],
+            genres: ['swedish pop', 'dance pop', 'indie pop', 'electronica'],
+            updated_at: 1000,
+        });
+    });
+
+    it('scores identical tastes 100 and unrelated ones 0', () => {
+        const mine = buildTasteProfile([ROBYN, LYKKE_LI], [track('t1')]);
+        assert.deepEqual(compareTaste(mine, mine), { score: 100, shared_artists: ['Robyn', 'Lykke Li'] });
+        assert.deepEqual(compareTaste(mine, buildTasteProfile([SLAYER], [track('t9')])), { score: 0, shared_artists: [] });
+    });
+
+    it('scores overlaps in between, higher-ranked shared artists counting more', () => {
+        const mine = buildTasteProfile([ROBYN, LYKKE_LI, FEVER_RAY], []);
+        const topShared = compareTaste(mine, buildTasteProfile([ROBYN, SLAYER], []));
+        const lowShared = compareTaste(mine, buildTasteProfile([SLAYER, FEVER_RAY], []));
+        assert.ok(topShared.score > lowShared.score && lowShared.score > 0, JSON.stringify([topShared, lowShared]));
+        assert.ok(topShared.score < 100);
+    });
+
+    it('has no score without a profile on both sides', () => {
+        assert.equal(compareTaste(null, buildTasteProfile([ROBYN], [])), null);
+        assert.equal(compareTaste(buildTasteProfile([], []), buildTasteProfile([ROBYN], [])), null);
+    });
+});
+
+describe('taste matching', () => {
+    let h;
+    let viewer;
+
+    const nearby = (body = {}) => h.request('/users/nearby', {
+        method: 'POST', cookie: viewer, body: { ...CENTER, radius_km: 2, ...body },
+    });
+    const matchOf = (res, id) => res.body.find(user => user.id === id).taste_match;
+
+    before(async () => {
+        h = await startHarness();
+        viewer = await h.login('taste-viewer');
+        h.spotify.setTopItems('taste-viewer', { artists: [ROBYN, LYKKE_LI, FEVER_RAY], tracks: [track('dancing-on-my-own')] });
+
+        const { latitude, longitude } = CENTER;
+        await h.placeUser('twin', latitude + 0.004, longitude, {
+            taste: buildTasteProfile([ROBYN, LYKKE_LI, FEVER_RAY], [track('dancing-on-my-own')]),
+        });
+        await h.placeUser('cousin', latitude + 0.001, longitude, { taste: buildTasteProfile([FEVER_RAY, SLAYER], []) });
+        await h.placeUser('stranger', latitude + 0.002, longitude, { taste: buildTasteProfile([SLAYER], [track('raining-blood')]) });
+        await h.placeUser('opted-out', latitude + 0.003, longitude);
+    });
+    after(() => h.close());
+
+    it('scores nobody until the viewer opts in', async () => {
+        const res = await nearby();
+        assert.ok(res.body.every(user => user.taste_match === null));
+        assert.equal((await h.request('/me/taste', { cookie: viewer })).status, 404);
+    });
+
+    it('stores the viewer\'s top artists and tracks on opting in', async () => {
+        const res = await h.request('/me/taste', { method: 'POST', cookie: viewer });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.top_artists, ['Robyn', 'Lykke Li', 'Fever Ray']);
+        assert.equal(res.body.track_count, 1);
+
+        const me = await h.request('/me', { cookie: viewer });
+        assert.equal(me.body.taste_matching, true);
+        assert.equal(me.body.taste_updated_at, res.body.updated_at);
+    });
+
+    it('returns a compatibility score for each nearby user who opted in too', async () => {
+        const res = await nearby();
+        assert.deepEqual(matchOf(res, 'twin'), { score: 100, shared_artists: ['Robyn', 'Lykke Li', 'Fever Ray'] });
+        assert.deepEqual(matchOf(res, 'cousin').shared_artists, ['Fever Ray']);
+        assert.equal(matchOf(res, 'stranger').score, 0);
+        assert.equal(matchOf(res, 'opted-out'), null);
+        assert.ok(!res.text.includes('Slayer'), 'other users\' top artists stay private');
+    });
+
+    it('sorts by taste match on request, a page at a time', async () => {
+        const first = await nearby({ sort: 'taste', limit: 2 });
+        assert.deepEqual(first.body.map(user => user.id), ['twin', 'cousin']);
+
+        const second = await nearby({ sort: 'taste', limit: 2, cursor: first.headers.get('x-next-cursor') });
+        assert.deepEqual(second.body.map(user => user.id), ['stranger', 'opted-out']);
+        assert.equal(second.headers.get('x-next-cursor'), null);
+
+        assert.equal((await nearby({ sort: 'popularity' })).status, 400);
+    });
+
+    it('asks for consent again when the grant predates the top-read scope', async () => {
+        h.spotify.setScope('veteran', 'user-read-currently-playing user-read-private playlist-modify-private');
+        const cookie = await h.login('veteran');
+        const res = await h.request('/me/taste', { method: 'POST', cookie });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.reconsent, true);
+    });
+
+    it('forgets the profile on opting out', async () => {
+        assert.equal((await h.request('/me/taste', { method: 'DELETE', cookie: viewer })).status, 204);
+        assert.equal((await h.users.getUser('taste-viewer')).taste, undefined);
+        assert.equal(matchOf(await nearby(), 'twin'), null);
+    });
+
+    it('does not recreate a deleted account when a leftover session opts out', async () => {
+        const cookie = await h.login('taste-leaver');
+        await h.request('/me', { method: 'DELETE', cookie });
+        const res = await h.request('/me/taste', { method: 'DELETE', cookie });
+        assert.equal(res.status, 401);
+        assert.equal(await h.users.getUser('taste-leaver'), null);
+        assert.equal((await h.request('/me', { cookie })).status, 401);
+    });
+});
@@ -0,0 +1,141 @@
+// test/validation.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { number, string, boolean, timestamp, list, validate } = require('../api/_lib/validation');
+const { startHarness } = require('./helpers/harness');
+
+describe('validate', () => {
+    const schema = {
+        latitude: number({ min: -90, max: 90, required: true }),
+        limit: number({ integer: true, min: 1, max: 10, default: 5 }),
+        window: string({ oneOf: ['now', 'hour'], default: 'now' }),
+        artist: string({ maxLength: 5 }),
+        name: string({ notBlank: true }),
+        playing_only: boolean(),
+        from: timestamp(),
+        cells: list(string({ pattern: /^[a-z0-9]+$/ }), { maxItems: 2 }),
+    };
+
+    it('parses values, applies defaults and drops unknown fields', () => {
+        const { value, error } = validate(schema, {
+            latitude: '51.5', artist: ' abba ', playing_only: 'on', from: '2024-01-01T00:00:00Z', cells: 'u10,u11,u10', extra: 1,
+        });
+        assert.equal(error, undefined);
+        assert.deepEqual(value, {
+            latitude: 51.5, limit: 5, window: 'now', artist: 'abba', playing_only: true,
+            from: Date.parse('2024-01-01T00:00:00Z'), cells: ['u10', 'u11'],
+        });
+    });
+
+    it('treats blank strings as missing', () => {
+        assert.deepEqual(validate(schema, { latitude: 0, artist: '   ', window: '' }).value, { latitude: 0, limit: 5, window: 'now' });
+        assert.equal(validate(schema, { latitude: ' ' }).error, 'latitude is required');
+    });
+
+    it('rejects blank strings for notBlank fields, while still allowing them to be left out', () => {
+        assert.equal(validate(schema, { latitude: 0, name: '  ' }).error, 'name must not be blank');
+        assert.equal(validate(schema, { latitude: 0 }).value.name, undefined);
+    });
+
+    it('reports the first invalid field', () => {
+        const cases = [
+            [{}, 'latitude is required'],
+            [{ latitude: 91 }, 'latitude must be a number between -90 and 90'],
+            [{ latitude: 'north' }, 'latitude must be a number between -90 and 90'],
+            [{ latitude: 0, limit: 2.5 }, 'limit must be an integer between 1 and 10'],
+            [{ latitude: 0, window: 'year' }, 'window must be one of: now, hour'],
+            [{ latitude: 0, artist: 'Beyoncé' }, 'artist must be at most 5 characters'],
+            [{ latitude: 0, artist: ['a'] }, 'artist must be a string'],
+            [{ latitude: 0, playing_only: 'maybe' }, 'playing_only must be true or false'],
+            [{ latitude: 0, from: 'yesterday' }, 'from must be a timestamp or ISO date'],
+            [{ latitude: 0, cells: 'a,b,c' }, 'cells must have at most 2 entries'],
+            [{ latitude: 0, cells: 'a,B' }, 'cells is invalid'],
+        ];
+        for (const [input, message] of cases) assert.equal(validate(schema, input).error, message, JSON.stringify(input));
+    });
+
+    it('rejects bodies that are not objects', () => {
+        assert.equal(validate(schema, [1, 2]).error, 'Request body must be a JSON object');
+        assert.equal(validate(schema, 'text').error, 'Request body must be a JSON object');
+    });
+});
+
+describe('request validation on routes', () => {
+    let h;
+    let cookie;
+    before(async () => {
+        h = await startHarness();
+        cookie = await h.login('validator');
+    });
+    after(() => h.close());
+
+    const post = (path, body) => h.request(path, { method: 'POST', cookie, body });
+
+    it('answers 400 with an error message for invalid bodies', async () => {
+        const cases = [
+            ['/users/nearby', { longitude: 0 }, 'latitude is required'],
+            ['/users/nearby', { latitude: 0, longitude: 0, radius_km: 5000 }, 'radius_km must be a number between 0.01 and 500'],
+            ['/users/nearby', { latitude: 0, longitude: 0, limit: 501 }, 'limit must be an integer between 1 and 500'],
+            ['/users/nearby', { latitude: 0, longitude: 0, playing_only: 'yes' }, 'playing_only must be true or false'],
+            ['/users/in-bounds', { south: 1, west: 0, north: 0, east: 1 }, 'south must not be greater than north'],
+            ['/users/density', { latitude: 0, longitude: 0, cell_precision: 12 }, 'cell_precision must be an integer between 1 and 9'],
+            ['/charts/area', { latitude: 0, longitude: 0, limit: 0 }, 'limit must be an integer between 1 and 50'],
+            ['/history', { latitude: 0, longitude: 0, from: 'soon' }, 'from must be a timestamp or ISO date'],
+            ['/friends/requests', { user_id: 42 }, 'user_id must be a string'],
+        ];
+        for (const [path, body, error] of cases) {
+            const res = await post(path, body);
+            assert.equal(res.status, 400, path);
+            assert.deepEqual(res.body, { error }, path);
+        }
+    });
+
+    it('validates query strings', async () => {
+        const res = await h.request('/live?cells=u10,NOT-A-HASH', { cookie });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'cells is invalid');
+    });
+
+    it('answers malformed JSON with a JSON 400', async () => {
+        const response = await fetch(`${h.url}/users/nearby`, {
+            method: 'POST', headers: { 'content-type': 'application/json', cookie }, body: '{"latitude": ',
+        });
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Request body is not valid JSON' });
+    });
+
+    describe('impossible travel', () => {
+        const update = (who, form) => h.request('/me/update-location', { method: 'POST', cookie: who, form });
+
+        it('rejects a location too far from the last one to have travelled there', async () => {
+            const traveller = await h.login('traveller');
+            assert.equal((await update(traveller, { lat: 52.52, lon: 13.405, precision: 'exact' })).status, 200); // Berlin
+            const res = await update(traveller, { lat: 40.7128, lon: -74.006 }); // New York, moments later
+            assert.equal(res.status, 422);
+            assert.equal((await h.users.getUser('traveller')).latitude, 52.52);
+        });
+
+        it('accepts the same jump after enough time has passed', async () => {
+            const flyer = await h.login('flyer');
+            await update(flyer, { lat: 52.52, lon: 13.405 });
+            await h.users.updateUser('flyer', { location_fix_at: Date.now() - 10 * 60 * 60 * 1000 });
+            assert.equal((await update(flyer, { lat: 40.7128, lon: -74.006 })).status, 200);
+        });
+
+        it('allows for fuzzing and GPS jitter', async () => {
+            // Compared with the raw fix, so a coarse published position doesn't count as movement
+            const walker = await h.login('walker');
+            await update(walker, { lat: 48.8566, lon: 2.3522, precision: 'neighbourhood' });
+            assert.equal((await update(walker, { lat: 48.862, lon: 2.358 })).status, 200);
+        });
+
+        it('still rejects the jump after sharing was switched off in between', async () => {
+            const pauser = await h.login('pauser');
+            await update(pauser, { lat: 52.52, lon: 13.405 });
+            await update(pauser, { sharing: 'off' });
+            assert.equal((await h.users.getUser('pauser')).latitude, undefined);
+            assert.equal((await update(pauser, { lat: 40.7128, lon: -74.006, sharing: 'on' })).status, 422);
+        });
+    });
+});
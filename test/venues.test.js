@@ -0,0 +1,176 @@
+// test/venues.test.js
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { parseVenueGeoJson } = require('../api/_lib/venues');
+
+const BAR = { latitude: 51.5136, longitude: -0.1365 }; // Soho
+
+const VENUES = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: { '@id': 'node/101', name: 'The Blue Posts', amenity: 'pub' },
+            geometry: { type: 'Point', coordinates: [BAR.longitude, BAR.latitude] },
+        },
+        {
+            type: 'Feature',
+            properties: { name: 'Soho Square', leisure: 'park', radius_m: 5000 },
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[-0.1330, 51.5150], [-0.1310, 51.5150], [-0.1310, 51.5160], [-0.1330, 51.5160], [-0.1330, 51.5150]]],
+            },
+        },
+        { type: 'Feature', properties: { amenity: 'bar' }, geometry: { type: 'Point', coordinates: [0, 0] } },
+    ],
+};
+
+describe('parseVenueGeoJson', () => {
+    it('turns named features into venue documents', () => {
+        const [pub, park] = parseVenueGeoJson(VENUES);
+        assert.deepEqual(pub, {
+            id: 'osm-node-101', name: 'The Blue Posts', category: 'pub',
+            latitude: BAR.latitude, longitude: BAR.longitude, geohash: pub.geohash, radius_m: 75,
+        });
+        assert.equal(pub.geohash.length, 9);
+        assert.match(park.id, /^venue-[0-9a-f]{16}$/);
+        assert.equal(park.category, 'park');
+        assert.ok(Math.abs(park.latitude - 51.5155) < 1e-9 && Math.abs(park.longitude + 0.132) < 1e-9);
+        assert.equal(park.radius_m, 1000);
+    });
+
+    it('skips unnamed features and rejects anything but a FeatureCollection', () => {
+        assert.equal(parseVenueGeoJson(VENUES).length, 2);
+        assert.throws(() => parseVenueGeoJson({ type: 'Feature' }), /FeatureCollection/);
+    });
+});
+
+describe('venue check-ins', () => {
+    let h;
+    let viewer;
+
+    const checkIn = (cookie, venueId, latitude = BAR.latitude, longitude = BAR.longitude) =>
+        h.request('/me/check-in', { method: 'POST', cookie, body: { venue_id: venueId, lat: latitude, lon: longitude } });
+    const nearby = (body = {}) => h.request('/users/nearby', {
+        method: 'POST', cookie: viewer, body: { ...BAR, radius_km: 1, ...body },
+    });
+
+    before(async () => {
+        h = await startHarness();
+        for (const venue of parseVenueGeoJson(VENUES)) await h.users.saveVenue(venue);
+        viewer = await h.login('venue-viewer');
+    });
+    after(() => h.close());
+
+    it('checks users in at a venue they are at and pins them there', async () => {
+        const cookie = await h.login('venue-regular');
+        await h.moveTo(cookie, BAR.latitude + 0.0003, BAR.longitude);
+
+        const res = await checkIn(cookie, 'osm-node-101', BAR.latitude + 0.0003);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.check_in.name, 'The Blue Posts');
+
+        const me = await h.request('/me', { cookie });
+        assert.equal(me.body.check_in.id, 'osm-node-101');
+
+        const pin = (await nearby()).body.find(user => user.id === 'venue-regular');
+        assert.deepEqual([pin.latitude, pin.longitude], [BAR.latitude, BAR.longitude]);
+        assert.deepEqual(pin.venue, { id: 'osm-node-101', name: 'The Blue Posts', category: 'pub' });
+    });
+
+    it('refuses check-ins from elsewhere and at unknown venues', async () => {
+        const cookie = await h.login('venue-faraway');
+        await h.moveTo(cookie, BAR.latitude + 0.01, BAR.longitude);
+
+        const far = await checkIn(cookie, 'osm-node-101', BAR.latitude + 0.01);
+        assert.equal(far.status, 422);
+        assert.equal(far.body.error, 'You need to be at The Blue Posts to check in');
+        assert.equal((await checkIn(cookie, 'osm-node-999')).status, 404);
+    });
+
+    it('groups nearby users under their venue on request', async () => {
+        const other = await h.login('venue-passerby');
+        await h.moveTo(other, BAR.latitude + 0.002, BAR.longitude);
+
+        const res = await nearby({ group_by_venue: true });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.venues.length, 1);
+        assert.equal(res.body.venues[0].name, 'The Blue Posts');
+        assert.deepEqual(res.body.venues[0].users.map(user => user.id), ['venue-regular']);
+        assert.ok(res.body.users.some(user => user.id === 'venue-passerby'));
+        assert.ok(!res.body.users.some(user => user.id === 'venue-regular'));
+    });
+
+    it('lists venues near a point with their check-in counts', async () => {
+        const res = await h.request(`/venues?latitude=${BAR.latitude}&longitude=${BAR.longitude}&radius_km=1`, { cookie: viewer });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(venue => [venue.name, venue.checked_in]), [['The Blue Posts', 1], ['Soho Square', 0]]);
+    });
+
+    it('shows what is playing at a venue now and over the past week', async () => {
+        const cookie = await h.login('venue-dj');
+        await h.moveTo(cookie, BAR.latitude, BAR.longitude);
+        await checkIn(cookie, 'osm-node-101');
+        h.spotify.setPlaying('venue-dj', { id: 'v1', name: 'Windowlicker', artist: 'Aphex Twin' });
+        await h.request('/now-playing', { cookie });
+        // The history write follows the response
+        await waitFor(async () => (await h.users.findHistory({ geohashPrefix: '', from: 0, to: Date.now() }))
+            .some(event => event.user_id === 'venue-dj'));
+
+        const res = await h.request('/venues/osm-node-101', { cookie: viewer });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.checked_in, 2);
+        assert.deepEqual(res.body.live.tracks.map(track => [track.track_name, track.listeners]), [['Windowlicker', 1]]);
+        assert.deepEqual(res.body.history.tracks.map(track => [track.track_name, track.listeners]), [['Windowlicker', 1]]);
+        assert.equal(res.body.history.listeners, 1);
+        assert.ok(!res.text.includes('venue-dj'));
+
+        assert.equal((await h.request('/venues/osm-node-999', { cookie: viewer })).status, 404);
+    });
+
+    it('ends the check-in when the user moves away or checks out', async () => {
+        const cookie = await h.login('venue-leaver');
+        await h.moveTo(cookie, BAR.latitude, BAR.longitude);
+        await checkIn(cookie, 'osm-node-101');
+
+        const nearbyFix = await h.moveTo(cookie, BAR.latitude + 0.0005, BAR.longitude);
+        assert.equal(nearbyFix.body.check_in.id, 'osm-node-101');
+        assert.equal(nearbyFix.body.latitude, BAR.latitude);
+
+        const away = await h.moveTo(cookie, BAR.latitude + 0.005, BAR.longitude);
+        assert.equal(away.body.check_in, null);
+        assert.equal((await h.request('/me', { cookie })).body.check_in, null);
+
+        await h.moveTo(cookie, BAR.latitude, BAR.longitude);
+        await checkIn(cookie, 'osm-node-101');
+        assert.equal((await h.request('/me/check-in', { method: 'DELETE', cookie })).status, 204);
+        assert.equal((await h.request('/me', { cookie })).body.check_in, null);
+    });
+
+    it('moves the pin back to the user\'s own position on checking out', async () => {
+        const cookie = await h.login('venue-goer');
+        await h.moveTo(cookie, BAR.latitude + 0.0004, BAR.longitude, { precision: '100m' });
+        await checkIn(cookie, 'osm-node-101', BAR.latitude + 0.0004);
+        const stream = await h.openLive({ ...BAR, radius_km: 1 }, viewer);
+        await stream.next('ready');
+
+        assert.equal((await h.request('/me/check-in', { method: 'DELETE', cookie })).status, 204);
+        const pin = await stream.next('move');
+        assert.equal(pin.id, 'venue-goer');
+        assert.equal(pin.venue, null);
+        const stored = await h.users.getUser('venue-goer');
+        assert.deepEqual([pin.latitude, pin.longitude], [stored.latitude, stored.longitude]);
+        assert.notDeepEqual([stored.latitude, stored.longitude], [BAR.latitude, BAR.longitude]);
+        assert.notEqual(stored.latitude, BAR.latitude + 0.0004, 'snapped to the 100 m grid, not the raw fix');
+        stream.close();
+    });
+
+    it('needs location sharing to check in', async () => {
+        const cookie = await h.login('venue-private');
+        await h.moveTo(cookie, BAR.latitude, BAR.longitude, { sharing: 'off' });
+        const res = await checkIn(cookie, 'osm-node-101');
+        assert.equal(res.status, 409);
+    });
+});